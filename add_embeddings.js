@@ -1,73 +1,59 @@
 const mongoose = require('mongoose');
-const OpenAI = require('openai');
 require('dotenv').config();
+const { Event } = require('./events/event.model');
+const { normalizeEventDates } = require('./ai-retrieval/ai.dates');
+const { EMBEDDING_CONFIG, reembedStaleEvents } = require('./ai-retrieval/ai.embeddings');
 
+/**
+ * Embed events whose vector is missing or stale (other model, other
+ * dimensions, or event text changed since it was embedded). Uses the same
+ * provider/model as chat queries (EMBEDDING_PROVIDER / EMBEDDING_MODEL).
+ *
+ * Usage:
+ *   node add_embeddings.js            # only missing or stale embeddings
+ *   node add_embeddings.js --force    # re-embed every event
+ *   node add_embeddings.js --dry-run  # only report what would be embedded
+ *
+ * See embedding_status.js for a report without embedding anything.
+ */
 async function addEmbeddings() {
+  const force = process.argv.includes('--force');
+  const dryRun = process.argv.includes('--dry-run');
+
   try {
-    // Connect to event_database
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to event_database');
-    
-    const db = mongoose.connection.db;
-    const eventsCollection = db.collection('events');
-    
-    // Initialize OpenAI client
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    
-    // Get all events without embeddings
-    const events = await eventsCollection.find({ embedding: { $exists: false } }).toArray();
-    console.log(`Found ${events.length} events without embeddings`);
-    
-    if (events.length === 0) {
-      console.log('All events already have embeddings!');
+    console.log(`Embedding with ${EMBEDDING_CONFIG.provider}/${EMBEDDING_CONFIG.model}`);
+
+    // Newly ingested events may not have normalized dates yet
+    if (!dryRun) {
+      const unnormalized = await Event.find({ date_normalized_at: { $exists: false } })
+        .select('event_details full_text')
+        .lean();
+      for (const event of unnormalized) {
+        await Event.updateOne({ _id: event._id }, { $set: normalizeEventDates(event) });
+      }
+      if (unnormalized.length > 0) {
+        console.log(`Normalized dates on ${unnormalized.length} events`);
+      }
+    }
+
+    const result = await reembedStaleEvents({ force, dryRun });
+
+    if (result.pending === 0) {
+      console.log('All events already have current embeddings!');
       return;
     }
-    
-    // Process events in batches
-    for (let i = 0; i < events.length; i++) {
-      const event = events[i];
-      
-      // Create searchable text from event details and full_text
-      const searchableText = [
-        event.event_details?.event_name || '',
-        event.event_details?.organizer || '',
-        event.event_details?.event_date || '',
-        event.event_details?.event_time || '',
-        event.event_details?.location || '',
-        event.event_details?.entry_type || '',
-        event.full_text || '',
-        ...(event.raw_ocr?.map(ocr => ocr.text) || [])
-      ].filter(Boolean).join(' ');
-      
-      console.log(`Processing event ${i + 1}/${events.length}: ${event.event_details?.event_name || 'Unknown'}`);
-      
-      try {
-        // Generate embedding
-        const response = await openai.embeddings.create({
-          model: 'text-embedding-3-small',
-          input: searchableText,
-        });
-        
-        const embedding = response.data[0].embedding;
-        
-        // Update document with embedding
-        await eventsCollection.updateOne(
-          { _id: event._id },
-          { $set: { embedding: embedding } }
-        );
-        
-        console.log(`✓ Added embedding to event ${event._id}`);
-        
-        // Small delay to avoid rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        console.error(`✗ Failed to process event ${event._id}:`, error.message);
-      }
+
+    console.log(`\n${result.pending} events to embed:`);
+    Object.entries(result.byStatus).forEach(([status, count]) => console.log(`  ${status}: ${count}`));
+
+    if (dryRun) {
+      console.log('\nDry run complete, nothing written.');
+    } else {
+      console.log(`\nEmbedding generation complete! ${result.embedded} embedded, ${result.failed} failed.`);
     }
-    
-    console.log('\nEmbedding generation complete!');
-    
+
   } catch (error) {
     console.error('Error:', error.message);
   } finally {
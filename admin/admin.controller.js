@@ -0,0 +1,169 @@
+const adminService = require('./admin.service');
+const { getEmbeddingReport } = require('../ai-retrieval/ai.embeddings');
+const { getProviderReport } = require('../ai-retrieval/providers');
+const { MAX_REASON_LENGTH } = require('./audit.model');
+
+const handleError = (res, label, error) => {
+    // Schema validators (events/event.model.js) reject bad writes
+    if (error.name === 'ValidationError') {
+        return res.status(422).json({
+            error: "Event failed validation.",
+            details: Object.values(error.errors).map(err => err.message)
+        });
+    }
+    console.error(`${label} Error:`, error);
+    res.status(500).json({
+        error: "An error occurred while processing the admin request.",
+        details: error.message
+    });
+};
+
+/**
+ * The optional `reason` for the audit trail: { reason } (null when not given) or { error }
+ */
+const readReason = (body) => {
+    const reason = body?.reason;
+    if (reason === undefined || reason === null || reason === '') return { reason: null };
+    if (typeof reason !== 'string' || reason.trim().length > MAX_REASON_LENGTH) {
+        return { error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters.` };
+    }
+    return { reason: reason.trim() || null };
+};
+
+/**
+ * GET /api/admin/events
+ */
+const handleListEvents = async (req, res) => {
+    const { status, q, page, limit } = req.query;
+    if (status && !['active', 'deleted', 'archived', 'all'].includes(status)) {
+        return res.status(400).json({ error: "status must be one of: active, deleted, archived, all." });
+    }
+
+    try {
+        res.json(await adminService.listEvents({ status, q, page, limit }));
+    } catch (error) {
+        handleError(res, "Admin List", error);
+    }
+};
+
+/**
+ * GET /api/admin/events/:id
+ */
+const handleGetEvent = async (req, res) => {
+    try {
+        const event = await adminService.getEvent(req.params.id);
+        if (!event) return res.status(404).json({ error: "Event not found." });
+        res.json({ event });
+    } catch (error) {
+        handleError(res, "Admin Get", error);
+    }
+};
+
+/**
+ * PATCH /api/admin/events/:id
+ */
+const handleUpdateEvent = async (req, res) => {
+    const { event_details, full_text } = req.body;
+    const { reason, error: reasonError } = readReason(req.body);
+
+    if (event_details !== undefined && (typeof event_details !== 'object' || Array.isArray(event_details) || event_details === null)) {
+        return res.status(400).json({ error: "event_details must be an object." });
+    }
+    if (event_details === undefined && full_text === undefined) {
+        return res.status(400).json({ error: "Nothing to update: provide event_details and/or full_text." });
+    }
+    if (reasonError) return res.status(400).json({ error: reasonError });
+
+    try {
+        const result = await adminService.updateEvent(req.params.id, { event_details, full_text }, req.admin.name, reason);
+        if (!result) return res.status(404).json({ error: "Event not found." });
+        if (result.errors) {
+            return res.status(422).json({ error: "Event failed validation.", details: result.errors });
+        }
+        res.json(result);
+    } catch (error) {
+        handleError(res, "Admin Update", error);
+    }
+};
+
+/**
+ * DELETE /api/admin/events/:id (soft delete)
+ */
+const handleDeleteEvent = async (req, res) => {
+    const { reason, error: reasonError } = readReason(req.body);
+    if (reasonError) return res.status(400).json({ error: reasonError });
+
+    try {
+        const result = await adminService.softDeleteEvent(req.params.id, req.admin.name, reason);
+        if (!result) return res.status(404).json({ error: "Event not found." });
+        res.json(result);
+    } catch (error) {
+        handleError(res, "Admin Delete", error);
+    }
+};
+
+/**
+ * POST /api/admin/events/:id/restore
+ */
+const handleRestoreEvent = async (req, res) => {
+    const { reason, error: reasonError } = readReason(req.body);
+    if (reasonError) return res.status(400).json({ error: reasonError });
+
+    try {
+        const result = await adminService.restoreEvent(req.params.id, req.admin.name, reason);
+        if (!result) return res.status(404).json({ error: "Event not found." });
+        res.json(result);
+    } catch (error) {
+        handleError(res, "Admin Restore", error);
+    }
+};
+
+/**
+ * GET /api/admin/audit and GET /api/admin/events/:id/audit
+ */
+const handleGetAuditTrail = async (req, res) => {
+    try {
+        const result = await adminService.getAuditTrail({
+            eventId: req.params.id,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        if (!result) return res.status(404).json({ error: "Event not found." });
+        res.json(result);
+    } catch (error) {
+        handleError(res, "Admin Audit", error);
+    }
+};
+
+/**
+ * GET /api/admin/embeddings/status
+ */
+const handleEmbeddingStatus = async (req, res) => {
+    try {
+        res.json(await getEmbeddingReport());
+    } catch (error) {
+        handleError(res, "Admin Embedding Status", error);
+    }
+};
+
+/**
+ * GET /api/admin/providers
+ */
+const handleProviderStatus = (req, res) => {
+    try {
+        res.json(getProviderReport());
+    } catch (error) {
+        handleError(res, "Admin Provider Status", error);
+    }
+};
+
+module.exports = {
+    handleListEvents,
+    handleGetEvent,
+    handleUpdateEvent,
+    handleDeleteEvent,
+    handleRestoreEvent,
+    handleGetAuditTrail,
+    handleEmbeddingStatus,
+    handleProviderStatus
+};
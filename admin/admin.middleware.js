@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+/**
+ * Admin credentials from ADMIN_API_KEYS, formatted "name:key,name2:key2".
+ * The name is what ends up in the audit trail.
+ */
+const loadAdminKeys = () => (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+            ? { name: entry.substring(0, separator), key: entry.substring(separator + 1) }
+            : null;
+    })
+    .filter(Boolean);
+
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Require a valid admin key (Authorization: Bearer <key> or X-Admin-Key)
+ * and attach the admin's name as req.admin
+ */
+const requireAdmin = (req, res, next) => {
+    const adminKeys = loadAdminKeys();
+    if (adminKeys.length === 0) {
+        return res.status(503).json({ error: "Admin API is not configured (set ADMIN_API_KEYS)." });
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = req.get('x-admin-key') || (header.startsWith('Bearer ') ? header.substring(7).trim() : '');
+    const admin = provided && adminKeys.find(entry => safeEqual(entry.key, provided));
+
+    if (!admin) {
+        return res.status(401).json({ error: "A valid admin key is required." });
+    }
+
+    req.admin = { name: admin.name };
+    next();
+};
+
+module.exports = {
+    requireAdmin
+};
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('./admin.controller');
+const { access } = require('../auth/auth.middleware');
+
+// Every admin route needs a signed-in admin or an admin key (see ADMIN_API_KEYS)
+router.use(access('admin'));
+
+/**
+ * @route   GET /api/admin/events
+ * @desc    List events for moderation (?status=active|deleted|archived|all&q=&page=&limit=)
+ * @access  Admin
+ */
+router.get('/events', adminController.handleListEvents);
+
+/**
+ * @route   GET /api/admin/events/:id
+ * @desc    Get a single event, including soft-deleted ones
+ * @access  Admin
+ */
+router.get('/events/:id', adminController.handleGetEvent);
+
+/**
+ * @route   PATCH /api/admin/events/:id
+ * @desc    Edit event_details / full_text; dates, quality score and embedding are regenerated
+ * @access  Admin
+ */
+router.patch('/events/:id', adminController.handleUpdateEvent);
+
+/**
+ * @route   DELETE /api/admin/events/:id
+ * @desc    Soft-delete an event (hidden from chat and search, restorable)
+ * @access  Admin
+ */
+router.delete('/events/:id', adminController.handleDeleteEvent);
+
+/**
+ * @route   POST /api/admin/events/:id/restore
+ * @desc    Restore a soft-deleted event
+ * @access  Admin
+ */
+router.post('/events/:id/restore', adminController.handleRestoreEvent);
+
+/**
+ * @route   GET /api/admin/events/:id/audit
+ * @desc    Audit trail for one event
+ * @access  Admin
+ */
+router.get('/events/:id/audit', adminController.handleGetAuditTrail);
+
+/**
+ * @route   GET /api/admin/audit
+ * @desc    Audit trail across all events, newest first
+ * @access  Admin
+ */
+router.get('/audit', adminController.handleGetAuditTrail);
+
+/**
+ * @route   GET /api/admin/embeddings/status
+ * @desc    Count events with current, missing or mismatched embeddings
+ * @access  Admin
+ */
+router.get('/embeddings/status', adminController.handleEmbeddingStatus);
+
+/**
+ * @route   GET /api/admin/providers
+ * @desc    Chat / embedding backends in use, fallback chains with circuit breaker state,
+ *          and usage (calls, tokens, cost) since startup
+ * @access  Admin
+ */
+router.get('/providers', adminController.handleProviderStatus);
+
+module.exports = router;
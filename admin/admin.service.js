@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const { Event } = require('../events/event.model');
+const { AuditEntry } = require('./audit.model');
+const { EVENT_FIELDS, validateEventDetails, computeDerivedFields } = require('../events/events.service');
+const { escapeRegex } = require('../ai-retrieval/ai.utils');
+const { upsertEventVector, removeEventVector } = require('../ai-retrieval/ai.vectorIndex');
+
+const MAX_PAGE_SIZE = 100;
+
+const toObjectId = (id) => (mongoose.Types.ObjectId.isValid(id) && String(id).length === 24
+    ? new mongoose.Types.ObjectId(id)
+    : null);
+
+/**
+ * Admin view of an event: no embedding vector, just whether one exists
+ */
+const toAdminView = (event) => {
+    if (!event) return null;
+    const { embedding, ...rest } = event;
+    return { ...rest, has_embedding: Array.isArray(embedding) && embedding.length > 0 };
+};
+
+/**
+ * Record who changed what and when, then make the change. The entry is written
+ * first so no change goes unaudited; when the change itself fails, the entry
+ * is taken back out.
+ *
+ * @param {Function} applyChange - writes the change to the event
+ */
+const auditedChange = async (eventId, action, actor, changes, reason, applyChange) => {
+    const entry = await AuditEntry.create({
+        event_id: eventId,
+        action,
+        actor,
+        at: new Date(),
+        changes,
+        reason
+    });
+    try {
+        await applyChange();
+    } catch (error) {
+        await AuditEntry.deleteOne({ _id: entry._id }).catch(cleanupError => {
+            console.error(`[Admin] Could not remove audit entry ${entry._id} of a failed ${action}:`, cleanupError.message);
+        });
+        throw error;
+    }
+};
+
+const STATUS_FILTERS = {
+    active: { deleted_at: null },
+    deleted: { deleted_at: { $ne: null } },
+    archived: { deleted_at: null, archived_at: { $ne: null } },
+    all: {}
+};
+
+/**
+ * List events for moderation
+ *
+ * @param {Object} options - { status: 'active'|'deleted'|'archived'|'all', q, page, limit }
+ */
+const listEvents = async ({ status = 'active', q, page = 1, limit = 20 } = {}) => {
+    const filter = { ...(STATUS_FILTERS[status] || STATUS_FILTERS.active) };
+    if (q) {
+        const regex = new RegExp(escapeRegex(q), 'i');
+        filter.$or = [
+            { "event_details.event_name": regex },
+            { "event_details.location": regex },
+            { "event_details.organizer": regex }
+        ];
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [events, total] = await Promise.all([
+        Event.find(filter)
+            .select('-embedding -raw_ocr')
+            .sort({ _id: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        Event.countDocuments(filter)
+    ]);
+
+    return { events, total, page: pageNumber, limit: pageSize };
+};
+
+const getEvent = async (id) => {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    return toAdminView(await Event.findById(_id).lean());
+};
+
+/**
+ * Update event_details fields (and/or full_text). Normalized dates, quality
+ * score and the embedding are regenerated from the new values.
+ *
+ * @returns {Promise<null | { errors: string[] } | { event: Object, changes: Object[] }>}
+ */
+const updateEvent = async (id, updates, actor, reason = null) => {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+
+    const event = await Event.findById(_id).lean();
+    if (!event) return null;
+
+    const patch = updates.event_details || {};
+    const unknownFields = Object.keys(patch).filter(field => !EVENT_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        return { errors: unknownFields.map(field => `${field} is not an editable field.`) };
+    }
+    if (updates.full_text !== undefined && typeof updates.full_text !== 'string') {
+        return { errors: ['full_text must be a string.'] };
+    }
+
+    // Only the fields being changed are validated - legacy values elsewhere are left alone
+    const { value, errors } = validateEventDetails(patch, { strict: true, requireName: false });
+    if ('event_name' in patch && value.event_name === 'N/A') {
+        errors.push('event_name cannot be empty.');
+    }
+    if (errors.length > 0) return { errors };
+
+    const currentDetails = event.event_details || {};
+    const nextDetails = { ...currentDetails };
+    const changes = [];
+    Object.keys(patch).forEach(field => {
+        if ((currentDetails[field] ?? 'N/A') !== value[field]) {
+            changes.push({ field: `event_details.${field}`, from: currentDetails[field] ?? null, to: value[field] });
+            nextDetails[field] = value[field];
+        }
+    });
+    if (updates.full_text !== undefined && updates.full_text !== event.full_text) {
+        changes.push({ field: 'full_text', from: event.full_text ?? null, to: updates.full_text });
+    }
+
+    if (changes.length === 0) {
+        return { event: toAdminView(event), changes };
+    }
+
+    const nextEvent = {
+        ...event,
+        event_details: nextDetails,
+        full_text: updates.full_text !== undefined ? updates.full_text : event.full_text
+    };
+
+    // Regenerate everything derived from the edited fields
+    const derived = await computeDerivedFields(nextEvent, { referenceDate: _id.getTimestamp() });
+    const $set = {
+        event_details: nextDetails,
+        ...derived,
+        updated_at: new Date(),
+        updated_by: actor
+    };
+    if (updates.full_text !== undefined) {
+        $set.full_text = updates.full_text;
+    }
+    const update = { $set };
+    if (!derived.embedding) {
+        // Drop the stale vector so add_embeddings.js picks the event up again
+        delete $set.embedding;
+        update.$unset = { embedding: '', embedding_meta: '' };
+        console.warn(`[Admin] Re-embedding failed for ${_id}; embedding cleared.`);
+    }
+
+    await auditedChange(_id, 'update', actor, changes, reason, () => Event.updateOne({ _id }, update, { runValidators: true }));
+    if (derived.embedding) upsertEventVector(_id, derived.embedding);
+    else removeEventVector(_id);
+
+    return { event: await getEvent(id), changes };
+};
+
+/**
+ * Soft-delete: hidden from chat and search, but restorable
+ */
+const softDeleteEvent = async (id, actor, reason = null) => {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+
+    const event = await Event.findById(_id).lean();
+    if (!event) return null;
+    if (event.deleted_at) return { event: toAdminView(event), changed: false };
+
+    const now = new Date();
+    await auditedChange(_id, 'delete', actor, [{ field: 'deleted_at', from: null, to: now }], reason, () => Event.updateOne({ _id }, {
+        $set: { deleted_at: now, deleted_by: actor, delete_reason: reason }
+    }));
+    removeEventVector(_id);
+
+    return { event: await getEvent(id), changed: true };
+};
+
+const restoreEvent = async (id, actor, reason = null) => {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+
+    const event = await Event.findById(_id).lean();
+    if (!event) return null;
+    if (!event.deleted_at) return { event: toAdminView(event), changed: false };
+
+    await auditedChange(_id, 'restore', actor, [{ field: 'deleted_at', from: event.deleted_at, to: null }], reason, () => Event.updateOne({ _id }, {
+        $set: { deleted_at: null, updated_at: new Date(), updated_by: actor },
+        $unset: { deleted_by: '', delete_reason: '' }
+    }));
+    upsertEventVector(_id, event.embedding);
+
+    return { event: await getEvent(id), changed: true };
+};
+
+/**
+ * Audit entries, newest first; pass an event id to scope to one event
+ */
+const getAuditTrail = async ({ eventId, page = 1, limit = 50 } = {}) => {
+    const filter = {};
+    if (eventId) {
+        const _id = toObjectId(eventId);
+        if (!_id) return null;
+        filter.event_id = _id;
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const entries = await AuditEntry.find(filter)
+        .sort({ at: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean();
+
+    return { entries, page: pageNumber, limit: pageSize };
+};
+
+module.exports = {
+    listEvents,
+    getEvent,
+    updateEvent,
+    softDeleteEvent,
+    restoreEvent,
+    getAuditTrail
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Longest reason an admin can give for a change
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * One admin change to an event: who did what, when, and the before/after values
+ */
+const auditEntrySchema = new mongoose.Schema({
+    event_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true, index: true },
+    action: { type: String, enum: ['update', 'delete', 'restore'], required: true },
+    actor: { type: String, required: true },
+    at: { type: Date, default: Date.now, index: true },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    reason: { type: String, trim: true, maxlength: MAX_REASON_LENGTH, default: null }
+}, {
+    collection: 'event_audit',
+    versionKey: false
+});
+
+const AuditEntry = mongoose.models.AuditEntry || mongoose.model('AuditEntry', auditEntrySchema);
+
+module.exports = {
+    AuditEntry,
+    MAX_REASON_LENGTH
+};
@@ -0,0 +1,107 @@
+const { Event } = require('../events/event.model');
+
+/**
+ * Event lifecycle: which events count as "upcoming", when a question asks
+ * about the past, and the job that archives events once they have ended.
+ */
+
+const ARCHIVE_CONFIG = {
+    // Keep an event visible for a little while after it ends (late-night events, timezone slop)
+    graceHours: parseFloat(process.env.ARCHIVE_GRACE_HOURS || '6'),
+    // How often the in-process archive job runs; 0 disables it
+    intervalMinutes: parseFloat(process.env.ARCHIVE_INTERVAL_MINUTES || '60')
+};
+
+const PAST_PATTERNS = [
+    /\b(past|previous|earlier|older|old|ended|finished|archived?)\s+(events?|shows?|concerts?|festivals?)\b/,
+    /\bwhat\s+(happened|went on|was on)\b/,
+    /\b(happened|took place|was held|were held)\b/,
+    /\b(already|ago)\b/
+];
+
+/**
+ * Mongo filter excluding events an admin has soft-deleted; applies everywhere
+ */
+const buildVisibleFilter = () => ({ deleted_at: null });
+
+/**
+ * Mongo filter for events the chat should recommend by default:
+ * not archived, and either still running or without a known end date.
+ */
+const buildUpcomingFilter = (now = new Date()) => ({
+    archived_at: null,
+    $or: [
+        { ends_at: { $gte: now } },
+        { ends_at: null }
+    ]
+});
+
+/**
+ * Does the question explicitly ask about events that already happened?
+ */
+const wantsPastEvents = (question, timeWindow = null) => {
+    if (timeWindow && timeWindow.isPast) return true;
+    const q = (question || '').toLowerCase();
+    return PAST_PATTERNS.some(pattern => pattern.test(q));
+};
+
+/**
+ * Mark events whose normalized end date has passed as archived.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.graceHours] - how long after `ends_at` an event stays live
+ * @param {boolean} [options.dryRun] - only count, don't write
+ * @returns {Promise<{ matched: number, archived: number }>}
+ */
+const archiveExpiredEvents = async (options = {}) => {
+    const now = options.now || new Date();
+    const graceHours = options.graceHours ?? ARCHIVE_CONFIG.graceHours;
+    const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000);
+    const query = { archived_at: null, ends_at: { $lt: cutoff } };
+
+    if (options.dryRun) {
+        const matched = await Event.countDocuments(query);
+        return { matched, archived: 0 };
+    }
+
+    const result = await Event.updateMany(query, {
+        $set: { archived_at: now, archive_reason: 'expired' }
+    });
+    return { matched: result.matchedCount, archived: result.modifiedCount };
+};
+
+/**
+ * Run the archive job periodically inside the server process
+ */
+const startArchiveJob = () => {
+    if (!ARCHIVE_CONFIG.intervalMinutes || ARCHIVE_CONFIG.intervalMinutes <= 0) {
+        console.log('[Archive] Periodic archiving disabled (ARCHIVE_INTERVAL_MINUTES=0)');
+        return null;
+    }
+
+    const run = async () => {
+        try {
+            const { archived } = await archiveExpiredEvents();
+            if (archived > 0) {
+                console.log(`[Archive] Archived ${archived} expired events`);
+            }
+        } catch (error) {
+            console.error('[Archive] Job failed:', error.message);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, ARCHIVE_CONFIG.intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    ARCHIVE_CONFIG,
+    buildVisibleFilter,
+    buildUpcomingFilter,
+    wantsPastEvents,
+    archiveExpiredEvents,
+    startArchiveJob
+};
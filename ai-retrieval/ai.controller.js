@@ -1,24 +1,140 @@
 const aiService = require('./ai.service');
 const { responseFormatter } = require('./ai.utils');
+const { parseSearchQuery, hasSearchTerms, SEARCH_CONFIG } = require('./ai.textSearch');
+const { parseFieldsParam, serializeEvents } = require('../events/events.serializer');
+const conversationsService = require('../conversations/conversations.service');
+const { readSessionId } = require('../conversations/conversations.middleware');
+const profilesService = require('../profiles/profiles.service');
 
 /**
- * Handle AI Chat Route
+ * Work out which stored conversation a chat request continues (body.conversationId,
+ * owned by the X-Session-Id session), and whose profile applies. Without a
+ * conversationId the answer starts a new conversation; only then is a
+ * client-supplied conversationHistory (deprecated) used.
+ *
+ * @returns {Promise<{ error: { status: number, body: Object } } | { sessionId: string, conversation: Object|null, history: Object[], identity: Object, profile: Object|null }>}
+ */
+const resolveConversation = async (req) => {
+    const context = await findConversation(req);
+    if (context.error) return context;
+    // Signed-in users by their verified uid, anonymous users by their device's session id (see profiles/)
+    const identity = req.user ? { type: 'user', id: req.user.uid } : { type: 'device', id: context.sessionId };
+    return { ...context, identity, profile: await profilesService.getProfile(identity) };
+};
+
+const findConversation = async (req) => {
+    const { conversationId, conversationHistory } = req.body;
+    const sessionId = readSessionId(req);
+    if (sessionId === null) {
+        return { error: { status: 400, body: { error: "X-Session-Id must be 16-128 letters, digits, - or _." } } };
+    }
+
+    if (conversationId !== undefined && conversationId !== null) {
+        if (typeof conversationId !== 'string') {
+            return { error: { status: 400, body: { error: "conversationId must be a string." } } };
+        }
+        if (!sessionId) {
+            return { error: { status: 400, body: { error: "The X-Session-Id header is required to continue a conversation." } } };
+        }
+        const conversation = await conversationsService.getConversation(conversationId, sessionId);
+        if (!conversation) {
+            return { error: { status: 404, body: { error: "Conversation not found." } } };
+        }
+        return {
+            sessionId,
+            conversation,
+            history: conversationsService.toChatHistory(conversation)
+        };
+    }
+
+    return {
+        sessionId: sessionId || conversationsService.createSessionId(),
+        conversation: null,
+        history: Array.isArray(conversationHistory) ? conversationHistory : []
+    };
+};
+
+/**
+ * Store the exchange; a storage failure doesn't cost the user their answer
+ *
+ * @returns {Promise<string|null>} the conversation id
+ */
+const saveExchange = async (context, question, result, askedAt) => {
+    try {
+        return await conversationsService.recordExchange({
+            conversation: context.conversation,
+            sessionId: context.sessionId,
+            question,
+            result,
+            askedAt
+        });
+    } catch (error) {
+        console.error("[Conversations] Could not save exchange:", error.message);
+        return context.conversation?._id.toString() || null;
+    }
+};
+
+// The profile keeps awaiting the confirmation, so another yes retries
+const FORGET_FAILED_ANSWER = "Sorry, I couldn't delete everything just now, so some of your data may still be stored. Reply 'yes' to try again.";
+
+/**
+ * After an answer: a confirmed "forget my data" deletes the profile and
+ * conversations (when that fails, result.answer says so instead); otherwise
+ * update the profile and store the exchange. Storage failures are logged,
+ * the user still gets their answer.
+ *
+ * @returns {Promise<string|null>} the conversation id (null once forgotten)
+ */
+const finishChatTurn = async (context, question, result, askedAt) => {
+    if (result.forgetData) {
+        try {
+            await profilesService.forgetUser(context.identity, context.sessionId);
+        } catch (error) {
+            console.error("[Profiles] Could not forget user:", error.message);
+            result.answer = FORGET_FAILED_ANSWER;
+        }
+        return null;
+    }
+    try {
+        await profilesService.recordChatTurn(context.identity, context.profile, result);
+    } catch (error) {
+        console.error("[Profiles] Could not update profile:", error.message);
+    }
+    return saveExchange(context, question, result, askedAt);
+};
+
+/**
+ * Handle AI Chat Route. The user comes from the verified ID token (req.user,
+ * see auth/); a `user` object in the body is ignored.
  */
 const handleChat = async (req, res) => {
-    const { question, conversationHistory, user } = req.body;
+    const { question } = req.body;
+    const askedAt = new Date();
 
     // 1. Validate Input
     if (!question || typeof question !== 'string') {
         return res.status(400).json({ error: "Please provide a valid question string." });
     }
+    const { fields, errors: fieldErrors } = parseFieldsParam(req.body.fields);
+    if (fieldErrors.length > 0) {
+        return res.status(400).json({ error: "Invalid fields.", details: fieldErrors });
+    }
 
     try {
-        // 2. Call Retrieval Logic with conversation history and user info
-        const result = await aiService.getChatResponse(question, conversationHistory || [], user || null);
+        const context = await resolveConversation(req);
+        if (context.error) return res.status(context.error.status).json(context.error.body);
 
-        // 3. Return Formatted Response
-        const formattedResponse = responseFormatter(result.answer, result.sources);
-        res.json(formattedResponse);
+        // 2. Call Retrieval Logic with the stored conversation, profile and signed-in user
+        const result = await aiService.getChatResponse(question, context.history, req.user, {
+            profile: context.profile,
+            sessionId: context.sessionId
+        });
+        const conversationId = await finishChatTurn(context, question, result, askedAt);
+
+        // 3. Return Formatted Response (sources as event cards, see events.serializer.js)
+        const sources = serializeEvents(result.sources, { query: question, fields });
+        const formattedResponse = responseFormatter(result.answer, sources, result.metadata);
+        res.json({ ...formattedResponse, conversationId, sessionId: context.sessionId });
     } catch (error) {
         console.error("Chat Controller Error:", error);
         res.status(500).json({
@@ -28,20 +144,156 @@ const handleChat = async (req, res) => {
     }
 };
 
+// Comment line sent every so often so proxies don't close an idle stream
+const STREAM_HEARTBEAT_MS = 15000;
+
+const sameEvents = (a, b) => a.length === b.length && a.every((event, index) => String(event._id) === String(b[index]._id));
+
+/**
+ * Handle Streaming AI Chat Route (Server-Sent Events)
+ *
+ * Events, in order:
+ *   sources  { sources }            event cards, before the answer is generated
+ *   token    { text }               a piece of the answer (repeated)
+ *   done     { answer, metadata, conversationId, sessionId }
+ *                                   the complete answer; replaces the streamed text
+ *   error    { error, details }     instead of done when something went wrong
+ */
+const handleChatStream = async (req, res) => {
+    const { question } = req.body;
+    const askedAt = new Date();
+
+    if (!question || typeof question !== 'string') {
+        return res.status(400).json({ error: "Please provide a valid question string." });
+    }
+    const { fields, errors: fieldErrors } = parseFieldsParam(req.body.fields);
+    if (fieldErrors.length > 0) {
+        return res.status(400).json({ error: "Invalid fields.", details: fieldErrors });
+    }
+
+    let context;
+    try {
+        context = await resolveConversation(req);
+    } catch (error) {
+        console.error("Chat Stream Controller Error:", error);
+        return res.status(500).json({ error: "An error occurred while processing your request.", details: error.message });
+    }
+    if (context.error) return res.status(context.error.status).json(context.error.body);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+
+    // Stop retrieval / generation when the client goes away
+    const abort = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log("[Chat Stream] Client disconnected, stopping generation.");
+            abort.abort();
+        }
+    });
+
+    const send = (event, data) => {
+        if (!abort.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => {
+        if (!abort.signal.aborted) res.write(': ping\n\n');
+    }, STREAM_HEARTBEAT_MS);
+
+    let sentSources = null;
+    const sendSources = (events) => {
+        sentSources = events;
+        send('sources', { sources: serializeEvents(events, { query: question, fields }) });
+    };
+    let streamedText = '';
+
+    try {
+        const result = await aiService.getChatResponse(question, context.history, req.user, {
+            profile: context.profile,
+            sessionId: context.sessionId,
+            onSources: sendSources,
+            onToken: (text) => {
+                streamedText += text;
+                send('token', { text });
+            },
+            signal: abort.signal
+        });
+
+        // Nobody is listening any more; don't store half a conversation either
+        if (abort.signal.aborted) return;
+        const conversationId = await finishChatTurn(context, question, result, askedAt);
+
+        // Local intents and fallbacks answer without streaming
+        if (!sentSources || !sameEvents(sentSources, result.sources || [])) sendSources(result.sources || []);
+        if (!streamedText) send('token', { text: result.answer });
+        send('done', { answer: result.answer, metadata: result.metadata || null, conversationId, sessionId: context.sessionId });
+    } catch (error) {
+        console.error("Chat Stream Controller Error:", error);
+        send('error', {
+            error: "An error occurred while processing your request.",
+            details: error.message
+        });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+};
+
+/**
+ * Parse an optional ISO date from the request body
+ */
+const parseOptionalDate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
 /**
  * Handle Standard Search Route (No AI)
  */
 const handleStandardSearch = async (req, res) => {
-    const { query } = req.body;
+    const { query, dateFrom, dateTo, sort, page, limit } = req.body;
+    const { fields, errors: fieldErrors } = parseFieldsParam(req.body.fields);
 
     if (!query || typeof query !== 'string') {
         return res.status(400).json({ error: "Please provide a valid query string." });
     }
+    if (!hasSearchTerms(parseSearchQuery(query))) {
+        return res.status(400).json({ error: "query must contain at least one word or \"phrase\" to search for, not only -exclusions." });
+    }
+
+    const from = parseOptionalDate(dateFrom);
+    const to = parseOptionalDate(dateTo);
+    if (from === undefined || to === undefined) {
+        return res.status(400).json({ error: "dateFrom and dateTo must be valid ISO dates." });
+    }
+    if (sort !== undefined && !['relevance', 'date', 'date_desc'].includes(sort)) {
+        return res.status(400).json({ error: "sort must be one of: relevance, date, date_desc." });
+    }
+    if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= SEARCH_CONFIG.maxLimit)) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${SEARCH_CONFIG.maxLimit}.` });
+    }
+    if (page !== undefined && !(Number.isInteger(page) && page >= 1)) {
+        return res.status(400).json({ error: "page must be a positive integer." });
+    }
+    if (fieldErrors.length > 0) {
+        return res.status(400).json({ error: "Invalid fields.", details: fieldErrors });
+    }
 
     try {
-        const result = await aiService.performStandardSearch(query);
+        const result = await aiService.performStandardSearch(query, {
+            dateRange: (from || to) ? { from, to } : null,
+            sort,
+            page,
+            limit
+        });
         // 3. Return Formatted Response (reusing same formatter)
-        const formattedResponse = responseFormatter(result.answer, result.sources);
+        const sources = serializeEvents(result.sources, { query, fields });
+        const formattedResponse = responseFormatter(result.answer, sources, result.metadata);
         res.json(formattedResponse);
     } catch (error) {
         console.error("Search Controller Error:", error);
@@ -54,5 +306,6 @@ const handleStandardSearch = async (req, res) => {
 
 module.exports = {
     handleChat,
+    handleChatStream,
     handleStandardSearch
 };
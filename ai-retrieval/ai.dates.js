@@ -0,0 +1,436 @@
+/**
+ * Date normalization for event records.
+ *
+ * `event_details.event_date` / `event_time` come straight out of poster OCR as
+ * free text ("25th & 26th January 2026", "6 PM onwards"). These helpers turn
+ * them into real `starts_at` / `ends_at` timestamps so retrieval can filter and
+ * sort on dates instead of regex guessing.
+ */
+
+const DATE_CONFIG = {
+    timezone: process.env.EVENTS_TIMEZONE || 'Asia/Kolkata'
+};
+
+const MONTHS = {
+    jan: 0, january: 0,
+    feb: 1, february: 1,
+    mar: 2, march: 2,
+    apr: 3, april: 3,
+    may: 4,
+    jun: 5, june: 5,
+    jul: 6, july: 6,
+    aug: 7, august: 7,
+    sep: 8, sept: 8, september: 8,
+    oct: 9, october: 9,
+    nov: 10, november: 10,
+    dec: 11, december: 11
+};
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|to|till|until|&|and)\\s*';
+
+// Confidence levels, from strongest to weakest
+const CONFIDENCE = {
+    HIGH: 'high',     // explicit day, month and year
+    MEDIUM: 'medium', // year inferred or day/month order ambiguous
+    LOW: 'low',       // month-only precision or taken from full_text
+    NONE: 'none'      // could not be parsed
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Offset (in ms) between UTC and the given timezone at a specific instant
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const map = {};
+    parts.forEach(part => { map[part.type] = part.value; });
+
+    const asUtc = Date.UTC(+map.year, +map.month - 1, +map.day, +map.hour, +map.minute, +map.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Build a UTC Date from wall-clock components in the given timezone
+ */
+const zonedTimeToUtc = (year, month, day, hour = 0, minute = 0, timeZone = DATE_CONFIG.timezone) => {
+    const guess = Date.UTC(year, month, day, hour, minute);
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    let result = guess - offset;
+
+    // Re-check once in case the guess crossed a DST boundary
+    const correctedOffset = getTimeZoneOffset(new Date(result), timeZone);
+    if (correctedOffset !== offset) {
+        result = guess - correctedOffset;
+    }
+    return new Date(result);
+};
+
+/**
+ * Wall-clock components of a Date in the given timezone
+ */
+const getZonedParts = (date, timeZone = DATE_CONFIG.timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date);
+
+    const map = {};
+    parts.forEach(part => { map[part.type] = part.value; });
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    return {
+        year: +map.year,
+        month: +map.month - 1,
+        day: +map.day,
+        hour: +map.hour,
+        minute: +map.minute,
+        weekday: weekdays.indexOf(map.weekday)
+    };
+};
+
+/**
+ * Start and end (inclusive) of a local calendar day
+ */
+const startOfDay = (year, month, day, timeZone = DATE_CONFIG.timezone) => zonedTimeToUtc(year, month, day, 0, 0, timeZone);
+const endOfDay = (year, month, day, timeZone = DATE_CONFIG.timezone) =>
+    new Date(zonedTimeToUtc(year, month, day + 1, 0, 0, timeZone).getTime() - 1);
+
+const isMissing = (value) => !value || typeof value !== 'string' || value.trim().length === 0 || value.trim().toUpperCase() === 'N/A';
+
+const toYear = (value) => {
+    if (!value) return null;
+    const year = parseInt(value, 10);
+    if (value.length === 2) return 2000 + year;
+    return year;
+};
+
+const isValidDay = (year, month, day) => {
+    if (month < 0 || month > 11 || day < 1 || day > 31) return false;
+    const probe = new Date(Date.UTC(year || 2024, month, day));
+    return probe.getUTCMonth() === month;
+};
+
+/**
+ * Clean up OCR noise: ordinals, weekday names, stray punctuation
+ */
+const cleanDateText = (text) => text
+    .toLowerCase()
+    .replace(/(\d{1,2})\s*(st|nd|rd|th)\b/g, '$1')
+    .replace(/\b(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(day|nesday|rsday|urday)?\b\.?/g, ' ')
+    .replace(/[,]/g, ' ')
+    .replace(/\bof\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Extract date mentions ({ year, month, day, precision }) from free text, in order
+ */
+const extractDateMentions = (rawText, { allowNumeric = true } = {}) => {
+    const text = cleanDateText(rawText);
+    const mentions = [];
+    let ambiguous = false;
+
+    const push = (index, year, month, day, precision = 'day') => {
+        if (precision === 'day' && !isValidDay(year, month, day)) return;
+        mentions.push({ index, year, month, day, precision });
+    };
+
+    // ISO: 2026-01-25
+    for (const match of text.matchAll(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g)) {
+        push(match.index, +match[1], +match[2] - 1, +match[3]);
+    }
+
+    // Numeric: 25/01/2026, 25.01.26, 25-01-2026 (day-first unless impossible)
+    if (allowNumeric) {
+        for (const match of text.matchAll(/\b(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})\b/g)) {
+            const first = +match[1];
+            const second = +match[2];
+            let day = first;
+            let month = second;
+            if (second > 12 && first <= 12) {
+                day = second;
+                month = first;
+            } else if (first <= 12 && second <= 12 && first !== second) {
+                ambiguous = true;
+            }
+            push(match.index, toYear(match[3]), month - 1, day);
+        }
+    }
+
+    const consumed = [];
+    const overlaps = (start, end) => consumed.some(([s, e]) => start < e && end > s);
+    const consume = (match) => consumed.push([match.index, match.index + match[0].length]);
+
+    // Day range within one month: 25-27 January 2026, 25 & 26 jan
+    const dayRange = new RegExp(`\\b(\\d{1,2})${RANGE_SEPARATOR}(\\d{1,2})\\s*${MONTH_PATTERN}\\b(?:\\s*'?(\\d{4}|\\d{2})\\b)?`, 'g');
+    for (const match of text.matchAll(dayRange)) {
+        const month = MONTHS[match[3]];
+        const year = toYear(match[4]);
+        push(match.index, year, month, +match[1]);
+        push(match.index + 1, year, month, +match[2]);
+        consume(match);
+    }
+
+    // Month-first range: January 25-27 2026
+    const monthFirstRange = new RegExp(`\\b${MONTH_PATTERN}\\s*(\\d{1,2})${RANGE_SEPARATOR}(\\d{1,2})\\b(?!\\s*${MONTH_PATTERN})(?:\\s*'?(\\d{4}))?`, 'g');
+    for (const match of text.matchAll(monthFirstRange)) {
+        if (overlaps(match.index, match.index + match[0].length)) continue;
+        const month = MONTHS[match[1]];
+        const year = toYear(match[4]);
+        push(match.index, year, month, +match[2]);
+        push(match.index + 1, year, month, +match[3]);
+        consume(match);
+    }
+
+    // Day-first point: 25 January 2026
+    const dayFirst = new RegExp(`\\b(\\d{1,2})\\s*${MONTH_PATTERN}\\b(?:\\s*'?(\\d{4}|\\d{2})\\b)?`, 'g');
+    for (const match of text.matchAll(dayFirst)) {
+        if (overlaps(match.index, match.index + match[0].length)) continue;
+        push(match.index, toYear(match[3]), MONTHS[match[2]], +match[1]);
+        consume(match);
+    }
+
+    // Month-first point: January 25 2026
+    const monthFirst = new RegExp(`\\b${MONTH_PATTERN}\\s*(\\d{1,2})\\b(?!\\s*(?::|am|pm))(?:\\s*'?(\\d{4}))?`, 'g');
+    for (const match of text.matchAll(monthFirst)) {
+        if (overlaps(match.index, match.index + match[0].length)) continue;
+        push(match.index, toYear(match[3]), MONTHS[match[1]], +match[2]);
+        consume(match);
+    }
+
+    // Month-only: "January 2026" (whole month)
+    if (mentions.length === 0) {
+        const monthOnly = new RegExp(`\\b${MONTH_PATTERN}\\b(?:\\s*'?(\\d{4}))?`, 'g');
+        for (const match of text.matchAll(monthOnly)) {
+            push(match.index, toYear(match[2]), MONTHS[match[1]], 1, 'month');
+        }
+    }
+
+    mentions.sort((a, b) => a.index - b.index);
+
+    // A trailing year applies to earlier mentions without one ("Jan 25 - Feb 2, 2026")
+    const explicitYear = mentions.find(m => m.year)?.year || toYear((text.match(/\b(20\d{2})\b/) || [])[1]);
+    const yearWasExplicit = Boolean(explicitYear);
+    mentions.forEach(m => {
+        m.yearInferred = !m.year && !explicitYear;
+        if (!m.year && explicitYear) m.year = explicitYear;
+    });
+
+    return { mentions, ambiguous, yearWasExplicit };
+};
+
+/**
+ * Extract start/end wall-clock times from a free-text time string
+ */
+const parseTimeRange = (rawText, { strict = false } = {}) => {
+    if (isMissing(rawText)) return null;
+    const text = rawText.toLowerCase()
+        .replace(/a\.m\.?/g, 'am')
+        .replace(/p\.m\.?/g, 'pm')
+        .replace(/\bnoon\b/g, '12 pm')
+        .replace(/\bmidnight\b/g, '12 am');
+
+    const times = [];
+    for (const match of text.matchAll(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|hrs|hours)?\b/g)) {
+        const hour = +match[1];
+        const minute = match[2] ? +match[2] : 0;
+        // Ignore bare numbers that can't be a time ("2 days", "100")
+        if (hour > 23 || minute > 59) continue;
+        if (!match[2] && !match[3] && (strict || !/(-|–|to|till|until|from|onwards|at)/.test(text))) continue;
+        times.push({ hour, minute, meridiem: match[3] === 'am' || match[3] === 'pm' ? match[3] : null, twentyFour: Boolean(match[2]) && !match[3] && hour > 12 });
+        if (times.length === 2) break;
+    }
+
+    if (times.length === 0) return null;
+
+    // "6 - 10 PM": the first time inherits the second's meridiem
+    if (times.length === 2 && !times[0].meridiem && times[1].meridiem) {
+        times[0].meridiem = times[1].meridiem;
+        if (times[0].meridiem === 'pm' && times[0].hour > times[1].hour && times[1].hour !== 12) {
+            times[0].meridiem = 'am';
+        }
+    }
+
+    const to24 = (t) => {
+        let hour = t.hour;
+        if (t.meridiem === 'pm' && hour < 12) hour += 12;
+        if (t.meridiem === 'am' && hour === 12) hour = 0;
+        // No meridiem on a small hour: events at 1-7 are almost always evening
+        if (!t.meridiem && !t.twentyFour && hour >= 1 && hour <= 7) hour += 12;
+        return { hour, minute: t.minute };
+    };
+
+    return {
+        start: to24(times[0]),
+        end: times[1] ? to24(times[1]) : null
+    };
+};
+
+/**
+ * Pick a year for a date with no explicit year: the reference year, unless that
+ * puts the date well in the past relative to when the poster was ingested.
+ */
+const inferYear = (month, day, referenceDate, timeZone) => {
+    const ref = getZonedParts(referenceDate, timeZone);
+    const candidate = zonedTimeToUtc(ref.year, month, day, 0, 0, timeZone);
+    if (referenceDate.getTime() - candidate.getTime() > 60 * DAY_MS) {
+        return ref.year + 1;
+    }
+    return ref.year;
+};
+
+/**
+ * Parse free-text date and time strings into a normalized schedule.
+ *
+ * @param {string} dateText - e.g. "25th & 26th January 2026"
+ * @param {string} [timeText] - e.g. "6 PM - 10 PM"
+ * @param {Object} [options]
+ * @param {Date} [options.referenceDate] - used to infer missing years (defaults to now)
+ * @param {string} [options.timezone] - IANA zone the poster times are in
+ * @returns {{ starts_at: Date|null, ends_at: Date|null, all_day: boolean, date_confidence: string }}
+ */
+const parseEventDate = (dateText, timeText, options = {}) => {
+    const timeZone = options.timezone || DATE_CONFIG.timezone;
+    const referenceDate = options.referenceDate || new Date();
+    const empty = { starts_at: null, ends_at: null, all_day: false, date_confidence: CONFIDENCE.NONE };
+
+    if (isMissing(dateText)) return empty;
+
+    const { mentions, ambiguous } = extractDateMentions(dateText, { allowNumeric: options.allowNumeric !== false });
+    if (mentions.length === 0) return empty;
+
+    const first = mentions[0];
+    const last = mentions[mentions.length - 1];
+
+    let startYear = first.year || inferYear(first.month, first.day, referenceDate, timeZone);
+    let endYear = last.year || startYear;
+    // "Dec 30 - Jan 2" rolls over into the next year
+    if (!last.year && (last.month < first.month)) {
+        endYear = startYear + 1;
+    }
+
+    let confidence = CONFIDENCE.HIGH;
+    if (first.yearInferred || ambiguous) confidence = CONFIDENCE.MEDIUM;
+    if (first.precision === 'month') confidence = CONFIDENCE.LOW;
+
+    if (first.precision === 'month') {
+        return {
+            starts_at: startOfDay(startYear, first.month, 1, timeZone),
+            ends_at: endOfDay(endYear, last.month + 1, 0, timeZone),
+            all_day: true,
+            date_confidence: confidence
+        };
+    }
+
+    const time = parseTimeRange(timeText) || parseTimeRange(dateText, { strict: true });
+
+    let startsAt;
+    let endsAt;
+    if (time) {
+        startsAt = zonedTimeToUtc(startYear, first.month, first.day, time.start.hour, time.start.minute, timeZone);
+        if (time.end) {
+            endsAt = zonedTimeToUtc(endYear, last.month, last.day, time.end.hour, time.end.minute, timeZone);
+            // Overnight events ("9 PM - 2 AM") end on the following day
+            if (endsAt <= startsAt) {
+                endsAt = new Date(endsAt.getTime() + DAY_MS);
+            }
+        } else {
+            endsAt = endOfDay(endYear, last.month, last.day, timeZone);
+        }
+    } else {
+        startsAt = startOfDay(startYear, first.month, first.day, timeZone);
+        endsAt = endOfDay(endYear, last.month, last.day, timeZone);
+    }
+
+    if (endsAt < startsAt) {
+        endsAt = endOfDay(startYear, first.month, first.day, timeZone);
+    }
+
+    return {
+        starts_at: startsAt,
+        ends_at: endsAt,
+        all_day: !time,
+        date_confidence: confidence
+    };
+};
+
+/**
+ * Normalize an event document's dates. Falls back to textual dates found in
+ * `full_text` (low confidence) when `event_date` is missing or unparseable.
+ *
+ * @param {Object} event - event document (needs `event_details`, optionally `full_text` and `_id`)
+ * @returns {Object} fields to `$set` on the document
+ */
+const normalizeEventDates = (event, options = {}) => {
+    const details = event.event_details || {};
+    // The ObjectId timestamp is when the poster was ingested - the best anchor for a missing year
+    const referenceDate = options.referenceDate
+        || (event._id && typeof event._id.getTimestamp === 'function' ? event._id.getTimestamp() : new Date());
+    const parseOptions = { ...options, referenceDate };
+
+    let result = parseEventDate(details.event_date, details.event_time, parseOptions);
+
+    if (!result.starts_at && !isMissing(event.full_text)) {
+        const fromText = parseEventDate(event.full_text, details.event_time, { ...parseOptions, allowNumeric: false });
+        if (fromText.starts_at) {
+            result = { ...fromText, date_confidence: CONFIDENCE.LOW };
+        }
+    }
+
+    return {
+        ...result,
+        date_normalized_at: new Date()
+    };
+};
+
+/**
+ * Mongo filter for events overlapping the [from, to] window
+ */
+const buildDateRangeFilter = (dateRange) => {
+    if (!dateRange || (!dateRange.from && !dateRange.to)) return {};
+    const filter = {};
+    if (dateRange.to) filter.starts_at = { $lte: dateRange.to };
+    if (dateRange.from) filter.ends_at = { $gte: dateRange.from };
+    return filter;
+};
+
+/**
+ * Aggregation stages sorting on `starts_at` with undated events last
+ */
+const buildDateSortStages = (direction = 1) => [
+    { $addFields: { _undated: { $cond: [{ $ifNull: ['$starts_at', false] }, 0, 1] } } },
+    { $sort: { _undated: 1, starts_at: direction } },
+    { $project: { _undated: 0 } }
+];
+
+module.exports = {
+    DATE_CONFIG,
+    CONFIDENCE,
+    parseEventDate,
+    parseTimeRange,
+    normalizeEventDates,
+    buildDateRangeFilter,
+    buildDateSortStages,
+    zonedTimeToUtc,
+    getZonedParts,
+    startOfDay,
+    endOfDay
+};
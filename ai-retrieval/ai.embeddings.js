@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const { Event } = require('../events/event.model');
+const { getEmbeddingProvider, embedTexts: embedWithProvider } = require('./providers');
+const { DEFAULT_DIMENSIONS: MOCK_DIMENSIONS } = require('./providers/mock');
+
+/**
+ * Shared embedding pipeline.
+ *
+ * Stored event vectors and query vectors must come from the same provider and
+ * model, so both go through here (the backend itself is picked in providers/). Every stored vector carries `embedding_meta`
+ * (provider, model, dimensions, hash of the source text) which lets us find
+ * vectors that are missing, from another model, or built from outdated text.
+ */
+
+// Output sizes of the models we know about; others are taken on trust
+const MODEL_DIMENSIONS = {
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072,
+    'text-embedding-ada-002': 1536,
+    'mock-embedding': MOCK_DIMENSIONS
+};
+
+const embeddingProvider = getEmbeddingProvider();
+
+const EMBEDDING_CONFIG = {
+    backend: embeddingProvider.name,
+    provider: embeddingProvider.embeddingVendor,
+    model: embeddingProvider.embeddingModel,
+    // Texts per embeddings request and requests per minute when re-embedding in bulk
+    batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE || '20', 10),
+    requestsPerMinute: parseInt(process.env.EMBEDDING_REQUESTS_PER_MINUTE || '60', 10)
+};
+EMBEDDING_CONFIG.dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS || '', 10)
+    || MODEL_DIMENSIONS[EMBEDDING_CONFIG.model]
+    || null;
+
+// Why a stored vector needs (re-)embedding
+const EMBEDDING_STATUS = {
+    CURRENT: 'current',
+    MISSING: 'missing',               // no vector at all
+    UNVERSIONED: 'unversioned',       // vector from before embedding_meta existed
+    MODEL_MISMATCH: 'model_mismatch', // different provider/model than configured
+    DIMENSION_MISMATCH: 'dimension_mismatch',
+    CHANGED: 'changed'                // event text changed since it was embedded
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Text used to build an event's embedding
+ */
+const buildSearchableText = (event) => [
+    event.event_details?.event_name || '',
+    event.event_details?.organizer || '',
+    event.event_details?.event_date || '',
+    event.event_details?.event_time || '',
+    event.event_details?.location || '',
+    event.event_details?.entry_type || '',
+    event.full_text || '',
+    ...(event.raw_ocr?.map(ocr => ocr.text) || [])
+].filter(Boolean).join(' ');
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Embed several texts in one provider request.
+ * Throws when the provider fails; vectors are returned in input order.
+ */
+const embedTexts = async (texts) => {
+    const vectors = await embedWithProvider(texts);
+    const wrongSize = EMBEDDING_CONFIG.dimensions && vectors.find(vector => vector?.length !== EMBEDDING_CONFIG.dimensions);
+    if (wrongSize) {
+        throw new Error(`Expected ${EMBEDDING_CONFIG.dimensions}-dimension vectors, got ${wrongSize?.length}. Check EMBEDDING_DIMENSIONS.`);
+    }
+    return vectors;
+};
+
+/**
+ * Embed one piece of text (e.g. a chat question).
+ * Returns null on failure so callers can fall back to keyword search.
+ */
+const generateEmbedding = async (text) => {
+    try {
+        const [vector] = await embedTexts([text]);
+        return vector;
+    } catch (error) {
+        console.error("[AI Error] Could not generate embedding:", error.message);
+        return null;
+    }
+};
+
+/**
+ * Metadata stored next to a vector built from `sourceText`
+ */
+const buildEmbeddingMeta = (sourceText, vector) => ({
+    provider: EMBEDDING_CONFIG.provider,
+    model: EMBEDDING_CONFIG.model,
+    dimensions: vector.length,
+    source_hash: hashText(sourceText),
+    embedded_at: new Date()
+});
+
+/**
+ * Embed an event.
+ *
+ * @returns {Promise<{ embedding: number[], embedding_meta: Object } | null>}
+ */
+const embedEvent = async (event) => {
+    const sourceText = buildSearchableText(event);
+    const embedding = await generateEmbedding(sourceText);
+    if (!embedding) return null;
+    return { embedding, embedding_meta: buildEmbeddingMeta(sourceText, embedding) };
+};
+
+/**
+ * Compare an event's stored vector with the current config and text.
+ * Expects `embedding_dimensions` (vector length) rather than the vector itself.
+ */
+const getEmbeddingStatus = (event) => {
+    const meta = event.embedding_meta;
+    if (!event.embedding_dimensions) return EMBEDDING_STATUS.MISSING;
+    if (!meta) return EMBEDDING_STATUS.UNVERSIONED;
+    if (meta.provider !== EMBEDDING_CONFIG.provider || meta.model !== EMBEDDING_CONFIG.model) {
+        return EMBEDDING_STATUS.MODEL_MISMATCH;
+    }
+    if (EMBEDDING_CONFIG.dimensions && event.embedding_dimensions !== EMBEDDING_CONFIG.dimensions) {
+        return EMBEDDING_STATUS.DIMENSION_MISMATCH;
+    }
+    if (meta.source_hash !== hashText(buildSearchableText(event))) return EMBEDDING_STATUS.CHANGED;
+    return EMBEDDING_STATUS.CURRENT;
+};
+
+/**
+ * Stream every visible event with its embedding status (vectors are not loaded)
+ */
+const scanEmbeddings = () => Event.aggregate([
+    { $match: { deleted_at: null } },
+    {
+        $project: {
+            event_details: 1,
+            full_text: 1,
+            raw_ocr: 1,
+            embedding_meta: 1,
+            embedding_dimensions: { $cond: [{ $isArray: '$embedding' }, { $size: '$embedding' }, 0] }
+        }
+    }
+]).cursor({ batchSize: 200 });
+
+/**
+ * Count events per embedding status
+ *
+ * @returns {Promise<{ config: Object, total: number, stale: number, counts: Object, models: Object }>}
+ */
+const getEmbeddingReport = async () => {
+    const counts = Object.fromEntries(Object.values(EMBEDDING_STATUS).map(status => [status, 0]));
+    const models = {};
+    let total = 0;
+
+    for await (const event of scanEmbeddings()) {
+        total++;
+        counts[getEmbeddingStatus(event)]++;
+        if (event.embedding_dimensions) {
+            const key = event.embedding_meta
+                ? `${event.embedding_meta.provider}/${event.embedding_meta.model} (${event.embedding_dimensions})`
+                : `unknown (${event.embedding_dimensions})`;
+            models[key] = (models[key] || 0) + 1;
+        }
+    }
+
+    return { config: EMBEDDING_CONFIG, total, stale: total - counts[EMBEDDING_STATUS.CURRENT], counts, models };
+};
+
+/**
+ * Re-embed events whose vector is missing or stale, in batches and within
+ * EMBEDDING_REQUESTS_PER_MINUTE.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - re-embed every event, even current ones
+ * @param {boolean} [options.dryRun] - only report what would be embedded
+ * @param {number} [options.limit] - stop after this many events
+ * @returns {Promise<{ pending: number, embedded: number, failed: number, byStatus: Object }>}
+ */
+const reembedStaleEvents = async ({ force = false, dryRun = false, limit = Infinity } = {}) => {
+    const byStatus = {};
+    const pending = [];
+
+    for await (const event of scanEmbeddings()) {
+        const status = getEmbeddingStatus(event);
+        if (status === EMBEDDING_STATUS.CURRENT && !force) continue;
+        byStatus[status] = (byStatus[status] || 0) + 1;
+        if (pending.length < limit) pending.push(event);
+    }
+
+    if (dryRun || pending.length === 0) {
+        return { pending: pending.length, embedded: 0, failed: 0, byStatus };
+    }
+
+    const minIntervalMs = EMBEDDING_CONFIG.requestsPerMinute > 0 ? 60000 / EMBEDDING_CONFIG.requestsPerMinute : 0;
+    let embedded = 0;
+    let failed = 0;
+    let lastRequestAt = 0;
+
+    for (let i = 0; i < pending.length; i += EMBEDDING_CONFIG.batchSize) {
+        const batch = pending.slice(i, i + EMBEDDING_CONFIG.batchSize);
+        const texts = batch.map(buildSearchableText);
+
+        const waitMs = lastRequestAt + minIntervalMs - Date.now();
+        if (waitMs > 0) await sleep(waitMs);
+        lastRequestAt = Date.now();
+
+        try {
+            const vectors = await embedTexts(texts);
+            await Event.bulkWrite(batch.map((event, index) => ({
+                updateOne: {
+                    filter: { _id: event._id },
+                    update: {
+                        $set: {
+                            embedding: vectors[index],
+                            embedding_meta: buildEmbeddingMeta(texts[index], vectors[index])
+                        }
+                    }
+                }
+            })));
+            embedded += batch.length;
+            console.log(`[Embeddings] Embedded ${embedded}/${pending.length}`);
+        } catch (error) {
+            failed += batch.length;
+            console.error(`[Embeddings] Batch of ${batch.length} failed:`, error.message);
+        }
+    }
+
+    return { pending: pending.length, embedded, failed, byStatus };
+};
+
+module.exports = {
+    EMBEDDING_CONFIG,
+    EMBEDDING_STATUS,
+    buildSearchableText,
+    generateEmbedding,
+    embedEvent,
+    getEmbeddingStatus,
+    getEmbeddingReport,
+    reembedStaleEvents
+};
@@ -0,0 +1,156 @@
+const { CATEGORY_KEYWORDS } = require('../events/events.categories');
+const { parseTemporalExpression } = require('./ai.temporal');
+const { isKnownPlace } = require('./ai.places');
+const { LANGUAGES } = require('../profiles/profiles.extract');
+
+/**
+ * Entity slots for chat questions: "Free music events in Hyderabad next Saturday"
+ * -> date (next Saturday), entry type (free), category (music), location (Hyderabad),
+ * plus an organizer ("hosted by Alliance Française"). Slots become Mongo filters
+ * (see events/events.filters.js); the words that are left over are what
+ * retrieval searches for, so "free" or "music" no longer match any poster that
+ * happens to contain the word.
+ *
+ * A place is only a filter when it is capitalised or an event is held there
+ * (see ai.places.js). Other lowercase guesses ("in kannada") are just a ranking
+ * hint, so a wrong guess can't empty the results.
+ */
+
+const FREE_QUESTION_PATTERN = /\b(free|no (entry )?(fee|charge|cover)|without (a )?ticket)\b/i;
+const PAID_QUESTION_PATTERN = /\b(paid|ticketed)\b/i;
+// Any case: chat input is mostly lowercase ("music events in hyderabad"); the words are trimmed below
+const LOCATION_PATTERN = /\b(?:in|at|near|around)\s+([\p{L}][\p{L}\d'-]*(?:\s+[\p{L}\d][\p{L}\d'-]*){0,3})/giu;
+const ORGANIZER_PATTERN = /\b(?:(?:organi[sz]ed|hosted|presented|run|put on)\s+by|by)\s+([A-Z0-9][\w&'.-]*(?:\s+(?:[A-Z0-9][\w&'.-]*|of|the|and|&)){0,5})/;
+// Category words too common in questions to count as a constraint ("run by", "first class")
+const AMBIGUOUS_CATEGORY_WORDS = new Set(['run', 'match', 'play', 'class', 'fair', 'ai', 'community', 'celebration', 'course', 'training', 'tech', 'art']);
+const QUESTION_CATEGORY_PATTERNS = Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => ({
+    category,
+    patterns: keywords
+        .filter(keyword => !AMBIGUOUS_CATEGORY_WORDS.has(keyword))
+        .map(keyword => ({ keyword, pattern: new RegExp(`\\b${keyword.replace(/[-\s]/g, '[-\\s]?')}s?\\b`, 'i') }))
+}));
+// Category words that say nothing beyond the category; more specific ones ("jazz", "salsa") stay in the search text
+const GENERIC_CATEGORY_WORDS = new Set(['concert', 'music', 'gig', 'live music', 'comedy', 'stand-up', 'standup', 'stand up', 'theatre', 'theater', 'drama',
+    'dance', 'exhibition', 'workshop', 'masterclass', 'seminar', 'conference', 'summit', 'food', 'festival', 'fest', 'networking', 'meetup']);
+const NOT_PLACES = new Set(['The', 'This', 'Next', 'Last', 'Today', 'Tomorrow', 'Tonight', 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']);
+
+// A place name ends before any of these: "in hyderabad for free", "at hitex with friends"
+const LOCATION_STOP_WORDS = new Set(['and', 'or', 'with', 'for', 'on', 'at', 'in', 'from', 'to', 'by', 'near', 'around', 'this', 'next', 'that',
+    'today', 'tomorrow', 'tonight', 'weekend', 'morning', 'afternoon', 'evening', 'night', 'free', 'paid', 'event', 'events', 'show', 'shows',
+    'happening', 'please', 'pls', 'any', 'some', 'is', 'are', 'which', 'what', 'where', 'when', 'who']);
+// Lowercased NOT_PLACES, language names ("events in kannada") and words that follow "in"/"at"
+// without naming a place ("in person", "at night", "in detail")
+const NOT_PLACE_WORDS = new Set([...[...NOT_PLACES].map(word => word.toLowerCase()), ...Object.keys(LANGUAGES),
+    'a', 'an', 'my', 'your', 'our', 'their', 'it', 'all', 'general', 'person', 'home', 'town', 'city', 'advance', 'time', 'least', 'most', 'case',
+    'detail', 'details', 'short', 'brief', 'particular', 'total', 'fact', 'mind', 'touch', 'order', 'line', 'front', 'addition', 'english', 'hindi']);
+const CATEGORY_WORDS = new Set(Object.values(CATEGORY_KEYWORDS).flat().flatMap(keyword => [keyword, `${keyword}s`]));
+
+/**
+ * The first "in/at/near/around <place>" in the text: { place, phrase, certain }
+ * with the place cut off at the first word that can't be part of it, or null.
+ * `certain` when the place is capitalised or known from the events.
+ */
+const findLocation = (text) => {
+    for (const match of text.matchAll(LOCATION_PATTERN)) {
+        const words = [...match[1].matchAll(/\S+/g)];
+        const end = words.findIndex(word => LOCATION_STOP_WORDS.has(word[0].toLowerCase()) || CATEGORY_WORDS.has(word[0].toLowerCase()));
+        const kept = end === -1 ? words : words.slice(0, end);
+        if (kept.length === 0 || NOT_PLACE_WORDS.has(kept[0][0].toLowerCase())) continue;
+        const last = kept[kept.length - 1];
+        const placeStart = match[0].length - match[1].length;
+        const place = match[1].slice(0, last.index + last[0].length);
+        return {
+            place,
+            phrase: match[0].slice(0, placeStart + last.index + last[0].length),
+            certain: /^\p{Lu}/u.test(place) || isKnownPlace(place)
+        };
+    }
+    return null;
+};
+
+const removeMatch = (text, matched) => text.replace(matched, ' ');
+
+/**
+ * Pull entity slots out of a chat question
+ *
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {Date} [options.now] - reference clock for relative dates
+ * @returns {{
+ *   slots: { date?: { label: string, from: Date, to: Date, phrase: string }, location?: string[], entryType?: string[], category?: string[], organizer?: string[] },
+ *   filters: { entryType?: string[], category?: string[], location?: string[], organizer?: string[] },
+ *   hints: { location?: string[] },
+ *   timeWindow: Object|null,
+ *   text: string
+ * }} `filters` go to the filter engine, `hints` only boost matching events (see retrieveRelevantEvents),
+ *    `timeWindow` is the date slot as ai.temporal.js returns it, `text` is the question without the slot phrases
+ */
+const extractEntities = (question, options = {}) => {
+    const filters = {};
+    const hints = {};
+    let text = String(question || '');
+
+    // Date first, so "next Saturday" isn't read as a place or an organizer
+    const timeWindow = parseTemporalExpression(text, options);
+    if (timeWindow) text = removeMatch(text, timeWindow.phrase);
+
+    // Organizer before location and category: "hosted by Comedy Club in Bandra"
+    const organizerMatch = text.match(ORGANIZER_PATTERN);
+    const organizerStart = organizerMatch?.[1].split(/\s+/)[0];
+    // "by The Habitat" names an organizer, "by Friday" doesn't
+    if (organizerMatch && (organizerStart === 'The' || !NOT_PLACES.has(organizerStart))) {
+        const organizer = organizerMatch[1].replace(/\s+(of|the|and|&)$/i, '');
+        filters.organizer = [organizer];
+        text = removeMatch(text, organizerMatch[0]);
+    }
+
+    const location = findLocation(text);
+    if (location?.certain) {
+        filters.location = [location.place];
+        text = removeMatch(text, location.phrase);
+    } else if (location) {
+        // Stays in the search text too
+        hints.location = [location.place];
+    }
+
+    const freeMatch = text.match(FREE_QUESTION_PATTERN);
+    const paidMatch = freeMatch ? null : text.match(PAID_QUESTION_PATTERN);
+    if (freeMatch || paidMatch) {
+        filters.entryType = [freeMatch ? 'free' : 'paid'];
+        text = removeMatch(text, (freeMatch || paidMatch)[0]);
+    }
+
+    for (const { category, patterns } of QUESTION_CATEGORY_PATTERNS) {
+        const matches = patterns.map(({ keyword, pattern }) => ({ keyword, match: text.match(pattern) })).filter(entry => entry.match);
+        if (matches.length === 0) continue;
+        filters.category = [...(filters.category || []), category];
+        matches
+            .filter(entry => GENERIC_CATEGORY_WORDS.has(entry.keyword))
+            .forEach(entry => { text = removeMatch(text, entry.match[0]); });
+    }
+
+    const slots = { ...filters };
+    if (timeWindow) {
+        slots.date = { label: timeWindow.label, from: timeWindow.from, to: timeWindow.to, phrase: timeWindow.phrase };
+    }
+
+    return {
+        slots,
+        filters,
+        hints,
+        timeWindow,
+        text: text.replace(/\s+/g, ' ').replace(/^[\s,.;:!?-]+|[\s,.;:!?-]+$/g, '').trim()
+    };
+};
+
+/**
+ * Only the filter slots of a question (dates are handled separately by ai.temporal.js)
+ *
+ * @returns {{ entryType?: string[], category?: string[], location?: string[], organizer?: string[] }}
+ */
+const extractFiltersFromQuestion = (question) => extractEntities(question).filters;
+
+module.exports = {
+    extractEntities,
+    extractFiltersFromQuestion
+};
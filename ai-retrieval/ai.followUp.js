@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const { Event } = require('../events/event.model');
+const { STOP_WORDS } = require('./ai.utils');
+
+/**
+ * Follow-up questions ("what time?", "the second one's website?") answered
+ * from the events actually shown earlier in the conversation.
+ *
+ * Needs the source ids of earlier AI turns (`sourceIds` on history entries,
+ * see conversations/conversations.service.js toChatHistory); without them
+ * the caller falls back to answering from the conversation text.
+ */
+
+// AI turns (with sources) searched for the event a follow-up is about
+const MAX_LOOKBACK_TURNS = 5;
+// Events put in the prompt when the question doesn't say which one it means
+const MAX_AMBIGUOUS_EVENTS = 5;
+
+const ORDINAL_WORDS = {
+    first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+    sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+const ORDINAL_PATTERN = new RegExp(
+    `(?:\\b(${Object.keys(ORDINAL_WORDS).join('|')}|last|(\\d{1,2})(?:st|nd|rd|th))\\b(?:\\s+(?:one|event|show|option))?|(?:\\bnumber|\\bno\\.?|#)\\s*(\\d{1,2})\\b)`,
+    'i'
+);
+
+// Stricter: only clear references to a listed item ("the second one", "#2"), for follow-up detection
+const LIST_REFERENCE_PATTERN = new RegExp(
+    `\\b(?:${Object.keys(ORDINAL_WORDS).join('|')}|last|\\d{1,2}(?:st|nd|rd|th))\\s+(?:one|event|show|option)\\b|(?:\\bnumber|\\bno\\.?|#)\\s*\\d{1,2}\\b`,
+    'i'
+);
+
+// Words in event names that say nothing about which event is meant
+const GENERIC_NAME_WORDS = new Set([...STOP_WORDS, 'and', 'with', 'at', 'on', 'by', 'to', 'night', 'day', 'live', 'edition', 'presents', 'one', 'more']);
+
+const toObjectId = (id) => (mongoose.Types.ObjectId.isValid(id) && String(id).length === 24
+    ? new mongoose.Types.ObjectId(id)
+    : null);
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]+/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * 1-based position a question refers to ("the second one", "#3"), -1 for "the last one", or null
+ */
+const parseOrdinalReference = (question) => {
+    const match = String(question || '').match(ORDINAL_PATTERN);
+    if (!match) return null;
+    const word = (match[1] || '').toLowerCase();
+    if (word === 'last') return -1;
+    if (ORDINAL_WORDS[word]) return ORDINAL_WORDS[word];
+    const number = parseInt(match[2] || match[3], 10);
+    return number > 0 ? number : null;
+};
+
+/**
+ * Does the question point at an item of an earlier list ("the second one", "#2")?
+ */
+const hasOrdinalReference = (question) => LIST_REFERENCE_PATTERN.test(String(question || ''));
+
+/**
+ * How strongly a question names an event: the share of the event name's
+ * distinctive words that appear in the question (0 when none do)
+ */
+const scoreNameReference = (question, event) => {
+    const questionWords = new Set(normalize(question).split(' '));
+    const nameWords = [...new Set(normalize(event.event_details?.event_name).split(' '))]
+        .filter(word => word.length > 2 && !GENERIC_NAME_WORDS.has(word));
+    if (nameWords.length === 0) return 0;
+    const matched = nameWords.filter(word => questionWords.has(word)).length;
+    return matched / nameWords.length;
+};
+
+/**
+ * Recent AI turns that showed events, newest first
+ */
+const getShownTurns = (conversationHistory) => conversationHistory
+    .filter(message => message.role === 'ai' && Array.isArray(message.sourceIds) && message.sourceIds.length > 0)
+    .slice(-MAX_LOOKBACK_TURNS)
+    .reverse();
+
+/**
+ * Find the event(s) a follow-up question is about.
+ *
+ *   ordinal      "the second one" -> that position in the latest list long enough to have it
+ *   name         "Jazz Night's website" -> the shown event whose name the question uses
+ *   last_shown   only one event was shown last time, so that's the one
+ *   ambiguous    several candidates; the latest list (capped) goes to the LLM to sort out
+ *
+ * @returns {Promise<{ events: Object[], reference: 'ordinal'|'name'|'last_shown'|'ambiguous', specific: boolean } | null>}
+ *          null when earlier turns carry no source ids or their events are gone
+ */
+const resolveFollowUpEvents = async (question, conversationHistory = []) => {
+    const shownTurns = getShownTurns(conversationHistory);
+    if (shownTurns.length === 0) return null;
+
+    const ids = [...new Set(shownTurns.flatMap(turn => turn.sourceIds.map(String)))].map(toObjectId).filter(Boolean);
+    const events = await Event.find({ _id: { $in: ids }, deleted_at: null })
+        .select('-embedding')
+        .lean();
+    const byId = new Map(events.map(event => [event._id.toString(), event]));
+    // Each turn's events in the order they were shown
+    const lists = shownTurns
+        .map(turn => turn.sourceIds.map(id => byId.get(String(id))).filter(Boolean))
+        .filter(list => list.length > 0);
+    if (lists.length === 0) return null;
+
+    const ordinal = parseOrdinalReference(question);
+    if (ordinal !== null) {
+        const list = lists.find(candidate => candidate.length > 1 && (ordinal === -1 || candidate.length >= ordinal));
+        if (list) {
+            const event = ordinal === -1 ? list[list.length - 1] : list[ordinal - 1];
+            return { events: [event], reference: 'ordinal', specific: true };
+        }
+    }
+
+    // Newest mention first, so the latest list wins ties
+    const candidates = [...new Map(lists.flat().map(event => [event._id.toString(), event])).values()];
+    const scored = candidates
+        .map(event => ({ event, score: scoreNameReference(question, event) }))
+        .filter(({ score }) => score >= 0.5)
+        .sort((a, b) => b.score - a.score);
+    if (scored.length > 0 && (scored.length === 1 || scored[0].score > scored[1].score)) {
+        return { events: [scored[0].event], reference: 'name', specific: true };
+    }
+
+    const [latest] = lists;
+    if (latest.length === 1) {
+        return { events: latest, reference: 'last_shown', specific: true };
+    }
+    return { events: latest.slice(0, MAX_AMBIGUOUS_EVENTS), reference: 'ambiguous', specific: false };
+};
+
+const DETAIL_PATTERNS = [
+    { detail: 'time', pattern: /\b(time|timing|what time|start|starts|begin|begins)\b/ },
+    { detail: 'date', pattern: /\b(date|day|when)\b/ },
+    { detail: 'location', pattern: /\b(where|location|venue|place|address)\b/ },
+    { detail: 'website', pattern: /\b(website|site|link|url|register|registration|book|booking)\b/ },
+    { detail: 'price', pattern: /\b(price|cost|fee|free|entry|ticket|tickets|how much)\b/ },
+    { detail: 'organizer', pattern: /\b(organi[sz]er|organi[sz]ed|organi[sz]ing|host|hosted|hosting|who)\b/ },
+    { detail: 'contact', pattern: /\b(contact|phone|number|call|email|mail|whatsapp)\b/ }
+];
+
+const PHONE_PATTERN = /(?:\+?\d[\d\s-]{7,}\d)/;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.]+/;
+
+const present = (value) => (value && value !== 'N/A' ? value : null);
+
+/**
+ * Which details a follow-up asks for ("what time?" -> ['time'])
+ */
+const detectRequestedDetails = (question) => {
+    const q = normalize(question);
+    return DETAIL_PATTERNS.filter(({ pattern }) => pattern.test(q)).map(({ detail }) => detail);
+};
+
+const describeDetail = (event, display, detail) => {
+    const details = event.event_details || {};
+    const name = display.display_name;
+    switch (detail) {
+        case 'time':
+            return display.display_time ? `${name} starts at ${display.display_time}.` : `I don't have a start time for ${name}.`;
+        case 'date':
+            return display.display_date ? `${name} is on ${display.display_date}.` : `I don't have a date for ${name}.`;
+        case 'location':
+            return present(details.location) ? `${name} is at ${details.location}.` : `I don't have a venue for ${name}.`;
+        case 'website':
+            return present(details.website) ? `You can find ${name} at ${details.website}.` : `I don't have a website for ${name}.`;
+        case 'price':
+            return present(details.entry_type) ? `Entry for ${name}: ${details.entry_type}.` : `I don't have entry or ticket details for ${name}.`;
+        case 'organizer':
+            return present(details.organizer) ? `${name} is organised by ${details.organizer}.` : `I don't know who is organising ${name}.`;
+        case 'contact': {
+            const text = event.full_text || '';
+            const contacts = [text.match(PHONE_PATTERN)?.[0], text.match(EMAIL_PATTERN)?.[0], present(details.website)].filter(Boolean);
+            return contacts.length > 0
+                ? `You can reach ${name} via ${contacts.join(' or ')}.`
+                : `I couldn't find contact details for ${name} on the poster.`;
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Answer a follow-up straight from the event document (used when the LLM is unavailable)
+ */
+const answerFromEvent = (question, event) => {
+    const display = Event.hydrate({
+        event_details: event.event_details || {},
+        starts_at: event.starts_at,
+        ends_at: event.ends_at,
+        all_day: event.all_day
+    });
+    const requested = detectRequestedDetails(question);
+    if (requested.length > 0) {
+        return requested.map(detail => describeDetail(event, display, detail)).join(' ');
+    }
+
+    // "tell me more about the second one": a short summary
+    const details = event.event_details || {};
+    const parts = [
+        display.display_date && `on ${display.display_date}`,
+        display.display_time && `at ${display.display_time}`,
+        present(details.location) && `at ${details.location}`
+    ].filter(Boolean);
+    const entry = present(details.entry_type) ? ` Entry: ${details.entry_type}.` : '';
+    const organizer = present(details.organizer) ? ` Organised by ${details.organizer}.` : '';
+    return `${display.display_name}${parts.length > 0 ? ` is ${parts.join(' ')}` : ''}.${entry}${organizer}`;
+};
+
+module.exports = {
+    parseOrdinalReference,
+    hasOrdinalReference,
+    resolveFollowUpEvents,
+    detectRequestedDetails,
+    answerFromEvent
+};
@@ -0,0 +1,72 @@
+const { Event } = require('../events/event.model');
+const { buildVisibleFilter } = require('./ai.archive');
+
+/**
+ * Places the events are at, from their event_details.location. A lowercase
+ * "in hyderabad" in a chat question only becomes a hard location filter when
+ * the place is one of these (see ai.entities.js); otherwise a typo or a word
+ * like "kannada" could filter every event out.
+ */
+
+const PLACES_CONFIG = {
+    // How often the list is reloaded; 0 loads it once
+    refreshMinutes: parseFloat(process.env.KNOWN_PLACES_REFRESH_MINUTES || '60')
+};
+
+const state = {
+    // Normalized locations, padded with spaces for whole-word lookups
+    locations: [],
+    loadedAt: null
+};
+
+const normalizePlace = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'-]+/gu, ' ')
+    .trim();
+
+/**
+ * Reload the locations of all visible events
+ */
+const loadKnownPlaces = async () => {
+    const locations = await Event.distinct('event_details.location', buildVisibleFilter());
+    state.locations = [...new Set(locations
+        .filter(location => typeof location === 'string' && location !== 'N/A')
+        .map(normalizePlace)
+        .filter(Boolean))]
+        .map(location => ` ${location} `);
+    state.loadedAt = new Date();
+    console.log(`[Places] Loaded ${state.locations.length} event locations`);
+};
+
+/**
+ * Is the place (whole words) part of some event's location? False until the
+ * locations have been loaded.
+ */
+const isKnownPlace = (place) => {
+    const wanted = normalizePlace(place);
+    if (!wanted) return false;
+    return state.locations.some(location => location.includes(` ${wanted} `));
+};
+
+/**
+ * Load the locations at startup and keep them fresh
+ */
+const startKnownPlaces = async () => {
+    await loadKnownPlaces();
+    if (!PLACES_CONFIG.refreshMinutes || PLACES_CONFIG.refreshMinutes <= 0) return null;
+
+    const timer = setInterval(() => {
+        loadKnownPlaces().catch(error => {
+            console.error('[Places] Refresh failed:', error.message);
+        });
+    }, PLACES_CONFIG.refreshMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    PLACES_CONFIG,
+    loadKnownPlaces,
+    isKnownPlace,
+    startKnownPlaces
+};
@@ -52,7 +52,23 @@ Event ${index + 1}:
   }).join('\n\n');
 };
 
+const QUERY_REWRITE_PROMPT = `
+You prepare the search step of an event assistant. Given the recent conversation and the user's latest message, decide what the latest message needs and write a standalone search query for it.
+
+Return ONLY a JSON object (no markdown, no commentary):
+{"type": "search" | "follow_up", "query": "..."}
+
+Rules:
+- "follow_up": the user asks about a detail (date, time, place, price, contact, website, ...) of an event that was already shown. "query" is the latest message unchanged.
+- "search": the user wants events found, including "similar ones", "more like that" or the same kind of event with a new date, place or price. "query" must make sense without the conversation: replace words like "similar", "those", "there" and "that kind" with what they refer to.
+- Keep every date, place, price and category word from the latest message as written ("in March", "this weekend", "free", "in Bandra"). Don't carry over dates from earlier messages unless the user refers to them.
+- Keep the query short (a few words), in the user's language. If the latest message is already standalone, return it unchanged.
+
+Example: after the user asked about Holi festivals, "any similar ones in March?" -> {"type": "search", "query": "holi festival in March"}
+`;
+
 module.exports = {
   SYSTEM_PROMPT,
+  QUERY_REWRITE_PROMPT,
   formatEventsContext
 };
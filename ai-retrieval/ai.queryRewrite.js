@@ -0,0 +1,274 @@
+const { QUERY_REWRITE_PROMPT } = require('./ai.prompt');
+const { chat } = require('./providers');
+const { parseTemporalExpression, stripTemporalPhrase } = require('./ai.temporal');
+const { wantsPastEvents } = require('./ai.archive');
+const { extractKeywords, parseJsonReply } = require('./ai.utils');
+const { hasOrdinalReference, detectRequestedDetails } = require('./ai.followUp');
+const { extractEntities } = require('./ai.entities');
+
+/**
+ * Query rewriting: turn the latest chat message plus the recent conversation
+ * into a standalone search query ("any similar ones in March?" after a Holi
+ * festival -> "holi festival in March") and decide whether the message is a
+ * follow-up about the events already shown or needs a new search.
+ *
+ * The chat provider does the rewriting; simple rules take over when it is
+ * switched off (QUERY_REWRITE_MODE=rules), fails or replies with something unusable.
+ */
+
+const REWRITE_CONFIG = {
+    mode: (process.env.QUERY_REWRITE_MODE || 'llm').toLowerCase(),
+    // Earlier messages shown to the model
+    historyMessages: parseInt(process.env.QUERY_REWRITE_HISTORY || '6', 10),
+    maxQueryLength: 200
+};
+
+const REWRITE_TYPES = ['search', 'follow_up'];
+
+// "similar ones", "more like that", "other ones": a new search about the earlier topic
+const SIMILAR_PATTERN = /\b(similar|like (that|this|it|those|these|them)|same (kind|type|sort)|more of (that|those|these|them)|other ones?|others like|another one)\b/i;
+
+// "and tomorrow?", "what about in Bandra?": the earlier topic with a new constraint
+const CONTINUATION_PATTERN = /^\s*(and|also|what about|how about|same for)\b/i;
+
+// Words that only point back at the earlier topic
+const CONTEXT_WORDS = ['similar', 'like', 'that', 'this', 'it', 'those', 'these', 'them', 'same', 'kind', 'type', 'sort', 'more', 'other', 'others', 'another',
+    'one', 'ones', 'anything', 'else', 'there', 'also', 'and', 'how', 'all', 'list', 'any', 'some', 'got', 'have', 'you', 'there\'s', 'what\'s'];
+
+const askedForName = (message) => message?.role === 'ai' && /\b(ur|your)\s+name\b|\bwhat should i call you\b/i.test(message.content || '');
+
+/**
+ * Topic words of a message, without its date phrase and pointer words
+ */
+const topicKeywords = (text) => extractKeywords(stripTemporalPhrase(text, parseTemporalExpression(text)))
+    .map(word => word.replace(/[^\p{L}\p{N}'&-]/gu, ''))
+    .filter(word => word.length > 2 && !CONTEXT_WORDS.includes(word));
+
+/**
+ * Helper function to detect if a question is a follow-up question
+ */
+const isFollowUpQuestion = (question, conversationHistory = []) => {
+    const q = question.toLowerCase().trim();
+
+    // "the second one", "#3": pointing at an event listed earlier
+    if (conversationHistory.length > 0 && hasOrdinalReference(q)) {
+        console.log(`[Follow-up Detection] Ordinal reference: "${question}"`);
+        return true;
+    }
+
+    // If the question is very short (1-3 words) and there's conversation history, likely a follow-up
+    const wordCount = q.split(/\s+/).length;
+    if (wordCount <= 3 && conversationHistory.length > 0) {
+        // Check if it contains question-like words or detail-seeking words
+        const detailWords = ['date', 'time', 'location', 'place', 'contact', 'number', 'phone', 'email',
+            'website', 'address', 'price', 'cost', 'when', 'where', 'who', 'what',
+            'which', 'how', 'their', 'they', 'its', 'the'];
+        const hasDetailWord = detailWords.some(word => q.includes(word));
+        if (hasDetailWord) {
+            console.log(`[Follow-up Detection] Short question with detail word: "${question}"`);
+            return true;
+        }
+    }
+
+    // Check if question references an event from conversation history
+    // Look for event names or locations mentioned in previous messages
+    if (conversationHistory.length > 0) {
+        const recentMessages = conversationHistory.slice(-6).map(msg => msg.content.toLowerCase()).join(' ');
+        const eventKeywords = ['event', 'festival', 'concert', 'show', 'stadium', 'venue', 'location', 'uppal', 'holi', 'colour'];
+        const hasEventReference = eventKeywords.some(keyword => recentMessages.includes(keyword));
+
+        // If question asks about something and there's an event in recent history, likely a follow-up
+        const isAskingAboutEvent = (
+            q.includes('tell me more') ||
+            q.includes('more about') ||
+            q.includes('about the') ||
+            q.includes('about this') ||
+            q.includes('about that') ||
+            q.includes('about') ||
+            q.match(/^(tell|give|show|what).*(more|details|info|about)/i)
+        );
+
+        if (hasEventReference && isAskingAboutEvent) {
+            console.log(`[Follow-up Detection] Question references event from history: "${question}"`);
+            return true;
+        }
+    }
+
+    // Common follow-up patterns
+    const followUpPatterns = [
+        // Standard question patterns
+        /^(which|what|when|where|who|whose)\s+(date|time|location|place|contact|number|price|cost|website|email|phone)/i,
+
+        // "the X" patterns
+        /^(the\s+)?(date|time|location|place|contact|number|price|cost|website|email|phone|address)/i,
+
+        // Possessive patterns (their, its, his, her)
+        /^(their|its|his|her|they)\s+/i,
+
+        // Direct detail words at start
+        /^(contact|phone|email|website|address|price|cost|date|time|location|place)/i,
+
+        // How questions
+        /^(how much|how long|how many|how far)/i,
+
+        // "X number" or "X details" patterns
+        /(contact|phone)\s*(number|details|info)?$/i,
+
+        // Very short contextual questions
+        /^(when|where|who|what time|what date)/i,
+
+        // "Tell me more" patterns
+        /^(tell|give|show).*(more|details|info|about)/i,
+        /more\s+about/i,
+        /about\s+(the|this|that|it)/i
+    ];
+
+    const isFollowUp = followUpPatterns.some(pattern => pattern.test(q));
+
+    if (isFollowUp) {
+        console.log(`[Follow-up Detection] Pattern matched: "${question}"`);
+    }
+
+    return isFollowUp;
+};
+
+/**
+ * What the user searched for last: topic words of the latest earlier message
+ * that was a search (not a detail question, a name or another "similar ones")
+ */
+const findPreviousTopic = (conversationHistory) => {
+    for (let i = conversationHistory.length - 1; i >= 0; i--) {
+        const message = conversationHistory[i];
+        if (message.role !== 'user' || askedForName(conversationHistory[i - 1])) continue;
+        const text = message.content || '';
+        if (detectRequestedDetails(text).length > 0 || hasOrdinalReference(text)) continue;
+
+        const keywords = topicKeywords(text);
+        if (keywords.length > 0) return keywords.join(' ');
+    }
+    return null;
+};
+
+/**
+ * Rule-based rewrite: the follow-up heuristics above, and the earlier topic
+ * carried into "similar ones" / "what about ..." questions
+ */
+const rewriteWithRules = (question, conversationHistory) => {
+    const timeWindow = parseTemporalExpression(question);
+    // A question with its own date window is a new search, not a follow-up
+    if (!timeWindow && isFollowUpQuestion(question, conversationHistory)) {
+        return { type: 'follow_up', query: question };
+    }
+
+    const ownKeywords = topicKeywords(question);
+    const pointsBack = SIMILAR_PATTERN.test(question) || CONTINUATION_PATTERN.test(question) || ownKeywords.length === 0;
+    const previousTopic = pointsBack ? findPreviousTopic(conversationHistory) : null;
+    if (!previousTopic) {
+        return { type: 'search', query: question };
+    }
+
+    // Rebuild the question around the earlier topic, keeping its date phrase as written
+    const query = [previousTopic, ...ownKeywords.filter(word => !previousTopic.split(' ').includes(word)), timeWindow?.phrase]
+        .filter(Boolean)
+        .join(' ');
+    return { type: 'search', query };
+};
+
+/**
+ * The conversation as the rewrite prompt sees it
+ */
+const formatRewriteInput = (question, conversationHistory) => {
+    const recent = conversationHistory.slice(-REWRITE_CONFIG.historyMessages).map(msg => {
+        const content = (msg.content || '').replace(/\s+/g, ' ').trim();
+        return msg.role === 'user'
+            ? `User: ${content}`
+            : `D-Bot: ${content.length > 300 ? `${content.substring(0, 300)}...` : content}`;
+    });
+    return `Conversation:\n${recent.join('\n')}\n\nLatest message: ${question}`;
+};
+
+/**
+ * Rewrite through the chat provider; null when its reply can't be used
+ */
+const rewriteWithLlm = async (question, conversationHistory, signal) => {
+    try {
+        const result = await chat({
+            system: QUERY_REWRITE_PROMPT,
+            messages: [{ role: 'user', content: formatRewriteInput(question, conversationHistory) }],
+            temperature: 0,
+            maxTokens: 100
+        }, { signal });
+
+        const parsed = parseJsonReply(result.text);
+        const query = typeof parsed?.query === 'string'
+            ? parsed.query.replace(/\s+/g, ' ').trim().substring(0, REWRITE_CONFIG.maxQueryLength)
+            : '';
+        if (REWRITE_TYPES.includes(parsed?.type) && query) {
+            return { type: parsed.type, query: parsed.type === 'follow_up' ? question : query };
+        }
+        console.warn("[Query Rewrite] LLM reply was not a usable rewrite, using rules.");
+    } catch (error) {
+        if (error.aborted) throw error;
+        console.warn("[Query Rewrite] LLM rewrite failed, using rules.", error.message);
+    }
+    return null;
+};
+
+/**
+ * Entity slots (dates, filters) and search text for the rewritten query; what
+ * the user typed this turn wins over what the rewrite carried over
+ */
+const extractConstraints = (question, query) => {
+    const asked = extractEntities(question);
+    const rewritten = query !== question ? extractEntities(query) : asked;
+    const timeWindow = asked.timeWindow || rewritten.timeWindow;
+    return {
+        timeWindow,
+        includePast: wantsPastEvents(question, timeWindow) || wantsPastEvents(query, timeWindow),
+        filters: { ...rewritten.filters, ...asked.filters },
+        hints: { ...rewritten.hints, ...asked.hints },
+        slots: { ...rewritten.slots, ...asked.slots },
+        text: rewritten.text
+    };
+};
+
+/**
+ * Standalone search query for the latest chat message
+ *
+ * @param {string} question - latest user message
+ * @param {Array<{ role: 'user'|'ai', content: string }>} [conversationHistory] - earlier turns
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{
+ *   type: 'search'|'follow_up',
+ *   query: string,
+ *   method: 'none'|'llm'|'rules',
+ *   constraints: { timeWindow: Object|null, includePast: boolean, filters: Object, hints: Object, slots: Object, text: string }
+ * }>} `query` is the standalone question; `constraints.text` is what retrieval searches for once the
+ *     slots (see ai.entities.js) are taken out of it; 'none' means there was no history to rewrite against
+ */
+const rewriteQuery = async (question, conversationHistory = [], { signal } = {}) => {
+    if (conversationHistory.length === 0) {
+        return { type: 'search', query: question, method: 'none', constraints: extractConstraints(question, question) };
+    }
+
+    let rewrite = null;
+    if (REWRITE_CONFIG.mode === 'llm') {
+        const llmRewrite = await rewriteWithLlm(question, conversationHistory, signal);
+        if (llmRewrite) rewrite = { ...llmRewrite, method: 'llm' };
+    }
+    rewrite = rewrite || { ...rewriteWithRules(question, conversationHistory), method: 'rules' };
+
+    const constraints = extractConstraints(question, rewrite.query);
+    console.log(`[Query Rewrite] (${rewrite.method}) "${question}" -> ${rewrite.type} "${rewrite.query}"` +
+        `${constraints.timeWindow ? ` | dates: ${constraints.timeWindow.label}` : ''}` +
+        `${Object.keys(constraints.filters).length > 0 ? ` | filters: ${JSON.stringify(constraints.filters)}` : ''}` +
+        `${Object.keys(constraints.hints).length > 0 ? ` | hints: ${JSON.stringify(constraints.hints)}` : ''}`);
+    return { ...rewrite, constraints };
+};
+
+module.exports = {
+    REWRITE_CONFIG,
+    isFollowUpQuestion,
+    rewriteQuery
+};
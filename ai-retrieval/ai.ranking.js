@@ -0,0 +1,102 @@
+/**
+ * Hybrid ranking: fuse the semantic (vector) and lexical (keyword) result
+ * lists with weighted reciprocal rank fusion, then add small priors such as
+ * event quality and closeness in time.
+ *
+ *   score = Σ_lists weight / (k + rank)  +  Σ_priors weight * value / (k + 1)
+ *
+ * A prior at full value is worth `weight` times a first place in one list, so
+ * with the default weights it can reorder neighbours but never beat an event
+ * that actually matched the query in both lists.
+ */
+
+const RANKING_CONFIG = {
+    rrfK: parseFloat(process.env.RANKING_RRF_K || '60'),
+    weights: {
+        vector: parseFloat(process.env.RANKING_VECTOR_WEIGHT || '1'),
+        keyword: parseFloat(process.env.RANKING_KEYWORD_WEIGHT || '1'),
+        quality: parseFloat(process.env.RANKING_QUALITY_WEIGHT || '0.1'),
+        proximity: parseFloat(process.env.RANKING_PROXIMITY_WEIGHT || '0.1'),
+        // Event is at a place the question only seemed to name ("events in kannada")
+        location: parseFloat(process.env.RANKING_LOCATION_WEIGHT || '0.5')
+    }
+};
+
+// How much a keyword hit in each field counts towards the lexical score
+const KEYWORD_FIELD_WEIGHTS = [
+    { weight: 3, get: (event) => event.event_details?.event_name },
+    { weight: 2, get: (event) => event.event_details?.location },
+    { weight: 1.5, get: (event) => event.event_details?.organizer },
+    { weight: 1, get: (event) => event.event_details?.event_date },
+    { weight: 1, get: (event) => event.full_text },
+    { weight: 0.5, get: (event) => (event.raw_ocr || []).map(block => block?.text).join(' ') }
+];
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Lexical relevance of an event for a list of (lowercase) keywords
+ */
+const scoreKeywordMatch = (event, keywords) => {
+    const fields = KEYWORD_FIELD_WEIGHTS.map(({ weight, get }) => ({ weight, text: String(get(event) || '').toLowerCase() }));
+    return keywords.reduce((total, keyword) => {
+        const best = fields.reduce((max, field) => (field.text.includes(keyword) ? Math.max(max, field.weight) : max), 0);
+        return total + best;
+    }, 0);
+};
+
+/**
+ * Fuse ranked result lists into one list ordered by hybrid score.
+ * Every returned event carries `ranking`, a per-source breakdown of its score.
+ *
+ * @param {Array<{ source: string, results: Object[], weight?: number, score?: Function }>} lists
+ *        each list in rank order; `score` reads the source's raw score for the breakdown
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.priors] - name -> (event) => value in [0, 1]
+ * @returns {Object[]}
+ */
+const fuseRankings = (lists, { priors = {} } = {}) => {
+    const k = RANKING_CONFIG.rrfK;
+    const fused = new Map();
+
+    for (const list of lists) {
+        const weight = list.weight ?? RANKING_CONFIG.weights[list.source] ?? 1;
+        list.results.forEach((event, index) => {
+            const id = event._id.toString();
+            if (!fused.has(id)) {
+                fused.set(id, { event, ranking: { score: 0 } });
+            }
+            const entry = fused.get(id);
+            // An event listed twice by the same source keeps its best rank
+            if (entry.ranking[list.source]) return;
+
+            const contribution = weight / (k + index + 1);
+            entry.ranking[list.source] = {
+                rank: index + 1,
+                ...(list.score ? { score: list.score(event) } : {}),
+                contribution: round(contribution)
+            };
+            entry.ranking.score += contribution;
+        });
+    }
+
+    for (const entry of fused.values()) {
+        for (const [name, getValue] of Object.entries(priors)) {
+            const value = Math.min(Math.max(getValue(entry.event) || 0, 0), 1);
+            const contribution = (RANKING_CONFIG.weights[name] ?? 0) * value / (k + 1);
+            entry.ranking[name] = { value: round(value), contribution: round(contribution) };
+            entry.ranking.score += contribution;
+        }
+        entry.ranking.score = round(entry.ranking.score);
+    }
+
+    return [...fused.values()]
+        .sort((a, b) => b.ranking.score - a.ranking.score)
+        .map(({ event, ranking }) => ({ ...event, ranking }));
+};
+
+module.exports = {
+    RANKING_CONFIG,
+    scoreKeywordMatch,
+    fuseRankings
+};
@@ -1,18 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('./ai.controller');
+const { access } = require('../auth/auth.middleware');
 
 /**
  * @route   POST /api/ai/chat
  * @desc    Get AI-generated answer for event queries using RAG
- * @access  Public (or as per project needs)
+ *          (body: question, conversationId, fields: extra source card fields;
+ *          header X-Session-Id, see conversations/). The response carries conversationId
+ *          and sessionId to send with the next question. Signed-in users send their Firebase
+ *          ID token (Authorization: Bearer); the chat uses their verified name and profile.
+ * @access  Public
  */
-router.post('/chat', aiController.handleChat);
+router.post('/chat', access('public'), aiController.handleChat);
+
+/**
+ * @route   POST /api/ai/chat/stream
+ * @desc    Same as /chat, streamed as Server-Sent Events: sources, then answer tokens, then done
+ *          (or error); see handleChatStream for the event payloads
+ * @access  Public
+ */
+router.post('/chat/stream', access('public'), aiController.handleChatStream);
 
 /**
  * @route   POST /api/ai/search
- * @desc    Standard text search without AI/LLM
+ * @desc    Standard text search without AI/LLM, ranked by relevance
+ *          (body: query with "phrases" and -exclusions, dateFrom, dateTo, sort, page, limit, fields)
+ * @access  Public
  */
-router.post('/search', aiController.handleStandardSearch);
+router.post('/search', access('public'), aiController.handleStandardSearch);
 
 module.exports = router;
@@ -1,198 +1,38 @@
-const mongoose = require('mongoose');
+const { Event } = require('../events/event.model');
 const { SYSTEM_PROMPT, formatEventsContext } = require('./ai.prompt');
+const { buildDateRangeFilter } = require('./ai.dates');
+const { buildVisibleFilter, wantsPastEvents } = require('./ai.archive');
+const { combineFilters, escapeRegex, extractKeywords, withTimeWindow } = require('./ai.utils');
+const { generateEmbedding } = require('./ai.embeddings');
+const { chat, streamChat } = require('./providers');
+const { searchEventVectors } = require('./ai.vectorIndex');
+const { scoreKeywordMatch, fuseRankings } = require('./ai.ranking');
+const { searchEventsByText } = require('./ai.textSearch');
+const { buildFilterQuery } = require('../events/events.filters');
+const { extractEntities } = require('./ai.entities');
+const { resolveFollowUpEvents, detectRequestedDetails, answerFromEvent } = require('./ai.followUp');
+const { rewriteQuery } = require('./ai.queryRewrite');
+const { detectIntent, scoreIntents } = require('./intents');
+const { extractUserName, readConfirmation, LANGUAGE_NAMES } = require('../profiles/profiles.extract');
+
+const ASK_NAME_ANSWER = "Hi! 👋 Before we start, what should I call you?";
 
 /**
- * AI Configuration for Eden AI
+ * Single-turn chat completion on the configured chat provider (see providers/).
+ * Returns the generated text, or null when the reply was empty; throws when the provider fails.
+ * With `onToken` the answer is also handed over piece by piece while it is generated.
  */
-const CONFIG = {
-    apiKey: process.env.OPENAI_API_KEY,
-    chatProvider: process.env.AI_PROVIDER || 'google',
-    llmModel: process.env.LLM_MODEL || 'gemini-1.5-flash',
-    embeddingProvider: process.env.EMBEDDING_PROVIDER || 'openai',
-    embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
-    baseUrl: process.env.LLM_BASE_URL || 'https://api.edenai.run/v2'
-};
-
-/**
- * Helper function to extract user name from response
- */
-const extractUserName = (text) => {
-    // Remove common prefixes and clean up
-    let name = text.trim();
-    // Remove "my name is", "i'm", "i am", "it's", "it is" etc.
-    name = name.replace(/^(my name is|i'?m|i am|it'?s|it is|this is|call me|name'?s)\s+/i, '');
-    // Remove trailing punctuation
-    name = name.replace(/[.,!?]+$/, '');
-    // Take first word or first few words (max 3 words for name)
-    const words = name.split(/\s+/).slice(0, 3);
-    return words.join(' ').trim();
-};
-
-/**
- * Extract user name from conversation history
- */
-const getUserName = (conversationHistory) => {
-    // Look through conversation history for name
-    for (let i = conversationHistory.length - 1; i >= 0; i--) {
-        const msg = conversationHistory[i];
-        if (msg.role === 'user') {
-            // Check if previous AI message was asking for name
-            if (i > 0 && conversationHistory[i - 1].role === 'ai') {
-                const prevAIMsg = conversationHistory[i - 1].content.toLowerCase();
-                if (prevAIMsg.includes('what is ur name') || 
-                    prevAIMsg.includes('what is your name') ||
-                    prevAIMsg.includes("what's your name")) {
-                    return extractUserName(msg.content);
-                }
-            }
-        }
-    }
-    return null;
-};
-
-/**
- * Check if we should ask for user's name
- */
-const shouldAskForName = (conversationHistory) => {
-    if (!conversationHistory || conversationHistory.length === 0) {
-        return false;
-    }
-
-    // Check if user has already provided their name
-    const existingName = getUserName(conversationHistory);
-    if (existingName) {
-        return false; // Already have name
-    }
-
-    // Count user messages - if this is the first user message, ask for name
-    const userMessages = conversationHistory.filter(msg => msg.role === 'user');
-    
-    // If this is the first user message (only 1 user message in history)
-    if (userMessages.length === 1) {
-        // Check if we already asked for name in any AI message
-        const hasAskedForName = conversationHistory.some(msg => 
-            msg.role === 'ai' && 
-            (msg.content.toLowerCase().includes('what is ur name') || 
-             msg.content.toLowerCase().includes('what is your name') ||
-             msg.content.toLowerCase().includes("what's your name"))
-        );
-        if (!hasAskedForName) {
-            console.log("[Name Check] First user message detected, asking for name");
-            return true;
-        }
-    }
-    
-    return false;
-};
-
-/**
- * Check if user just provided their name
- */
-const isNameResponse = (conversationHistory) => {
-    if (conversationHistory.length >= 2) {
-        const lastAIMessage = conversationHistory[conversationHistory.length - 2];
-        if (lastAIMessage.role === 'ai' && 
-            (lastAIMessage.content.toLowerCase().includes('what is ur name') || 
-             lastAIMessage.content.toLowerCase().includes('what is your name') ||
-             lastAIMessage.content.toLowerCase().includes("what's your name"))) {
-            return true;
-        }
-    }
-    return false;
-};
-
-/**
- * ---------------------------------------------------------
- *  INTENT RECOGNITION (Simple Dialogflow-like Logic)
- * ---------------------------------------------------------
- */
-const detectIntent = async (question, conversationHistory = []) => {
-    const q = question.toLowerCase();
-
-    // 1. GREETING INTENT - Don't return greeting message, let name asking logic handle it
-    // The greeting is already shown initially, so we just skip intent matching for greetings
-    // and let the name asking logic handle first interactions
-    if (q.match(/^(hi|hello|hey|greetings|good morning|good evening)/)) {
-        // Return null so name asking logic can handle it
-        return null;
-    }
-
-    // 2. LIST ALL EVENTS INTENT
-    if (q.includes('all events') || q.includes('show events') || q.includes('any events') || q.includes('latest events') || q.match(/^events$/)) {
-        // For "latest events", sort by _id descending (newest first) since MongoDB ObjectId contains timestamp
-        // For other queries, just get events without specific sorting
-        const sortOrder = q.includes('latest') ? { _id: -1 } : {};
-        const events = await mongoose.connection.collection('events')
-            .find({})
-            .sort(sortOrder)
-            .limit(50)
-            .toArray();
-        return {
-            answer: q.includes('latest') 
-                ? `Here are the ${events.length} most recently posted events! 📅`
-                : `Here are ${events.length} events I found for you! 📅`,
-            sources: events
-        };
-    }
-
-    // 3. HELP INTENT - Expanded to catch more variations
-    if (q.includes('help') || 
-        q.includes('what can you do') || 
-        q.includes('what do you do') ||
-        q.includes('what u do') ||
-        q.includes('what can u do') ||
-        q.match(/what.*do/) ||
-        q.match(/what.*can/) ||
-        q === 'what u do' ||
-        q === 'what do you do' ||
-        q === 'what can you do') {
-        return {
-            answer: "I'm here to help you discover events! 🕵️‍♂️\n\nYou can ask me things like:\n- 'Show me upcoming music festivals'\n- 'Are there any free events?'\n- 'What's happening in Borcelle?'",
-            sources: []
-        };
-    }
-
-    return null; // No specific intent matched
-};
-
-
-/**
- * Generate embedding for a given text using Eden AI.
- */
-const generateEmbedding = async (text) => {
-    try {
-        const response = await fetch(`${CONFIG.baseUrl}/text/embeddings`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${CONFIG.apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                providers: CONFIG.embeddingProvider,
-                texts: [text],
-                [CONFIG.embeddingProvider]: CONFIG.embeddingModel
-            })
-        });
-
-        const data = await response.json();
-
-        if (!response.ok) {
-            console.error("[Eden AI Embedding Error Body]:", JSON.stringify(data, null, 2));
-            throw new Error(`Eden AI Embedding HTTP ${response.status}: ${data.error || 'Check logs'}`);
-        }
-
-        const providerKey = Object.keys(data).find(key => data[key]?.status === 'success');
-        const providerData = data[providerKey];
-
-        if (providerData && providerData.items?.length > 0) {
-            return providerData.items[0].embedding;
-        }
-
-        throw new Error(`Invalid embedding format from Eden AI: ${JSON.stringify(data)}`);
-    } catch (error) {
-        console.error("[AI Error] Could not generate embedding:", error.message);
-        return null; // Return null so we can fallback to normal search
-    }
+const generateChatText = async (systemPrompt, text, { temperature = 0.2, maxTokens = 1000, onToken, signal } = {}) => {
+    const request = {
+        system: systemPrompt,
+        messages: [{ role: 'user', content: text }],
+        temperature,
+        maxTokens
+    };
+    const result = onToken
+        ? await streamChat(request, { onText: onToken, signal })
+        : await chat(request, { signal });
+    return result.text || null;
 };
 
 /**
@@ -226,52 +66,94 @@ const calculateEventQuality = (event) => {
 };
 
 /**
- * Perform Vector Search in MongoDB Atlas with Fallback
+ * Boost (0-30) for events close in time to `now`; events running right now get the full boost
+ */
+const calculateDateProximity = (event, now = new Date()) => {
+    if (!event.starts_at) return 0;
+
+    const nowMs = now.getTime();
+    const startsAt = new Date(event.starts_at).getTime();
+    const endsAt = event.ends_at ? new Date(event.ends_at).getTime() : startsAt;
+    if (startsAt <= nowMs && endsAt >= nowMs) return 30;
+
+    const daysAway = Math.min(Math.abs(startsAt - nowMs), Math.abs(endsAt - nowMs)) / (24 * 60 * 60 * 1000);
+    return Math.round(30 * Math.exp(-daysAway / 14)); // Halves roughly every 10 days
+};
+
+/**
+ * Chronological comparator on normalized `starts_at` (undated events last)
  */
-const retrieveRelevantEvents = async (queryEmbedding, queryText, limit = 20) => {
+const compareByStartDate = (a, b) => {
+    const aTime = a.starts_at ? new Date(a.starts_at).getTime() : Infinity;
+    const bTime = b.starts_at ? new Date(b.starts_at).getTime() : Infinity;
+    if (aTime === bTime) return 0;
+    return aTime < bTime ? -1 : 1;
+};
+
+/**
+ * Perform Vector Search (Atlas or in-memory, see ai.vectorIndex.js) with keyword fallback
+ *
+ * @param {Object} [options]
+ * @param {{ from?: Date, to?: Date }} [options.dateRange] - only keep events overlapping this window
+ * @param {boolean} [options.includePast] - also return ended/archived events (hidden by default)
+ * @param {Object} [options.filters] - category / entryType / location / organizer constraints (see events/events.filters.js)
+ * @param {{ location?: string[] }} [options.hints] - places only guessed from the question; matching events rank higher
+ * @param {Date} [options.now] - reference clock for "upcoming" and date proximity
+ */
+const retrieveRelevantEvents = async (queryEmbedding, queryText, limit = 20, options = {}) => {
     try {
         let vectorResults = [];
         let keywordResults = [];
+        let keywordSource = 'keyword';
+        let keywordScore = null;
+        const now = options.now || new Date();
+        const hasDateFilter = Object.keys(buildDateRangeFilter(options.dateRange)).length > 0;
+        const hasFilters = Object.keys(options.filters || {}).length > 0;
+        // Deleted events never show; past events stay hidden unless the question asks for them;
+        // constraints pulled from the question (free, category, location) use the search filter engine
+        const baseFilter = buildFilterQuery({
+            ...options.filters,
+            dateFrom: options.dateRange?.from,
+            dateTo: options.dateRange?.to,
+            includePast: options.includePast
+        }, { now });
+        // Dated results read best in calendar order; otherwise by hybrid relevance (see ai.ranking.js)
+        const sortResults = (events) => events.sort((a, b) =>
+            hasDateFilter
+                ? compareByStartDate(a, b) || b.ranking.score - a.ranking.score
+                : b.ranking.score - a.ranking.score);
 
         // 1. Vector Search (if embedding exists)
         if (queryEmbedding) {
             try {
-                vectorResults = await mongoose.connection.collection('events').aggregate([
-                    {
-                        $vectorSearch: {
-                            index: "vector_index",
-                            path: "embedding",
-                            queryVector: queryEmbedding,
-                            numCandidates: 100,
-                            limit: limit * 2 // Get more candidates for filtering
-                        }
-                    },
-                    {
-                        $project: {
-                            _id: 1,
-                            event_details: 1,
-                            full_text: 1,
-                            raw_ocr: 1,
-                            score: { $meta: "vectorSearchScore" }
-                        }
+                vectorResults = await searchEventVectors(queryEmbedding, {
+                    limit: limit * 2, // Get more candidates for filtering
+                    filter: baseFilter,
+                    projection: {
+                        _id: 1,
+                        event_details: 1,
+                        full_text: 1,
+                        raw_ocr: 1,
+                        starts_at: 1,
+                        ends_at: 1,
+                        all_day: 1,
+                        date_confidence: 1,
+                        interest: 1
                     }
-                ]).toArray();
+                });
             } catch (err) {
-                console.warn("[Search Warning] Vector search failed (likely missing index). Ignoring vector results.", err.message);
+                console.warn("[Search Warning] Vector search failed. Ignoring vector results.", err.message);
             }
         }
 
         // 2. Keyword Search (Regex) - Fallback for when Vector Search fails or is insufficient
-        if (queryText) {
-            // "Smart" Keyword Extraction: Remove stop words to find core terms
-            const stopWords = ['show', 'me', 'any', 'event', 'events', 'of', 'in', 'for', 'the', 'a', 'an', 'find', 'search', 'about', 'is', 'are', 'which', 'what', 'when', 'where'];
-            const tokens = queryText.toLowerCase().split(/[\s,.?!]+/); // Split by space or punctuation
-            const keywords = tokens.filter(t => t.length > 2 && !stopWords.includes(t));
-
+        // "Smart" Keyword Extraction: Remove stop words to find core terms
+        const keywords = extractKeywords(queryText);
+        if (queryText || hasDateFilter || hasFilters || options.includePast) {
             // If we extracted valid keywords, search for ANY of them (broad match)
             if (keywords.length > 0) {
                 const keywordConditions = keywords.map(kw => {
-                    const regex = new RegExp(kw, 'i');
+                    const regex = new RegExp(escapeRegex(kw), 'i');
                     return [
                         { "event_details.event_name": regex },
                         { "event_details.location": regex },
@@ -281,41 +163,68 @@ const retrieveRelevantEvents = async (queryEmbedding, queryText, limit = 20) =>
                     ];
                 }).flat();
 
-                keywordResults = await mongoose.connection.collection('events').find({
-                    $or: keywordConditions
-                }).limit(limit * 2).toArray(); // Get more candidates for filtering
+                keywordResults = await Event.find(
+                    combineFilters({ $or: keywordConditions }, baseFilter)
+                ).select('-embedding').limit(limit * 5).lean(); // Get more candidates, then rank them by how well they match
+                keywordScore = (event) => scoreKeywordMatch(event, keywords);
 
                 console.log(`[Smart Search] Keywords: [${keywords.join(', ')}] -> Found ${keywordResults.length} raw matches.`);
+            } else if (hasDateFilter || hasFilters || options.includePast) {
+                // Nothing left but the slots ("any event today?", "free comedy in Bandra", "past events") - list what's on
+                keywordResults = await Event.find(baseFilter)
+                    .select('-embedding')
+                    .sort({ starts_at: options.includePast ? -1 : 1 })
+                    .limit(limit * 2)
+                    .lean();
+                keywordSource = 'date';
+                console.log(`[Smart Search] Filter-only search -> Found ${keywordResults.length} raw matches.`);
             } else {
                 // Determine if we should fallback to the original whole-phrase search
                 // (Useful if the user searched for something very short or specific that was filtered out)
-                const searchRegex = new RegExp(queryText, 'i');
-                keywordResults = await mongoose.connection.collection('events').find({
+                const searchRegex = new RegExp(escapeRegex(queryText), 'i');
+                keywordResults = await Event.find(combineFilters({
                     $or: [
                         { "event_details.event_name": searchRegex },
                         { "event_details.location": searchRegex },
                         { "event_details.event_date": searchRegex },
                         { "full_text": searchRegex }
                     ]
-                }).limit(limit * 2).toArray();
+                }, baseFilter)).select('-embedding').limit(limit * 5).lean();
+                keywordScore = (event) => scoreKeywordMatch(event, [queryText.toLowerCase()]);
+            }
+
+            if (keywordScore) {
+                keywordResults = keywordResults
+                    .sort((a, b) => keywordScore(b) - keywordScore(a))
+                    .slice(0, limit * 2);
             }
         }
 
-        // 3. Merge and Deduplicate by ID and name
-        const allResults = [...vectorResults, ...keywordResults];
+        // 3. Fuse the semantic and lexical rankings (quality, date proximity and a guessed place are only priors)
+        const locationHints = (options.hints?.location || []).map(place => place.toLowerCase());
+        const fusedResults = fuseRankings([
+            { source: 'vector', results: vectorResults, score: (event) => event.score },
+            { source: keywordSource, results: keywordResults, ...(keywordScore ? { score: keywordScore } : {}) }
+        ], {
+            priors: {
+                quality: (event) => calculateEventQuality(event) / 100,
+                proximity: (event) => calculateDateProximity(event, now) / 30,
+                ...(locationHints.length > 0 ? {
+                    location: (event) => {
+                        const location = (event.event_details?.location || '').toLowerCase();
+                        return locationHints.some(place => location.includes(place)) ? 1 : 0;
+                    }
+                } : {})
+            }
+        });
+
+        // Deduplicate by name, keeping the best-ranked copy
         const uniqueResults = [];
-        const seenIds = new Set();
         const seenNames = new Set();
 
-        for (const result of allResults) {
-            const idStr = result._id.toString();
+        for (const result of fusedResults) {
             const eventName = (result.event_details?.event_name || '').toLowerCase().trim();
             
-            // Skip if we've seen this ID before
-            if (seenIds.has(idStr)) {
-                continue;
-            }
-            
             // Skip if event name is too short or generic (like "THE", "WOODRUFF" without context)
             if (eventName.length <= 3 && !eventName.match(/^[a-z]{3,}$/)) {
                 continue;
@@ -327,7 +236,6 @@ const retrieveRelevantEvents = async (queryEmbedding, queryText, limit = 20) =>
                 continue;
             }
             
-            seenIds.add(idStr);
             if (normalizedName) {
                 seenNames.add(normalizedName);
             }
@@ -363,13 +271,13 @@ const retrieveRelevantEvents = async (queryEmbedding, queryText, limit = 20) =>
             
             if (lenientFiltered.length > 0) {
                 console.log(`[Quality Filter] Lenient filter found ${lenientFiltered.length} events`);
-                lenientFiltered.sort((a, b) => calculateEventQuality(b) - calculateEventQuality(a));
+                sortResults(lenientFiltered);
                 return lenientFiltered.slice(0, limit);
             }
         }
 
-        // 5. Sort by quality score (higher is better)
-        qualityFiltered.sort((a, b) => calculateEventQuality(b) - calculateEventQuality(a));
+        // 5. Sort by hybrid score, or by start date when filtering on dates
+        sortResults(qualityFiltered);
 
         // 6. Limit final set
         const finalResults = qualityFiltered.slice(0, limit);
@@ -383,98 +291,6 @@ const retrieveRelevantEvents = async (queryEmbedding, queryText, limit = 20) =>
     }
 };
 
-/**
- * Helper function to detect if a question is a follow-up question
- */
-const isFollowUpQuestion = (question, conversationHistory = []) => {
-    const q = question.toLowerCase().trim();
-
-    // If the question is very short (1-3 words) and there's conversation history, likely a follow-up
-    const wordCount = q.split(/\s+/).length;
-    if (wordCount <= 3 && conversationHistory.length > 0) {
-        // Check if it contains question-like words or detail-seeking words
-        const detailWords = ['date', 'time', 'location', 'place', 'contact', 'number', 'phone', 'email',
-            'website', 'address', 'price', 'cost', 'when', 'where', 'who', 'what',
-            'which', 'how', 'their', 'they', 'its', 'the'];
-        const hasDetailWord = detailWords.some(word => q.includes(word));
-        if (hasDetailWord) {
-            console.log(`[Follow-up Detection] Short question with detail word: "${question}"`);
-            return true;
-        }
-    }
-
-    // Check if question references an event from conversation history
-    // Look for event names or locations mentioned in previous messages
-    if (conversationHistory.length > 0) {
-        const recentMessages = conversationHistory.slice(-6).map(msg => msg.content.toLowerCase()).join(' ');
-        const eventKeywords = ['event', 'festival', 'concert', 'show', 'stadium', 'venue', 'location', 'uppal', 'holi', 'colour'];
-        const hasEventReference = eventKeywords.some(keyword => recentMessages.includes(keyword));
-        
-        // If question asks about something and there's an event in recent history, likely a follow-up
-        const isAskingAboutEvent = (
-            q.includes('tell me more') ||
-            q.includes('more about') ||
-            q.includes('about the') ||
-            q.includes('about this') ||
-            q.includes('about that') ||
-            q.includes('about') ||
-            q.match(/^(tell|give|show|what).*(more|details|info|about)/i)
-        );
-        
-        if (hasEventReference && isAskingAboutEvent) {
-            console.log(`[Follow-up Detection] Question references event from history: "${question}"`);
-            return true;
-        }
-    }
-
-    // Common follow-up patterns
-    const followUpPatterns = [
-        // Standard question patterns
-        /^(which|what|when|where|who|whose)\s+(date|time|location|place|contact|number|price|cost|website|email|phone)/i,
-
-        // "the X" patterns
-        /^(the\s+)?(date|time|location|place|contact|number|price|cost|website|email|phone|address)/i,
-
-        // Possessive patterns (their, its, his, her)
-        /^(their|its|his|her|they)\s+/i,
-
-        // Direct detail words at start
-        /^(contact|phone|email|website|address|price|cost|date|time|location|place)/i,
-
-        // How questions
-        /^(how much|how long|how many|how far)/i,
-
-        // "X number" or "X details" patterns
-        /(contact|phone)\s*(number|details|info)?$/i,
-
-        // Very short contextual questions
-        /^(when|where|who|what time|what date)/i,
-
-        // "Tell me more" patterns
-        /^(tell|give|show).*(more|details|info|about)/i,
-        /more\s+about/i,
-        /about\s+(the|this|that|it)/i
-    ];
-
-    const isFollowUp = followUpPatterns.some(pattern => pattern.test(q));
-
-    if (isFollowUp) {
-        console.log(`[Follow-up Detection] Pattern matched: "${question}"`);
-    }
-
-    return isFollowUp;
-};
-
-/**
- * Extract event sources from conversation history
- */
-const extractEventsFromHistory = (conversationHistory) => {
-    // Look for the last AI message that might have included event sources
-    // In a real implementation, we'd need to store sources with messages
-    // For now, we'll return empty array and rely on the AI's memory
-    return [];
-};
-
 /**
  * Smart fallback: Extract answer from conversation history for follow-up questions
  */
@@ -645,75 +461,194 @@ const extractAnswerFromHistory = (question, conversationHistory) => {
 };
 
 /**
- * Main chat logic: RAG approach using Eden AI
+ * Follow-up answer when the LLM is unavailable: read it off the event the
+ * question is about, or scrape the earlier answers when we don't know which event
+ */
+const answerFollowUpWithoutLlm = (question, conversationHistory, followUp) => {
+    if (followUp?.specific) {
+        console.log(`[Fallback] Answering follow-up from "${followUp.events[0].event_details?.event_name}"`);
+        return { answer: answerFromEvent(question, followUp.events[0]), sources: followUp.events };
+    }
+
+    console.log("[Fallback] Attempting to extract answer from conversation history for:", question);
+    const extractedAnswer = extractAnswerFromHistory(question, conversationHistory);
+    if (extractedAnswer) {
+        console.log("[Fallback] Successfully extracted answer from history");
+        return { answer: extractedAnswer, sources: [] };
+    }
+    console.log("[Fallback] Could not extract answer from history, using default message");
+    return null;
+};
+
+/**
+ * Main chat logic: RAG approach on the configured chat provider
+ *
+ * @param {string} question
+ * @param {Array<{ role: 'user'|'ai', content: string }>} [conversationHistory] - earlier turns
+ * @param {Object} [user] - signed-in user, verified from their ID token (req.user, see auth/)
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - the user's stored profile (see profiles/)
+ * @param {string} [options.sessionId] - X-Session-Id of the device, for intents that look at the whole session
+ * @param {Function} [options.onSources] - streaming: called with the retrieved events before the answer is generated
+ * @param {Function} [options.onToken] - streaming: called with each piece of the generated answer
+ * @param {AbortSignal} [options.signal] - streaming: stops generation when the client goes away
+ * @returns {Promise<{ answer: string, sources: Object[], metadata?: Object, intent: string, profileChanges?: Object, forgetData?: boolean }>}
+ *          the complete answer (also when streamed) and which intent produced it; `profileChanges` is what the user
+ *          told us about themselves (see profiles.service normalizeProfileInput), `forgetData` that they confirmed they want to be forgotten;
+ *          `metadata.slots` holds the entity slots the question was filtered by
  */
-const getChatResponse = async (question, conversationHistory = [], user = null) => {
+const getChatResponse = async (question, conversationHistory = [], user = null, options = {}) => {
+    // Answers that don't say otherwise came from retrieval + LLM
+    const turn = { intent: 'search' };
+    const result = await buildChatResponse(question, conversationHistory, user, options, turn);
+    const slots = turn.slots && Object.keys(turn.slots).length > 0 ? turn.slots : null;
+    return {
+        intent: turn.intent,
+        ...result,
+        ...(slots ? { metadata: { ...result.metadata, slots } } : {})
+    };
+};
+
+const buildChatResponse = async (question, conversationHistory, user, options, turn) => {
+    const { profile: storedProfile, sessionId, ...stream } = options;
+    const profile = storedProfile || {};
     // Declare relevantEvents at function scope so it's accessible in catch block
     let relevantEvents = [];
+    // Entity slots (see ai.entities.js), applied as hard filters
+    const entities = extractEntities(question);
+    // Date window from phrases like "today" or "this weekend"
+    let timeWindow = entities.timeWindow;
+    if (timeWindow) {
+        console.log(`[Temporal] "${timeWindow.phrase}" -> ${timeWindow.from.toISOString()} .. ${timeWindow.to.toISOString()}`);
+    }
+    // Only upcoming events are recommended unless the user asks about the past
+    let includePast = wantsPastEvents(question, timeWindow);
+    // Structured constraints ("free", "comedy", "in Bandra") go through the same filter engine as /api/events/search
+    let filters = entities.filters;
+    if (Object.keys(filters).length > 0) {
+        console.log(`[Filters] Extracted from question: ${JSON.stringify(filters)}`);
+    }
     
     try {
         // -------------------------------------------------
-        // 0. Check if we should ask for name (first interaction)
-        // Skip if user is logged in (has displayName from Firebase)
+        // 0. The user is answering "are you sure?" after "forget my data";
+        //    anything but a yes or no drops the request
         // -------------------------------------------------
-        if (!user && shouldAskForName(conversationHistory)) {
-            console.log("[Name Check] Asking for user's name");
-            return {
-                answer: "what is ur name",
-                sources: []
-            };
+        if (profile.awaiting_forget_confirmation) {
+            const confirmed = readConfirmation(question);
+            if (confirmed === true) {
+                return {
+                    answer: `Done! I've forgotten your name and preferences${user ? ', your saved events and RSVPs' : ''} and deleted our saved conversations. 🧹`,
+                    sources: [],
+                    intent: 'forget_data_confirmed',
+                    forgetData: true
+                };
+            }
+            if (confirmed === false) {
+                return { answer: "Okay, I'll keep everything as it is. 👍", sources: [], intent: 'forget_data_cancelled' };
+            }
         }
 
         // -------------------------------------------------
-        // 0.5. Check if user just provided their name
-        // Skip if user is logged in (already has name from Firebase)
+        // 0.5. The user is answering our name question (anonymous users only);
+        //    "show all events" or "call me Sam" go to their intents instead
         // -------------------------------------------------
-        if (!user && isNameResponse(conversationHistory)) {
-            const userName = extractUserName(question);
-            if (userName && userName.length > 0) {
+        if (!user && profile.awaiting_name && !scoreIntents(question).some(candidate => candidate.accepted)) {
+            const givenName = extractUserName(question);
+            if (givenName) {
                 return {
-                    answer: `Nice to meet you, ${userName}! 😊 Now, how can I help you with events today?`,
-                    sources: []
+                    answer: `Nice to meet you, ${givenName}! 😊 Now, how can I help you with events today?`,
+                    sources: [],
+                    intent: 'provide_name',
+                    profileChanges: { displayName: givenName }
                 };
             }
         }
 
+        // The name the user asked to be called, else the one from their account
+        const userName = profile.display_name || user?.displayName || null;
+        // Reported back in the response metadata
+        turn.slots = entities.slots;
+
         // -------------------------------------------------
-        // 1. Check Local Intents First (Dialogflow-like)
+        // 1. Check Local Intents First (see intents/): anything below the confidence threshold goes on to RAG
         // -------------------------------------------------
-        const intentResult = await detectIntent(question, conversationHistory);
+        const intentResult = await detectIntent(question, conversationHistory, {
+            timeWindow, includePast, filters, userName, profile, user, signedIn: Boolean(user), sessionId
+        });
         if (intentResult) {
             console.log("[AI Service] Intent matched locally.");
             return intentResult;
         }
 
-        // Get user name from Firebase auth or conversation history for personalization
-        const userName = user?.displayName || getUserName(conversationHistory);
+        // -------------------------------------------------
+        // 1.5. First contact: ask an anonymous user's name, once per profile
+        // -------------------------------------------------
+        if (!user && !userName && !profile.name_asked_at) {
+            console.log("[Name Check] Asking for user's name");
+            return {
+                answer: ASK_NAME_ANSWER,
+                sources: [],
+                intent: 'ask_name'
+            };
+        }
 
         // -------------------------------------------------
-        // 2. Check if this is a follow-up question
+        // 2. Rewrite into a standalone query: follow-up about the events shown, or a new search
         // -------------------------------------------------
-        const isFollowUp = isFollowUpQuestion(question, conversationHistory);
+        const rewrite = await rewriteQuery(question, conversationHistory, { signal: stream.signal });
+        let isFollowUp = rewrite.type === 'follow_up';
+        let followUp = null;
+        // The rewrite can carry dates and filters over from earlier turns ("similar ones in March")
+        if (!isFollowUp) {
+            ({ timeWindow, includePast, filters } = rewrite.constraints);
+            turn.slots = rewrite.constraints.slots;
+        }
+
+        // "Comedy Open Mic website?": asks for a detail of an event shown earlier, by name
+        if (!timeWindow && !isFollowUp && detectRequestedDetails(question).length > 0) {
+            const named = await resolveFollowUpEvents(question, conversationHistory);
+            if (named?.reference === 'name') {
+                isFollowUp = true;
+                followUp = named;
+            }
+        }
 
         if (isFollowUp && conversationHistory.length > 0) {
-            console.log("[AI Service] Detected follow-up question. Using conversation context only.");
-            // For follow-up questions, don't search for new events
-            // The AI will use the conversation history to answer
-            relevantEvents = [];
+            console.log("[AI Service] Detected follow-up question. Using the events shown earlier.");
+            turn.intent = 'follow_up';
+            // For follow-up questions, don't search for new events: answer from the
+            // events shown earlier (or, without their ids, from the conversation text)
+            followUp = followUp || await resolveFollowUpEvents(question, conversationHistory);
+            if (followUp) {
+                console.log(`[Follow-up] Resolved by ${followUp.reference}: ${followUp.events.map(event => event.event_details?.event_name).join(', ')}`);
+            }
+            relevantEvents = followUp?.events || [];
         } else {
             // -------------------------------------------------
             // 3. Perform RAG (Embeddings + LLM) for new queries
             // -------------------------------------------------
 
-            // Generate Query Vector (Optional fallback)
-            const queryEmbedding = await generateEmbedding(question);
+            // The slots are filters already: search for what is left of the question
+            const searchText = rewrite.constraints.text;
+
+            // Generate Query Vector (Optional fallback); nothing to embed for
+            // "free music events in Hyderabad next Saturday", where the filters say it all
+            const queryEmbedding = extractKeywords(searchText).length > 0 ? await generateEmbedding(searchText) : null;
 
             // Search Database (with fallback to basic retrieval)
-            relevantEvents = await retrieveRelevantEvents(queryEmbedding, question);
+            relevantEvents = await retrieveRelevantEvents(queryEmbedding, searchText, 20, {
+                dateRange: timeWindow,
+                includePast,
+                filters,
+                hints: rewrite.constraints.hints
+            });
         }
 
         // 4. Prepare Context
         const eventsContext = formatEventsContext(relevantEvents);
+        // Follow-ups show a card only when we know which event they are about
+        const shownSources = isFollowUp ? (followUp?.specific ? relevantEvents : []) : relevantEvents;
 
         // 5. Build conversation context from history
         let conversationContext = '';
@@ -727,65 +662,64 @@ const getChatResponse = async (question, conversationHistory = [], user = null)
                 }).join('\n') + '\n=== End of Previous Conversation ===\n';
         }
 
+        // Let the model know which dates the events were filtered to
+        if (timeWindow) {
+            conversationContext += `\nNote: The events above were filtered to the user's requested dates (${timeWindow.label}). Only mention events in that window.\n`;
+        }
+
+        // Point the model at the event a follow-up is about
+        if (followUp?.specific) {
+            conversationContext += `\nNote: The user's question is about "${relevantEvents[0].event_details?.event_name}" (Event 1 above). Answer from its details.\n`;
+        } else if (followUp) {
+            conversationContext += `\nNote: The events above are the ones shown earlier in this conversation. Work out from the question which one the user means, or ask if it's unclear.\n`;
+        }
+
         // Add user name to context if available
         if (userName) {
             conversationContext += `\nNote: The user's name is ${userName}. You can use their name to personalize responses when appropriate.\n`;
         }
+        // What else the profile says about them
+        if (profile.home_city) {
+            conversationContext += `\nNote: The user lives in ${profile.home_city}. When they don't name a place, mention events there first.\n`;
+        }
+        if (profile.preferred_categories?.length > 0) {
+            conversationContext += `\nNote: The user enjoys ${profile.preferred_categories.join(', ')} events.\n`;
+        }
+        if (profile.language && LANGUAGE_NAMES[profile.language]) {
+            conversationContext += `\nNote: Reply in ${LANGUAGE_NAMES[profile.language]}. Keep event names as they are.\n`;
+        }
 
         // Build the complete system prompt with all context
         const fullSystemPrompt = SYSTEM_PROMPT.replace('{eventsContext}', eventsContext) + conversationContext;
 
-        // 6. Generate Answer using Eden AI Chat
+        // 6. Generate Answer with the chat provider
         try {
-            const response = await fetch(`${CONFIG.baseUrl}/text/chat`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${CONFIG.apiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    providers: CONFIG.chatProvider,
-                    text: question,
-                    chatbot_global_action: fullSystemPrompt,
-                    temperature: 0.2,
-                    max_tokens: 1500, // Increased to allow longer responses with context
-                    [CONFIG.chatProvider]: CONFIG.llmModel
-                })
-            });
-
-            const data = await response.json();
-
-            if (!response.ok) {
-                console.error("[Eden AI Chat Error Body]:", JSON.stringify(data, null, 2));
-                throw new Error(`Eden AI Chat HTTP ${response.status}`);
+            if (stream.onToken) {
+                stream.onSources?.(shownSources);
+                // withTimeWindow prefixes the final answer with the window label; stream it first
+                if (timeWindow) stream.onToken(`🗓️ ${timeWindow.label}\n\n`);
             }
 
-            const providerKey = Object.keys(data).find(key => data[key]?.status === 'success');
-            const providerData = data[providerKey];
+            // Increased max tokens to allow longer responses with context
+            const generatedText = await generateChatText(fullSystemPrompt, question, {
+                maxTokens: 1500,
+                onToken: stream.onToken,
+                signal: stream.signal
+            });
 
-            if (providerData && providerData.status === 'success') {
-                return {
-                    answer: providerData.generated_text,
-                    sources: isFollowUp ? [] : relevantEvents // Don't show event cards for follow-up questions
-                };
+            if (generatedText) {
+                return withTimeWindow({
+                    answer: generatedText,
+                    sources: shownSources
+                }, timeWindow);
             }
             
-            // If no successful provider found, log and use fallback
-            console.warn("[AI Service Warning] No successful provider found in Eden AI response:", JSON.stringify(data, null, 2));
+            // If no successful provider found, use fallback
             
-            // For follow-up questions, try to extract answer from conversation history
+            // For follow-up questions, answer from the event itself (or the conversation history)
             if (isFollowUp) {
-                console.log("[Fallback] Attempting to extract answer from conversation history for:", question);
-                const extractedAnswer = extractAnswerFromHistory(question, conversationHistory);
-                if (extractedAnswer) {
-                    console.log("[Fallback] Successfully extracted answer from history");
-                    return {
-                        answer: extractedAnswer,
-                        sources: []
-                    };
-                } else {
-                    console.log("[Fallback] Could not extract answer from history, using default message");
-                }
+                const offlineAnswer = answerFollowUpWithoutLlm(question, conversationHistory, followUp);
+                if (offlineAnswer) return offlineAnswer;
             }
             
             // Fallback: Generate a simple response from events found (when AI is down)
@@ -806,37 +740,28 @@ const getChatResponse = async (question, conversationHistory = [], user = null)
                     return summary;
                 }).join('\n');
                 
-                return {
+                return withTimeWindow({
                     answer: `I found ${relevantEvents.length} event${relevantEvents.length !== 1 ? 's' : ''} related to your search! 📅\n\n${eventSummary}${relevantEvents.length > 3 ? `\n\n...and ${relevantEvents.length - 3} more event${relevantEvents.length - 3 !== 1 ? 's' : ''}!` : ''}`,
                     sources: relevantEvents
-                };
+                }, timeWindow);
             }
             
             // Fallback: Return events with a simple message
-            return {
+            return withTimeWindow({
                 answer: isFollowUp 
                     ? "I'm having a little trouble accessing that information right now. Could you try asking about the event details again?"
                     : relevantEvents.length > 0
                         ? `I found ${relevantEvents.length} event${relevantEvents.length !== 1 ? 's' : ''} related to your search! Here they are: 👇`
                         : "I couldn't find any events matching your search. Try different keywords!",
-                sources: isFollowUp ? [] : relevantEvents
-            };
+                sources: shownSources
+            }, timeWindow);
         } catch (chatError) {
             console.warn("[AI Service Warning] Chat generation failed. Returning fallback response.", chatError.message);
             
-            // For follow-up questions, try to extract answer from conversation history
+            // For follow-up questions, answer from the event itself (or the conversation history)
             if (isFollowUp) {
-                console.log("[Fallback] Attempting to extract answer from conversation history for:", question);
-                const extractedAnswer = extractAnswerFromHistory(question, conversationHistory);
-                if (extractedAnswer) {
-                    console.log("[Fallback] Successfully extracted answer from history");
-                    return {
-                        answer: extractedAnswer,
-                        sources: []
-                    };
-                } else {
-                    console.log("[Fallback] Could not extract answer from history, using default message");
-                }
+                const offlineAnswer = answerFollowUpWithoutLlm(question, conversationHistory, followUp);
+                if (offlineAnswer) return offlineAnswer;
             }
             
             // Fallback: Generate a simple response from events found (when AI is down)
@@ -857,61 +782,66 @@ const getChatResponse = async (question, conversationHistory = [], user = null)
                     return summary;
                 }).join('\n');
                 
-                return {
+                return withTimeWindow({
                     answer: `I found ${relevantEvents.length} event${relevantEvents.length !== 1 ? 's' : ''} related to your search! 📅\n\n${eventSummary}${relevantEvents.length > 3 ? `\n\n...and ${relevantEvents.length - 3} more event${relevantEvents.length - 3 !== 1 ? 's' : ''}!` : ''}`,
                     sources: relevantEvents
-                };
+                }, timeWindow);
             }
             
             // Fallback: If LLM fails, return the raw events with a simple message
             // But don't show events for follow-up questions
-            return {
+            return withTimeWindow({
                 answer: isFollowUp 
                     ? "I'm having a little trouble accessing that information right now. Could you try asking about the event details again?"
                     : relevantEvents.length > 0
                         ? `I found ${relevantEvents.length} event${relevantEvents.length !== 1 ? 's' : ''} related to your search! Here they are: 👇`
                         : "I couldn't find any events matching your search. Try different keywords!",
-                sources: isFollowUp ? [] : relevantEvents
-            };
+                sources: shownSources
+            }, timeWindow);
         }
     } catch (error) {
         console.error("[AI Service Error]:", error.message);
         // Final Safety Net: If we have relevantEvents from earlier, use them
         // Otherwise fall back to standard search
         if (typeof relevantEvents !== 'undefined' && relevantEvents.length > 0) {
-            return {
+            return withTimeWindow({
                 answer: `I found ${relevantEvents.length} event${relevantEvents.length !== 1 ? 's' : ''} related to your search! Here they are: 👇`,
                 sources: relevantEvents
-            };
+            }, timeWindow);
         }
-        return await performStandardSearch(question);
+        turn.intent = 'standard_search';
+        return await performStandardSearch(question, { dateRange: timeWindow });
     }
 };
 
 /**
  * Standard Text Search without AI
- * Uses regex to find matching events in the database.
+ * Full-text search on the weighted text index, most relevant first
+ * (supports "quoted phrases" and -excluded terms, see ai.textSearch.js).
+ *
+ * @param {Object} [options]
+ * @param {{ from?: Date, to?: Date }} [options.dateRange] - only keep events overlapping this window
+ * @param {'relevance'|'date'|'date_desc'} [options.sort='relevance'] - date sorts put undated events last
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
  */
-const performStandardSearch = async (query) => {
+const performStandardSearch = async (query, options = {}) => {
     try {
         console.log(`[Standard Search] Searching for: "${query}"`);
 
-        // Create a case-insensitive regex for the search query
-        const searchRegex = new RegExp(query, 'i');
-
-        const results = await mongoose.connection.collection('events').find({
-            $or: [
-                { "event_details.event_name": searchRegex },
-                { "event_details.place": searchRegex },
-                { "full_text": searchRegex } // Search full text instead of raw_ocr array
-            ]
-        }).limit(50).toArray();
+        const { events, total, page, limit, engine } = await searchEventsByText(query, {
+            filter: combineFilters(buildVisibleFilter(), buildDateRangeFilter(options.dateRange)),
+            sort: options.sort,
+            page: options.page,
+            limit: options.limit
+        });
 
         return {
-            answer: results.length > 0
-                ? `Found ${results.length} events matching "${query}".`
+            answer: total > 0
+                ? `Found ${total} events matching "${query}".`
                 : `No events found matching "${query}".`,
-            sources: results
+            sources: events,
+            metadata: { total, page, limit, sort: options.sort || 'relevance', engine }
         };
     } catch (error) {
         console.error("[Standard Search Error]:", error.message);
@@ -921,5 +851,8 @@ const performStandardSearch = async (query) => {
 
 module.exports = {
     getChatResponse,
-    performStandardSearch
+    performStandardSearch,
+    generateEmbedding,
+    generateChatText,
+    calculateEventQuality
 };
@@ -0,0 +1,215 @@
+/**
+ * Temporal query understanding for chat questions.
+ *
+ * Turns phrases like "today", "this weekend", "next month" or "25th January"
+ * into a concrete { from, to } window, resolved against the server clock in
+ * the configured events timezone (EVENTS_TIMEZONE).
+ */
+
+const { DATE_CONFIG, parseEventDate, getZonedParts, startOfDay, endOfDay, zonedTimeToUtc } = require('./ai.dates');
+
+const WEEKDAYS = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+};
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, couple: 2, few: 3
+};
+
+const WEEKDAY_PATTERN = '(sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?)';
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY_NUMBER = '\\d{1,2}(?:st|nd|rd|th)?';
+
+/**
+ * Human-readable label for a window, e.g. "Between Sat Oct 24 and Sun Oct 25"
+ */
+const formatWindowLabel = (from, to, timeZone) => {
+    const format = (date) => new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+    }).format(date).replace(',', '');
+
+    const start = format(from);
+    const end = format(to);
+    return start === end ? `On ${start}` : `Between ${start} and ${end}`;
+};
+
+const parseCount = (value) => {
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return NUMBER_WORDS[value] || null;
+};
+
+/**
+ * Parse the first temporal expression in a question.
+ *
+ * @param {string} text - the user's question
+ * @param {Object} [options]
+ * @param {Date} [options.now] - reference clock (defaults to the server clock)
+ * @param {string} [options.timezone] - IANA zone to resolve calendar days in
+ * @returns {{ from: Date, to: Date, label: string, phrase: string, isPast: boolean }|null}
+ */
+const parseTemporalExpression = (text, options = {}) => {
+    if (!text || typeof text !== 'string') return null;
+
+    const now = options.now || new Date();
+    const timeZone = options.timezone || DATE_CONFIG.timezone;
+    const q = text.toLowerCase();
+    const today = getZonedParts(now, timeZone);
+
+    // Calendar-day helpers relative to today (day overflow is handled by Date.UTC)
+    const dayStart = (offset) => startOfDay(today.year, today.month, today.day + offset, timeZone);
+    const dayEnd = (offset) => endOfDay(today.year, today.month, today.day + offset, timeZone);
+    const days = (startOffset, endOffset) => ({ from: dayStart(startOffset), to: dayEnd(endOffset) });
+    const weekday = today.weekday;
+    // Offsets to this week's Monday and Saturday (weeks run Monday-Sunday)
+    const mondayOffset = weekday === 0 ? -6 : 1 - weekday;
+    const saturdayOffset = mondayOffset + 5;
+
+    const rules = [
+        {
+            pattern: /\b(?:the\s+)?day after tomorrow\b/,
+            resolve: () => days(2, 2)
+        },
+        {
+            pattern: /\b(?:tonight|this evening)\b/,
+            resolve: () => ({ from: zonedTimeToUtc(today.year, today.month, today.day, 17, 0, timeZone), to: dayEnd(0) })
+        },
+        {
+            pattern: /\b(?:today|todays|today's)\b/,
+            resolve: () => days(0, 0)
+        },
+        {
+            pattern: /\b(?:tomorrow|tmrw|tmr)\b/,
+            resolve: () => days(1, 1)
+        },
+        {
+            pattern: /\byesterday\b/,
+            resolve: () => days(-1, -1)
+        },
+        {
+            pattern: /\b(?:(this|next|last|coming|upcoming|the)\s+)?weekend\b/,
+            resolve: (match) => {
+                if (match[1] === 'next') return days(saturdayOffset + 7, saturdayOffset + 8);
+                if (match[1] === 'last') return days(saturdayOffset - 7, saturdayOffset - 6);
+                // On a Sunday "this weekend" is just what's left of it
+                return days(Math.max(saturdayOffset, 0), saturdayOffset + 1);
+            }
+        },
+        {
+            pattern: /\b(this|next|last|coming)\s+week\b/,
+            resolve: (match) => {
+                if (match[1] === 'next' || match[1] === 'coming') return days(mondayOffset + 7, mondayOffset + 13);
+                if (match[1] === 'last') return days(mondayOffset - 7, mondayOffset - 1);
+                return days(0, mondayOffset + 6);
+            }
+        },
+        {
+            pattern: /\b(this|next|last|coming)\s+month\b/,
+            resolve: (match) => {
+                const shift = match[1] === 'next' || match[1] === 'coming' ? 1 : match[1] === 'last' ? -1 : 0;
+                return {
+                    from: shift === 0 ? dayStart(0) : startOfDay(today.year, today.month + shift, 1, timeZone),
+                    to: endOfDay(today.year, today.month + shift + 1, 0, timeZone)
+                };
+            }
+        },
+        {
+            pattern: /\b(this|next|last)\s+year\b/,
+            resolve: (match) => {
+                const shift = match[1] === 'next' ? 1 : match[1] === 'last' ? -1 : 0;
+                return {
+                    from: shift === 0 ? dayStart(0) : startOfDay(today.year + shift, 0, 1, timeZone),
+                    to: endOfDay(today.year + shift, 11, 31, timeZone)
+                };
+            }
+        },
+        {
+            // "next 3 days", "in the coming two weeks", "past month"
+            pattern: /\b(?:in\s+|within\s+|over\s+|during\s+)?(?:the\s+)?(next|coming|past|last)\s+(?:(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|couple(?:\s+of)?|few)\s+)?(day|week|month)s?\b/,
+            resolve: (match) => {
+                const count = parseCount((match[2] || '1').replace(/\s+of$/, '')) || 1;
+                const unitDays = { day: 1, week: 7, month: 30 }[match[3]];
+                const span = count * unitDays;
+                return match[1] === 'past' || match[1] === 'last'
+                    ? days(-span, 0)
+                    : days(0, span - 1);
+            }
+        },
+        {
+            // "in 3 days"
+            pattern: /\bin\s+(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)\s+days?\b/,
+            resolve: (match) => {
+                const offset = parseCount(match[1]) || 1;
+                return days(offset, offset);
+            }
+        },
+        {
+            pattern: new RegExp(`\\b(?:on\\s+)?(?:(this|next|coming|last)\\s+)?${WEEKDAY_PATTERN}\\b`),
+            resolve: (match) => {
+                // Bare abbreviations ("sun", "sat") are too often ordinary words
+                if (!match[1] && match[2].length <= 4 && !/^on\s/.test(match[0])) return null;
+                const target = WEEKDAYS[match[2]];
+                let offset = (target - weekday + 7) % 7;
+                if (match[1] === 'last') {
+                    offset = offset === 0 ? -7 : offset - 7;
+                } else if (match[1] === 'next') {
+                    if (offset === 0) offset = 7;
+                    // "next friday" said on a Monday means the Friday of next week
+                    if (offset + weekday <= 7 && weekday !== 0 && target !== 0) offset += 7;
+                }
+                return days(offset, offset);
+            }
+        },
+        {
+            // Explicit dates: "25th January", "Jan 25 - 27", "in March 2027"
+            pattern: new RegExp(`\\b(?:on\\s+|in\\s+|for\\s+|during\\s+)?(?:${DAY_NUMBER}\\s*(?:-|to|&|and)?\\s*)?(?:${DAY_NUMBER}\\s+(?:of\\s+)?)?${MONTH_PATTERN}\\b(?:\\s+${DAY_NUMBER}\\b(?:\\s*(?:-|to|&|and)\\s*${DAY_NUMBER}\\b)?)?(?:\\s*,?\\s*\\d{4}\\b)?`),
+            resolve: (match) => {
+                // A bare month name ("may", "march") needs a day or a preposition to count as a date
+                if (!/\d/.test(match[0]) && !/^(on|in|for|during)\s/.test(match[0])) return null;
+                const parsed = parseEventDate(match[0], null, { referenceDate: now, timezone: timeZone, allowNumeric: false });
+                return parsed.starts_at ? { from: parsed.starts_at, to: parsed.ends_at } : null;
+            }
+        }
+    ];
+
+    for (const rule of rules) {
+        const match = q.match(rule.pattern);
+        if (!match) continue;
+
+        const window = rule.resolve(match);
+        if (!window) continue;
+
+        return {
+            from: window.from,
+            to: window.to,
+            label: formatWindowLabel(window.from, window.to, timeZone),
+            phrase: text.substr(match.index, match[0].length).trim(),
+            isPast: window.to.getTime() < now.getTime()
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Remove the matched temporal phrase so it doesn't pollute keyword search
+ */
+const stripTemporalPhrase = (text, temporal) => {
+    if (!temporal || !temporal.phrase) return text;
+    return text.replace(temporal.phrase, ' ').replace(/\s+/g, ' ').trim();
+};
+
+module.exports = {
+    parseTemporalExpression,
+    stripTemporalPhrase,
+    formatWindowLabel
+};
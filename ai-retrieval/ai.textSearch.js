@@ -0,0 +1,179 @@
+const { Event, TEXT_INDEX_NAME } = require('../events/event.model');
+const { buildDateSortStages } = require('./ai.dates');
+const { scoreKeywordMatch } = require('./ai.ranking');
+const { combineFilters, escapeRegex } = require('./ai.utils');
+
+/**
+ * Full-text event search on the weighted `event_text_index` (see
+ * events/event.model.js): MongoDB does the tokenizing, stemming and stop
+ * words, we only pass it a query string we rebuilt from parsed tokens.
+ *
+ * Query syntax: plain words (any may match), "quoted phrases" (must match),
+ * and -word / -"phrase" to exclude.
+ */
+
+const SEARCH_CONFIG = {
+    maxQueryLength: 200,
+    maxTerms: 20,
+    defaultLimit: 20,
+    maxLimit: 100,
+    // Candidates scored in memory when the text index is unavailable
+    fallbackCandidates: 500
+};
+
+const TEXT_FIELDS = ['event_details.event_name', 'event_details.location', 'event_details.organizer', 'full_text'];
+
+// Keep letters, numbers and a few in-word characters; everything else separates words
+const cleanText = (text) => text.replace(/[^\p{L}\p{N}'&.+#-]+/gu, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Split a user query into terms, phrases and exclusions
+ *
+ * @returns {{ terms: string[], phrases: string[], excludes: string[], excludedPhrases: string[] }}
+ */
+const parseSearchQuery = (query) => {
+    const parsed = { terms: [], phrases: [], excludes: [], excludedPhrases: [] };
+    const text = String(query || '').replace(/[“”]/g, '"').substring(0, SEARCH_CONFIG.maxQueryLength);
+    const pattern = /(-?)"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[2] !== undefined) {
+            const phrase = cleanText(match[2]);
+            if (phrase) (match[1] ? parsed.excludedPhrases : parsed.phrases).push(phrase);
+            continue;
+        }
+
+        const negative = match[3].length > 1 && match[3].startsWith('-');
+        const words = cleanText(negative ? match[3].substring(1) : match[3])
+            .split(' ')
+            .map(word => word.replace(/^[-.'+&#]+|[-.'&]+$/g, ''))
+            .filter(word => /[\p{L}\p{N}]/u.test(word));
+        (negative ? parsed.excludes : parsed.terms).push(...words);
+    }
+
+    parsed.terms = [...new Set(parsed.terms)].slice(0, SEARCH_CONFIG.maxTerms);
+    parsed.excludes = [...new Set(parsed.excludes)].slice(0, SEARCH_CONFIG.maxTerms);
+    return parsed;
+};
+
+/**
+ * Does the parsed query have anything to search for (not only exclusions)?
+ */
+const hasSearchTerms = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+/**
+ * `$text` search string for a parsed query
+ */
+const buildTextSearchString = (parsed) => [
+    ...parsed.terms,
+    ...parsed.phrases.map(phrase => `"${phrase}"`),
+    ...parsed.excludes.map(term => `-${term}`),
+    ...parsed.excludedPhrases.map(phrase => `-"${phrase}"`)
+].join(' ');
+
+/**
+ * Equivalent filter with escaped regexes, for when the text index is missing
+ */
+const buildRegexSearchFilter = (parsed) => {
+    const anyField = (text) => ({ $or: TEXT_FIELDS.map(field => ({ [field]: new RegExp(escapeRegex(text), 'i') })) });
+    const conditions = [];
+
+    if (parsed.terms.length > 0) {
+        conditions.push({ $or: parsed.terms.flatMap(term => anyField(term).$or) });
+    }
+    parsed.phrases.forEach(phrase => conditions.push(anyField(phrase)));
+    [...parsed.excludes, ...parsed.excludedPhrases].forEach(text => conditions.push({ $nor: anyField(text).$or }));
+
+    return combineFilters(...conditions);
+};
+
+const isMissingTextIndex = (error) => error.code === 27 || /text index required/i.test(error.message || '');
+
+const pageBounds = ({ page = 1, limit = SEARCH_CONFIG.defaultLimit }) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || SEARCH_CONFIG.defaultLimit, 1), SEARCH_CONFIG.maxLimit);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    return { pageSize, pageNumber, skip: (pageNumber - 1) * pageSize };
+};
+
+const searchWithTextIndex = async (parsed, filter, sort, { pageSize, skip }) => {
+    const sortStages = sort === 'date' || sort === 'date_desc'
+        ? buildDateSortStages(sort === 'date' ? 1 : -1)
+        : [{ $sort: { text_score: -1, starts_at: 1, _id: -1 } }];
+
+    const [result] = await Event.aggregate([
+        { $match: combineFilters({ $text: { $search: buildTextSearchString(parsed) } }, filter) },
+        { $addFields: { text_score: { $meta: 'textScore' } } },
+        { $project: { embedding: 0 } },
+        {
+            $facet: {
+                events: [...sortStages, { $skip: skip }, { $limit: pageSize }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return { events: result.events, total: result.total[0]?.count || 0 };
+};
+
+const searchWithRegex = async (parsed, filter, sort, { pageSize, skip }) => {
+    const candidates = await Event.find(combineFilters(buildRegexSearchFilter(parsed), filter))
+        .select('-embedding')
+        .limit(SEARCH_CONFIG.fallbackCandidates)
+        .lean();
+
+    const keywords = [...parsed.terms, ...parsed.phrases].map(text => text.toLowerCase());
+    const scored = candidates.map(event => ({ ...event, text_score: scoreKeywordMatch(event, keywords) }));
+    const startTime = (event) => (event.starts_at ? new Date(event.starts_at).getTime() : null);
+    scored.sort((a, b) => {
+        if (sort === 'date' || sort === 'date_desc') {
+            const [aTime, bTime] = [startTime(a), startTime(b)];
+            if (aTime !== bTime) {
+                if (aTime === null) return 1;
+                if (bTime === null) return -1;
+                return sort === 'date' ? aTime - bTime : bTime - aTime;
+            }
+        }
+        return b.text_score - a.text_score;
+    });
+
+    return { events: scored.slice(skip, skip + pageSize), total: scored.length };
+};
+
+/**
+ * Search events by text, most relevant first (or by date).
+ *
+ * @param {string|Object} query - raw query or the result of parseSearchQuery
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - extra Mongo filter (visibility, dates, ...)
+ * @param {'relevance'|'date'|'date_desc'} [options.sort='relevance']
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{ events: Object[], total: number, page: number, limit: number, engine: 'text'|'regex' }>}
+ */
+const searchEventsByText = async (query, { filter = {}, sort = 'relevance', page, limit } = {}) => {
+    const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+    const bounds = pageBounds({ page, limit });
+    const meta = { page: bounds.pageNumber, limit: bounds.pageSize };
+
+    if (!hasSearchTerms(parsed)) {
+        return { events: [], total: 0, ...meta, engine: 'text' };
+    }
+
+    try {
+        return { ...(await searchWithTextIndex(parsed, filter, sort, bounds)), ...meta, engine: 'text' };
+    } catch (error) {
+        if (!isMissingTextIndex(error)) throw error;
+        console.warn(`[Text Search] Index "${TEXT_INDEX_NAME}" missing, falling back to regex search.`);
+        return { ...(await searchWithRegex(parsed, filter, sort, bounds)), ...meta, engine: 'regex' };
+    }
+};
+
+module.exports = {
+    SEARCH_CONFIG,
+    parseSearchQuery,
+    hasSearchTerms,
+    buildTextSearchString,
+    buildRegexSearchFilter,
+    searchEventsByText
+};
@@ -5,13 +5,77 @@
 /**
  * Standardize common responses or formatting
  */
-const responseFormatter = (answer, sources = []) => {
+const responseFormatter = (answer, sources = [], metadata = null) => {
     return {
         answer,
-        sources // Return full source objects so frontend can access all details (event_details, time, etc.)
+        sources, // Event cards (events/events.serializer.js); clients ask for heavier fields via `fields`
+        ...(metadata ? { metadata } : {}) // e.g. the date window a question was filtered to
     };
 };
 
+/**
+ * Tell the user which date window a time-filtered answer covers
+ */
+const withTimeWindow = (result, timeWindow) => {
+    if (!timeWindow) return result;
+    return {
+        ...result,
+        answer: `🗓️ ${timeWindow.label}\n\n${result.answer}`,
+        metadata: {
+            ...result.metadata,
+            timeWindow: { from: timeWindow.from, to: timeWindow.to, label: timeWindow.label }
+        }
+    };
+};
+
+/**
+ * AND together Mongo filters, skipping empty ones
+ */
+const combineFilters = (...filters) => {
+    const parts = filters.filter(filter => filter && Object.keys(filter).length > 0);
+    if (parts.length === 0) return {};
+    if (parts.length === 1) return parts[0];
+    return { $and: parts };
+};
+
+// Words that say nothing about which event the user wants
+const STOP_WORDS = ['show', 'me', 'any', 'event', 'events', 'of', 'in', 'for', 'the', 'a', 'an', 'find', 'search', 'about', 'is', 'are', 'which', 'what', 'when', 'where',
+    'upcoming', 'past', 'previous', 'happened'];
+
+/**
+ * Lowercase search keywords from free text, without stop words and very short words
+ */
+const extractKeywords = (text) => String(text || '')
+    .toLowerCase()
+    .split(/[\s,.?!]+/) // Split by space or punctuation
+    .filter(token => token.length > 2 && !STOP_WORDS.includes(token));
+
+/**
+ * Escape user input for use inside a RegExp
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse the first JSON object out of an LLM reply (tolerates ```json fences)
+ */
+const parseJsonReply = (text) => {
+    if (!text) return null;
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        return JSON.parse(text.substring(start, end + 1));
+    } catch (err) {
+        return null;
+    }
+};
+
 module.exports = {
-    responseFormatter
+    responseFormatter,
+    withTimeWindow,
+    combineFilters,
+    STOP_WORDS,
+    extractKeywords,
+    escapeRegex,
+    parseJsonReply
 };
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const { Event } = require('../events/event.model');
+const { EMBEDDING_CONFIG } = require('./ai.embeddings');
+
+/**
+ * Vector search with two backends:
+ *   - atlas:  MongoDB Atlas `$vectorSearch` on `vector_index`
+ *   - memory: cosine top-k over event embeddings held in this process,
+ *             persisted to a file so restarts don't have to reload every vector
+ *
+ * `auto` (the default) uses Atlas when the search index exists and falls back
+ * to memory on local/self-hosted MongoDB or when the index is missing.
+ */
+
+const VECTOR_CONFIG = {
+    backend: (process.env.VECTOR_SEARCH_BACKEND || 'auto').toLowerCase(), // auto | atlas | memory
+    indexName: 'vector_index',
+    numCandidates: 100,
+    // Filtered Atlas searches look at this many times more neighbours (Atlas allows 10000 at most)
+    filteredCandidateFactor: 20,
+    maxCandidates: 10000,
+    cacheFile: process.env.VECTOR_INDEX_FILE || path.join(__dirname, '..', '.cache', 'vector-index.json'),
+    // Picks up vectors written by other processes (add_embeddings.js); 0 disables
+    refreshMinutes: parseFloat(process.env.VECTOR_INDEX_REFRESH_MINUTES || '15')
+};
+
+const state = {
+    backend: null,        // resolved backend: 'atlas' | 'memory'
+    reason: null,         // why that backend was chosen
+    vectors: new Map(),   // event id -> unit-length Float32Array
+    loadedAt: null,
+    loadedFrom: null,     // 'database' | 'file'
+    loading: null,
+    persistTimer: null
+};
+
+const toUnitVector = (vector) => {
+    const unit = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < unit.length; i++) norm += unit[i] * unit[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < unit.length; i++) unit[i] /= norm;
+    }
+    return unit;
+};
+
+const dot = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+};
+
+/**
+ * Write the in-memory index to VECTOR_INDEX_FILE (debounced)
+ */
+const schedulePersist = () => {
+    if (state.persistTimer) return;
+    state.persistTimer = setTimeout(() => {
+        state.persistTimer = null;
+        try {
+            const payload = {
+                provider: EMBEDDING_CONFIG.provider,
+                model: EMBEDDING_CONFIG.model,
+                savedAt: new Date().toISOString(),
+                entries: [...state.vectors].map(([id, vector]) => [id, Array.from(vector)])
+            };
+            fs.mkdirSync(path.dirname(VECTOR_CONFIG.cacheFile), { recursive: true });
+            const tmpFile = `${VECTOR_CONFIG.cacheFile}.tmp`;
+            fs.writeFileSync(tmpFile, JSON.stringify(payload));
+            fs.renameSync(tmpFile, VECTOR_CONFIG.cacheFile);
+        } catch (error) {
+            console.warn('[Vector Index] Could not persist index:', error.message);
+        }
+    }, 2000);
+    state.persistTimer.unref();
+};
+
+/**
+ * Read the persisted index if it was built with the current embedding model
+ * and still covers the same number of embedded events as the database.
+ */
+const readPersistedIndex = (expectedCount) => {
+    try {
+        if (!fs.existsSync(VECTOR_CONFIG.cacheFile)) return null;
+        const payload = JSON.parse(fs.readFileSync(VECTOR_CONFIG.cacheFile, 'utf8'));
+        if (payload.provider !== EMBEDDING_CONFIG.provider || payload.model !== EMBEDDING_CONFIG.model) return null;
+        if (!Array.isArray(payload.entries) || payload.entries.length !== expectedCount) return null;
+        return new Map(payload.entries.map(([id, vector]) => [id, Float32Array.from(vector)]));
+    } catch (error) {
+        console.warn('[Vector Index] Ignoring unreadable index file:', error.message);
+        return null;
+    }
+};
+
+/**
+ * (Re)load the in-memory index, from the persisted file when it is current,
+ * otherwise from the database.
+ */
+const loadMemoryIndex = async ({ fromDatabase = false } = {}) => {
+    if (state.loading) return state.loading;
+
+    state.loading = (async () => {
+        const query = { deleted_at: null, 'embedding.0': { $exists: true } };
+        const expectedCount = await Event.countDocuments(query);
+
+        const persisted = fromDatabase ? null : readPersistedIndex(expectedCount);
+        if (persisted) {
+            state.vectors = persisted;
+            state.loadedFrom = 'file';
+        } else {
+            const vectors = new Map();
+            const cursor = Event.find(query).select('embedding').lean().cursor({ batchSize: 200 });
+            for await (const event of cursor) {
+                vectors.set(event._id.toString(), toUnitVector(event.embedding));
+            }
+            state.vectors = vectors;
+            state.loadedFrom = 'database';
+            schedulePersist();
+        }
+        state.loadedAt = new Date();
+        console.log(`[Vector Index] Loaded ${state.vectors.size} vectors from ${state.loadedFrom}`);
+    })();
+
+    try {
+        await state.loading;
+    } finally {
+        state.loading = null;
+    }
+};
+
+const useMemoryBackend = (reason) => {
+    if (state.backend === 'atlas') {
+        console.warn(`[Vector Index] Falling back to in-memory vector search: ${reason}`);
+    }
+    state.backend = 'memory';
+    state.reason = reason;
+};
+
+/**
+ * Decide which backend to use. With `auto`, Atlas is used only when the
+ * search index exists; `$listSearchIndexes` itself fails outside Atlas.
+ */
+const detectVectorBackend = async () => {
+    if (VECTOR_CONFIG.backend === 'atlas' || VECTOR_CONFIG.backend === 'memory') {
+        state.backend = VECTOR_CONFIG.backend;
+        state.reason = 'VECTOR_SEARCH_BACKEND';
+        return state.backend;
+    }
+
+    try {
+        const indexes = await Event.collection.listSearchIndexes(VECTOR_CONFIG.indexName).toArray();
+        const index = indexes.find(candidate => candidate.name === VECTOR_CONFIG.indexName);
+        if (!index) {
+            useMemoryBackend(`Atlas search index "${VECTOR_CONFIG.indexName}" not found`);
+        } else if (index.queryable === false) {
+            useMemoryBackend(`Atlas search index "${VECTOR_CONFIG.indexName}" is not queryable yet (${index.status})`);
+        } else {
+            state.backend = 'atlas';
+            state.reason = `Atlas search index "${VECTOR_CONFIG.indexName}" is ${index.status || 'ready'}`;
+        }
+    } catch (error) {
+        useMemoryBackend(`Atlas Search unavailable (${error.message})`);
+    }
+    return state.backend;
+};
+
+const getBackend = async () => state.backend || detectVectorBackend();
+
+/**
+ * Keep the in-memory index in step with writes made by this process
+ */
+const upsertEventVector = (id, embedding) => {
+    if (state.backend !== 'memory' || !Array.isArray(embedding) || embedding.length === 0) return;
+    state.vectors.set(id.toString(), toUnitVector(embedding));
+    schedulePersist();
+};
+
+const removeEventVector = (id) => {
+    if (state.backend !== 'memory') return;
+    if (state.vectors.delete(id.toString())) schedulePersist();
+};
+
+/**
+ * The filter can only run after $vectorSearch (our index declares no filter
+ * fields), so filtered searches pull a much larger pool of neighbours first
+ * and keep the nearest `limit` that match.
+ */
+const searchAtlas = (queryVector, limit, filter, projection) => {
+    const filtered = Object.keys(filter).length > 0;
+    const numCandidates = filtered
+        ? Math.min(Math.max(VECTOR_CONFIG.numCandidates, limit * VECTOR_CONFIG.filteredCandidateFactor), VECTOR_CONFIG.maxCandidates)
+        : Math.max(VECTOR_CONFIG.numCandidates, limit);
+    return Event.aggregate([
+        {
+            $vectorSearch: {
+                index: VECTOR_CONFIG.indexName,
+                path: "embedding",
+                queryVector,
+                numCandidates,
+                limit: filtered ? numCandidates : limit
+            }
+        },
+        ...(filtered ? [{ $match: filter }, { $limit: limit }] : []),
+        { $project: { ...projection, score: { $meta: "vectorSearchScore" } } }
+    ]);
+};
+
+/**
+ * Cosine top-k in memory. Scores use Atlas' cosine scale, (1 + cosine) / 2,
+ * so callers see comparable numbers from either backend.
+ */
+const searchMemory = async (queryVector, limit, filter, projection) => {
+    if (!state.loadedAt) await loadMemoryIndex();
+
+    // Filter first: with mostly past events, the nearest `limit` could hold no upcoming one
+    const allowed = Object.keys(filter).length > 0
+        ? new Set((await Event.distinct('_id', filter)).map(id => id.toString()))
+        : null;
+
+    const query = toUnitVector(queryVector);
+    const scored = [];
+    for (const [id, vector] of state.vectors) {
+        if (vector.length !== query.length || (allowed && !allowed.has(id))) continue;
+        scored.push({ id, score: (1 + dot(query, vector)) / 2 });
+    }
+    scored.sort((a, b) => b.score - a.score);
+
+    const candidates = scored.slice(0, limit);
+    if (candidates.length === 0) return [];
+
+    const scores = new Map(candidates.map(candidate => [candidate.id, candidate.score]));
+    // The filter again, for events changed since
+    const events = await Event.find({ ...filter, _id: { $in: candidates.map(candidate => candidate.id) } })
+        .select(Object.keys(projection).join(' '))
+        .lean();
+
+    return events
+        .map(event => ({ ...event, score: scores.get(event._id.toString()) }))
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Nearest events to `queryVector` using the active backend.
+ *
+ * @param {number[]} queryVector
+ * @param {Object} [options]
+ * @param {number} [options.limit=40] - how many of the nearest matching events to return
+ * @param {Object} [options.filter] - Mongo filter the events must match
+ * @param {Object} [options.projection] - fields to return (a `score` is always added)
+ * @returns {Promise<Object[]>}
+ */
+const searchEventVectors = async (queryVector, { limit = 40, filter = {}, projection = { _id: 1 } } = {}) => {
+    const backend = await getBackend();
+
+    if (backend === 'atlas') {
+        try {
+            return await searchAtlas(queryVector, limit, filter, projection);
+        } catch (error) {
+            if (VECTOR_CONFIG.backend === 'atlas') throw error;
+            useMemoryBackend(`$vectorSearch failed (${error.message})`);
+        }
+    }
+
+    return searchMemory(queryVector, limit, filter, projection);
+};
+
+/**
+ * Pick a backend at startup and, for memory, load the index and refresh it periodically
+ */
+const startVectorIndex = async () => {
+    const backend = await detectVectorBackend();
+    console.log(`[Vector Index] Backend: ${backend} (${state.reason})`);
+    if (backend !== 'memory') return null;
+
+    await loadMemoryIndex();
+    if (!VECTOR_CONFIG.refreshMinutes || VECTOR_CONFIG.refreshMinutes <= 0) return null;
+
+    const timer = setInterval(() => {
+        loadMemoryIndex({ fromDatabase: true }).catch(error => {
+            console.error('[Vector Index] Refresh failed:', error.message);
+        });
+    }, VECTOR_CONFIG.refreshMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+/**
+ * Backend summary for /health
+ */
+const getVectorSearchStatus = () => ({
+    configured: VECTOR_CONFIG.backend,
+    active: state.backend || 'unknown',
+    reason: state.reason,
+    ...(state.backend === 'memory' ? {
+        vectors: state.vectors.size,
+        loadedFrom: state.loadedFrom,
+        loadedAt: state.loadedAt
+    } : {})
+});
+
+module.exports = {
+    VECTOR_CONFIG,
+    searchEventVectors,
+    upsertEventVector,
+    removeEventVector,
+    loadMemoryIndex,
+    startVectorIndex,
+    getVectorSearchStatus
+};
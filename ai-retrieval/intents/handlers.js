@@ -0,0 +1,272 @@
+const { searchEvents } = require('../../events/events.filters');
+const { withTimeWindow } = require('../ai.utils');
+const { extractEntities } = require('../ai.entities');
+const { extractUserName, extractHomeCity, extractLanguage, LANGUAGE_NAMES } = require('../../profiles/profiles.extract');
+const { MAX_PREFERRED_CATEGORIES } = require('../../profiles/profiles.service');
+const bookmarksService = require('../../bookmarks/bookmarks.service');
+const { resolveFollowUpEvents } = require('../ai.followUp');
+const { getRecommendations } = require('../../recommendations/recommendations.service');
+const { findSimilarEvents } = require('../../events/events.similar');
+
+/**
+ * Intent handlers, referenced by name from the intents config.
+ *
+ * A handler gets the question and the matching context
+ * ({ timeWindow, includePast, filters, userName, profile, user, signedIn, sessionId, conversationHistory, entities })
+ * and returns a chat result ({ answer, sources, metadata? }), or null to let
+ * the question fall through to the next intent / RAG. Profile handlers put
+ * what the user told us in `profileChanges`; the controller saves it.
+ */
+
+// Events returned by the "all events" intent; the rest are paged through /api/events/search
+const LIST_PAGE_SIZE = 20;
+
+const listEvents = async (question, { timeWindow, includePast, filters = {} }) => {
+    const latest = question.toLowerCase().includes('latest');
+    // For "latest events", sort newest posted first
+    // Otherwise list by date: soonest upcoming first, or most recent first when asking about the past
+    // The first page comes back here; the frontend pages on with /api/events/search and the cursor
+    const { events, total, nextCursor, sort } = await searchEvents({
+        ...filters,
+        dateFrom: timeWindow?.from,
+        dateTo: timeWindow?.to,
+        includePast,
+        sort: latest ? 'newest' : (includePast ? 'date_desc' : 'date'),
+        limit: LIST_PAGE_SIZE
+    }, { facets: false });
+    const kind = includePast ? 'past' : 'upcoming';
+    const count = total > events.length ? `${events.length} of ${total}` : `${events.length}`;
+    return withTimeWindow({
+        answer: latest
+            ? `Here are the ${count} most recently posted ${kind} events! 📅`
+            : `Here are ${count} ${kind} events I found for you! 📅`,
+        sources: events,
+        metadata: { filters, pagination: { total, nextCursor, sort, limit: LIST_PAGE_SIZE } }
+    }, timeWindow);
+};
+
+const help = async () => ({
+    answer: "I'm here to help you discover events! 🕵️‍♂️\n\nYou can ask me things like:\n- 'Show me upcoming music festivals'\n- 'Are there any free events?'\n- 'What's happening in Borcelle?'\n- 'What do you recommend?'\n\nTell me about yourself ('call me Sam', 'I live in Pune', 'I love comedy') and I'll remember it. Say 'forget my data' any time and I'll delete it.\n\nSigned in, you can 'save this one', say 'I'm going to the second one' and ask 'what did I save?'",
+    sources: []
+});
+
+const greeting = async (question, { userName, profile = {}, signedIn }) => {
+    // A first hello from someone we don't know yet gets the name question instead
+    if (!userName && !signedIn && !profile.name_asked_at) return null;
+    return {
+        answer: `Hey${userName ? ` ${userName}` : ''}! 👋 What kind of events are you looking for? Try 'comedy shows this weekend' or 'free events in Bandra'.`,
+        sources: []
+    };
+};
+
+const setName = async (question) => {
+    const name = extractUserName(question);
+    if (!name) return null;
+    return {
+        answer: `Sure, I'll call you ${name}! 😊`,
+        sources: [],
+        profileChanges: { displayName: name }
+    };
+};
+
+const setHomeCity = async (question) => {
+    const city = extractHomeCity(question);
+    if (!city) return null;
+    return {
+        answer: `Got it, ${city}! 📍 When you don't mention a place, I'll look there first.`,
+        sources: [],
+        profileChanges: { homeCity: city }
+    };
+};
+
+const setPreferences = async (question, { profile = {} }) => {
+    const liked = extractEntities(question).filters.category || [];
+    if (liked.length === 0) return null;
+    // Newest likes first; the oldest drop off past the limit
+    const categories = [...new Set([...liked, ...(profile.preferred_categories || [])])].slice(0, MAX_PREFERRED_CATEGORIES);
+    return {
+        answer: `Noted! I'll keep an eye out for ${liked.join(' and ')} events for you. 🎉`,
+        sources: [],
+        profileChanges: { preferredCategories: categories }
+    };
+};
+
+const setLanguage = async (question) => {
+    const language = extractLanguage(question);
+    if (!language) return null;
+    return {
+        answer: `Okay, I'll reply in ${LANGUAGE_NAMES[language]} from now on.`,
+        sources: [],
+        profileChanges: { language }
+    };
+};
+
+const showProfile = async (question, { userName, profile = {} }) => {
+    const known = [
+        userName && `your name is ${userName}`,
+        profile.home_city && `you live in ${profile.home_city}`,
+        profile.preferred_categories?.length > 0 && `you enjoy ${profile.preferred_categories.join(', ')} events`,
+        profile.language && `you'd like replies in ${LANGUAGE_NAMES[profile.language] || profile.language}`
+    ].filter(Boolean);
+    return {
+        answer: known.length > 0
+            ? `Here's what I remember: ${known.join('; ')}. Say 'forget my data' and I'll delete it, along with our saved conversations.`
+            : "I don't know anything about you yet. Tell me your name, your city or the kind of events you like, and I'll remember it.",
+        sources: []
+    };
+};
+
+// Nothing is deleted yet: the next message has to confirm it (see ai.service.js)
+const forgetData = async (question, { signedIn }) => ({
+    answer: `Are you sure? I'll delete your name and preferences${signedIn ? ', your saved events and RSVPs' : ''} and our saved conversations. This can't be undone. Reply 'yes' to delete them or 'no' to keep them.`,
+    sources: []
+});
+
+const SIGN_IN_ANSWER = "Sign in first and I'll keep track of your events. Then just say 'save this one' or 'I'm going'.";
+
+const eventName = (event) => `"${event.event_details?.event_name || 'that event'}"`;
+
+// "this one", "count me in", "I'm going!": pointing at the event just shown without naming it
+const SHOWN_EVENT_POINTER = /\b(this|that|it|there)\b|^(count me in|(please )?(mark|put) me (down )?(as )?(going|interested)|(i'?m|i am|i'?ll be|i will be) (going|attending))[\s!.]*$/i;
+
+/**
+ * The event shown earlier that the question points at ("this one", "the second
+ * one", by name): { event } or { ambiguous: true }, null when nothing was shown.
+ * With `explicit`, a question that neither names a shown event nor points at
+ * one ("I'm going to Goa") doesn't count as a reference.
+ */
+const findShownEvent = async (question, conversationHistory, { explicit = false } = {}) => {
+    const resolved = await resolveFollowUpEvents(question, conversationHistory);
+    if (!resolved) return null;
+    if (explicit && !['ordinal', 'name'].includes(resolved.reference) && !SHOWN_EVENT_POINTER.test(question.trim())) return null;
+    return resolved.specific ? { event: resolved.events[0] } : { ambiguous: true };
+};
+
+const saveEvent = async (question, { user, conversationHistory }) => {
+    if (!user) return { answer: SIGN_IN_ANSWER, sources: [] };
+    const shown = await findShownEvent(question, conversationHistory);
+    if (!shown) return { answer: "Which event? Ask me about some events first, then say 'save this one'.", sources: [] };
+    if (shown.ambiguous) return { answer: "Which one should I save? Say 'save the second one', or use the event's name.", sources: [] };
+
+    const bookmark = await bookmarksService.saveEvent(user.uid, shown.event._id);
+    if (!bookmark) return { answer: "Sorry, that event isn't available any more.", sources: [] };
+    return {
+        answer: `Saved ${eventName(shown.event)}! ⭐ Ask me 'what did I save?' any time.`,
+        sources: [],
+        metadata: { bookmark }
+    };
+};
+
+const unsaveEvent = async (question, { user, conversationHistory }) => {
+    if (!user) return { answer: SIGN_IN_ANSWER, sources: [] };
+    const shown = await findShownEvent(question, conversationHistory);
+    if (!shown) return { answer: "Which event? Ask 'what did I save?' and then tell me which one to remove.", sources: [] };
+    if (shown.ambiguous) return { answer: "Which one should I remove? Say 'remove the second one from my saved', or use the event's name.", sources: [] };
+
+    const bookmark = await bookmarksService.unsaveEvent(user.uid, shown.event._id);
+    return {
+        answer: `Removed ${eventName(shown.event)} from your saved events.`,
+        sources: [],
+        metadata: { bookmark }
+    };
+};
+
+const rsvpEvent = async (question, { user, conversationHistory }) => {
+    // "I'm going to Goa" isn't about a shown event: leave it to the search
+    const shown = await findShownEvent(question, conversationHistory, { explicit: true });
+    if (!shown) return null;
+    if (!user) return { answer: SIGN_IN_ANSWER, sources: [] };
+    if (shown.ambiguous) return { answer: "Which one? Say 'I'm going to the second one', or use the event's name.", sources: [] };
+
+    const status = /\b(going|attending|count me in|be there)\b/i.test(question) ? 'going' : 'interested';
+    const bookmark = await bookmarksService.setRsvp(user.uid, shown.event._id, status);
+    if (!bookmark) return { answer: "Sorry, that event isn't available any more.", sources: [] };
+    return {
+        answer: status === 'going'
+            ? `You're going to ${eventName(shown.event)}! 🎉 Ask me 'what am I going to?' to see your plans.`
+            : `Marked you as interested in ${eventName(shown.event)}. 👀`,
+        sources: [],
+        metadata: { bookmark }
+    };
+};
+
+const listSaved = async (question, { user }) => {
+    if (!user) return { answer: SIGN_IN_ANSWER, sources: [] };
+    const q = question.toLowerCase();
+    const status = /\b(going|attending)\b/.test(q) ? 'going'
+        : /\binterested\b/.test(q) ? 'interested'
+            : /\b(save|saved|bookmark|bookmarked)\b/.test(q) ? 'saved' : 'all';
+
+    const { events, total } = await bookmarksService.listBookmarks(user.uid, { status, limit: LIST_PAGE_SIZE });
+    if (events.length === 0) {
+        return {
+            answer: status === 'going' || status === 'interested'
+                ? `You haven't marked any events as ${status} yet.`
+                : "You haven't saved any events yet. Say 'save this one' when I show you something you like.",
+            sources: []
+        };
+    }
+    const kind = status === 'going' ? "you're going to" : status === 'interested' ? "you're interested in" : 'you saved';
+    return {
+        answer: total > events.length
+            ? `Here are ${events.length} of the ${total} events ${kind}! ⭐`
+            : `Here ${total === 1 ? "is the event" : `are the ${total} events`} ${kind}! ⭐`,
+        sources: events,
+        metadata: { bookmarks: { status, total } }
+    };
+};
+
+const recommendEvents = async (question, { user, profile, sessionId }) => {
+    const { events, strategy, signals } = await getRecommendations({ userId: user?.uid, profile, sessionId });
+    if (events.length === 0) {
+        return { answer: "I don't have any upcoming events to suggest right now. Check back soon! 📅", sources: [] };
+    }
+    const basedOn = [
+        signals.bookmarks > 0 && 'the events you saved',
+        signals.clicks > 0 && 'the events you opened',
+        signals.searches > 0 && "what you've been searching for"
+    ].filter(Boolean);
+    return {
+        answer: strategy === 'personalized'
+            ? `Here are ${events.length} upcoming events picked for you, based on ${basedOn.join(' and ')}! ✨`
+            : `Here are ${events.length} of the most popular upcoming events! 🔥 Save a few or tell me what you like, and I'll tailor these to you.`,
+        sources: events,
+        metadata: { recommendations: { strategy, signals } }
+    };
+};
+
+const similarEvents = async (question, { conversationHistory }) => {
+    // Without one event in focus, "similar ones" is a search about the earlier topic (see ai.queryRewrite.js)
+    const shown = await findShownEvent(question, conversationHistory);
+    if (!shown || shown.ambiguous) return null;
+
+    const result = await findSimilarEvents(shown.event._id);
+    if (!result?.embedded) return null;
+    if (result.events.length === 0) {
+        return { answer: `I couldn't find any upcoming events like ${eventName(shown.event)}. 🤔`, sources: [] };
+    }
+    return {
+        answer: `Here ${result.events.length === 1 ? 'is an upcoming event' : `are ${result.events.length} upcoming events`} like ${eventName(shown.event)}! 🔍`,
+        sources: result.events,
+        metadata: { similarTo: shown.event._id.toString() }
+    };
+};
+
+module.exports = {
+    LIST_PAGE_SIZE,
+    listEvents,
+    help,
+    greeting,
+    setName,
+    setHomeCity,
+    setPreferences,
+    setLanguage,
+    showProfile,
+    forgetData,
+    saveEvent,
+    unsaveEvent,
+    rsvpEvent,
+    listSaved,
+    recommendEvents,
+    similarEvents
+};
@@ -0,0 +1,51 @@
+const { INTENT_CONFIG, loadIntents, getIntentRegistry, readEntities, scoreIntents } = require('./registry');
+
+/**
+ * Local intents answered without the LLM (listing events, help, greetings,
+ * and what the user tells us about themselves).
+ * Intents are declared in intents.json (see registry.js); handlers in handlers.js.
+ * Try a phrase against all of them with `node test-intent.js "..."`.
+ */
+
+/**
+ * Answer the question with the best matching intent, or null to fall through to RAG
+ *
+ * @param {string} question
+ * @param {Array<{ role: 'user'|'ai', content: string }>} [conversationHistory]
+ * @param {Object} [context] - { timeWindow, includePast, filters, userName, profile, user, signedIn, sessionId }
+ * @returns {Promise<Object|null>} chat result with `intent` and `metadata.intentConfidence`
+ */
+const detectIntent = async (question, conversationHistory = [], context = {}) => {
+    const candidates = scoreIntents(question, context);
+    const accepted = candidates.filter(candidate => candidate.accepted);
+
+    if (accepted.length === 0) {
+        const best = candidates[0];
+        if (best?.confidence > 0) {
+            console.log(`[Intent] Best match "${best.name}" (${best.confidence}) is below its threshold ${best.threshold}; using RAG.`);
+        }
+        return null;
+    }
+
+    const entities = readEntities(context);
+    for (const candidate of accepted) {
+        console.log(`[Intent] "${candidate.name}" matched by ${candidate.matchedBy} (confidence ${candidate.confidence})`);
+        const result = await candidate.intent.handler(question, { ...context, conversationHistory, entities });
+        if (result) {
+            return {
+                ...result,
+                intent: candidate.name,
+                metadata: { ...result.metadata, intentConfidence: candidate.confidence }
+            };
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    INTENT_CONFIG,
+    loadIntents,
+    getIntentRegistry,
+    scoreIntents,
+    detectIntent
+};
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const handlers = require('./handlers');
+
+/**
+ * Declarative intents: each one lists regex `patterns` and/or training
+ * `phrases`, the entities it needs, a priority and the name of its handler
+ * (see handlers.js). Intents live in a JSON file, INTENTS_FILE or intents.json
+ * next to this module:
+ *
+ *   {
+ *     "threshold": 0.75,
+ *     "intents": [
+ *       { "name": "help", "priority": 10, "handler": "help",
+ *         "patterns": ["^what can (you|u) do\\b"], "phrases": ["how does this work"],
+ *         "requiredEntities": [], "threshold": 0.8 }
+ *     ]
+ *   }
+ *
+ * A pattern match scores 1; otherwise the confidence is the best word overlap
+ * with a training phrase. The best intent at or above its threshold (global or
+ * its own) wins, higher priority first on a tie.
+ */
+
+const INTENT_CONFIG = {
+    file: process.env.INTENTS_FILE || path.join(__dirname, 'intents.json'),
+    // Overrides the file's threshold
+    threshold: parseFloat(process.env.INTENT_THRESHOLD || '') || null,
+    defaultThreshold: 0.75
+};
+
+// Entities an intent can require, read from the context detectIntent gets
+const ENTITY_READERS = {
+    date: (context) => context.timeWindow,
+    category: (context) => context.filters?.category,
+    location: (context) => context.filters?.location,
+    entry_type: (context) => context.filters?.entryType,
+    user_name: (context) => context.userName
+};
+
+// Chat shorthand, so "what can u do" matches "what can you do"
+const SHORTHAND = { u: 'you', ur: 'your', r: 'are', pls: 'please', plz: 'please', wat: 'what', whats: 'what is', "what's": 'what is' };
+
+const tokenize = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .flatMap(word => (SHORTHAND[word] || word).split(' '));
+
+/**
+ * Word overlap of two texts (Dice coefficient), 0..1
+ */
+const phraseSimilarity = (a, b) => {
+    const wordsA = new Set(tokenize(a));
+    const wordsB = new Set(tokenize(b));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+/**
+ * Validate and compile an intents config; throws on the first problem
+ */
+const compileIntents = (config, source = 'intents config') => {
+    const fail = (message) => {
+        throw new Error(`Invalid ${source}: ${message}`);
+    };
+    if (!config || !Array.isArray(config.intents)) fail('"intents" must be an array.');
+
+    const names = new Set();
+    const intents = config.intents.map((intent, index) => {
+        const label = intent?.name || `#${index + 1}`;
+        if (!intent?.name || typeof intent.name !== 'string') fail(`intent ${label} needs a "name".`);
+        if (names.has(intent.name)) fail(`intent "${intent.name}" is defined twice.`);
+        names.add(intent.name);
+
+        if (typeof handlers[intent.handler] !== 'function') {
+            fail(`intent "${intent.name}" has unknown handler "${intent.handler}". Available: ${Object.keys(handlers).filter(name => typeof handlers[name] === 'function').join(', ')}.`);
+        }
+        const patterns = (intent.patterns || []).map(pattern => {
+            try {
+                return new RegExp(pattern, 'i');
+            } catch (error) {
+                return fail(`intent "${intent.name}" has a bad pattern ${JSON.stringify(pattern)}: ${error.message}`);
+            }
+        });
+        const phrases = (intent.phrases || []).filter(phrase => typeof phrase === 'string' && phrase.trim());
+        if (patterns.length === 0 && phrases.length === 0) fail(`intent "${intent.name}" needs "patterns" or "phrases".`);
+
+        const requiredEntities = intent.requiredEntities || [];
+        const unknownEntity = requiredEntities.find(entity => !ENTITY_READERS[entity]);
+        if (unknownEntity) fail(`intent "${intent.name}" requires unknown entity "${unknownEntity}". Available: ${Object.keys(ENTITY_READERS).join(', ')}.`);
+
+        return {
+            name: intent.name,
+            description: intent.description || '',
+            priority: Number(intent.priority) || 0,
+            threshold: typeof intent.threshold === 'number' ? intent.threshold : null,
+            handler: handlers[intent.handler],
+            handlerName: intent.handler,
+            patterns,
+            phrases,
+            requiredEntities
+        };
+    });
+
+    return {
+        threshold: INTENT_CONFIG.threshold ?? (typeof config.threshold === 'number' ? config.threshold : INTENT_CONFIG.defaultThreshold),
+        intents
+    };
+};
+
+/**
+ * Read and compile an intents file
+ */
+const loadIntents = (file = INTENT_CONFIG.file) => {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read intents file ${file}: ${error.message}`);
+    }
+    return compileIntents(config, `intents file ${file}`);
+};
+
+let registry = null;
+
+/**
+ * The configured intents, loaded on first use
+ */
+const getIntentRegistry = () => {
+    if (!registry) {
+        registry = loadIntents();
+        console.log(`[Intent] Loaded ${registry.intents.length} intents from ${INTENT_CONFIG.file} (threshold ${registry.threshold})`);
+    }
+    return registry;
+};
+
+/**
+ * Entities present in a matching context, by name
+ */
+const readEntities = (context = {}) => Object.fromEntries(Object.entries(ENTITY_READERS)
+    .map(([name, read]) => [name, read(context)])
+    .filter(([, value]) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)));
+
+/**
+ * Score a question against every intent, best first
+ *
+ * @param {string} question
+ * @param {Object} [context] - { timeWindow, filters, userName }
+ * @param {Object} [intentRegistry] - compiled intents (defaults to the configured ones)
+ * @returns {Array<{ intent: Object, name: string, confidence: number, matchedBy: 'pattern'|'phrase'|null, match: string|null, threshold: number, missingEntities: string[], accepted: boolean }>}
+ */
+const scoreIntents = (question, context = {}, intentRegistry = getIntentRegistry()) => {
+    const text = String(question || '').trim();
+    const entities = readEntities(context);
+
+    return intentRegistry.intents.map(intent => {
+        let best = { confidence: 0, matchedBy: null, match: null };
+        const pattern = intent.patterns.find(regex => regex.test(text));
+        if (pattern) {
+            best = { confidence: 1, matchedBy: 'pattern', match: pattern.source };
+        } else {
+            for (const phrase of intent.phrases) {
+                const confidence = phraseSimilarity(text, phrase);
+                if (confidence > best.confidence) best = { confidence, matchedBy: 'phrase', match: phrase };
+            }
+        }
+
+        const threshold = intent.threshold ?? intentRegistry.threshold;
+        const missingEntities = intent.requiredEntities.filter(entity => !(entity in entities));
+        return {
+            intent,
+            name: intent.name,
+            confidence: Math.round(best.confidence * 1000) / 1000,
+            matchedBy: best.matchedBy,
+            match: best.match,
+            threshold,
+            missingEntities,
+            accepted: best.confidence >= threshold && missingEntities.length === 0
+        };
+    }).sort((a, b) => b.confidence - a.confidence || b.intent.priority - a.intent.priority);
+};
+
+module.exports = {
+    INTENT_CONFIG,
+    ENTITY_READERS,
+    phraseSimilarity,
+    compileIntents,
+    loadIntents,
+    getIntentRegistry,
+    readEntities,
+    scoreIntents
+};
@@ -0,0 +1,103 @@
+/**
+ * Circuit breaker for one provider/model in a fallback chain.
+ *
+ *   closed     calls go through; `threshold` failures in a row open the breaker
+ *   open       calls are skipped until `cooldownMs` has passed
+ *   half_open  one trial call goes through: success closes, failure re-opens
+ */
+
+const BREAKER_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * @param {string} name - e.g. "edenai:google/gemini-1.5-flash"
+ * @param {Object} options
+ * @param {number} options.threshold - consecutive failures before opening
+ * @param {number} options.cooldownMs - how long to stay open before a trial call
+ */
+const createCircuitBreaker = (name, { threshold, cooldownMs }) => {
+    const state = {
+        state: BREAKER_STATES.CLOSED,
+        consecutiveFailures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null
+    };
+
+    const open = () => {
+        if (state.state !== BREAKER_STATES.OPEN) {
+            console.warn(`[Circuit Breaker] ${name} opened after ${state.consecutiveFailures} failures; skipping it for ${Math.round(cooldownMs / 1000)}s`);
+        }
+        state.state = BREAKER_STATES.OPEN;
+        state.openedAt = Date.now();
+    };
+
+    return {
+        name,
+
+        /**
+         * May a call go through now? In half_open only one trial call is let through.
+         */
+        allowRequest() {
+            if (state.state === BREAKER_STATES.OPEN && Date.now() - state.openedAt >= cooldownMs) {
+                state.state = BREAKER_STATES.HALF_OPEN;
+                state.trialInFlight = false;
+            }
+            if (state.state === BREAKER_STATES.OPEN) return false;
+            if (state.state === BREAKER_STATES.HALF_OPEN) {
+                if (state.trialInFlight) return false;
+                state.trialInFlight = true;
+            }
+            return true;
+        },
+
+        recordSuccess() {
+            if (state.state !== BREAKER_STATES.CLOSED) {
+                console.log(`[Circuit Breaker] ${name} closed again`);
+            }
+            state.state = BREAKER_STATES.CLOSED;
+            state.consecutiveFailures = 0;
+            state.openedAt = null;
+            state.trialInFlight = false;
+            state.lastSuccessAt = new Date();
+        },
+
+        /**
+         * The call was cancelled by our caller, which says nothing about the
+         * provider: free the half_open trial slot so the next call can try
+         */
+        releaseTrial() {
+            state.trialInFlight = false;
+        },
+
+        recordFailure(error) {
+            state.consecutiveFailures++;
+            state.trialInFlight = false;
+            state.lastError = error.message;
+            state.lastFailureAt = new Date();
+            if (state.state === BREAKER_STATES.HALF_OPEN || state.consecutiveFailures >= threshold) open();
+        },
+
+        getStatus() {
+            return {
+                name,
+                state: state.state,
+                consecutiveFailures: state.consecutiveFailures,
+                ...(state.state === BREAKER_STATES.OPEN ? { retryAt: new Date(state.openedAt + cooldownMs) } : {}),
+                lastError: state.lastError,
+                lastFailureAt: state.lastFailureAt,
+                lastSuccessAt: state.lastSuccessAt
+            };
+        }
+    };
+};
+
+module.exports = {
+    BREAKER_STATES,
+    createCircuitBreaker
+};
@@ -0,0 +1,75 @@
+const { ProviderError, postJson } = require('./http');
+
+/**
+ * Eden AI adapter. Eden fans a request out to a sub-provider (openai, google, ...)
+ * and keys the reply by that sub-provider's name.
+ * There is no chatStream: streamed chats get the whole reply as one chunk.
+ */
+
+// Eden reports cost per call; token counts only for some sub-providers
+const readUsage = (result) => ({
+    inputTokens: result.usage?.prompt_tokens ?? result.usage?.input_tokens ?? null,
+    outputTokens: result.usage?.completion_tokens ?? result.usage?.output_tokens ?? null,
+    cost: typeof result.cost === 'number' ? result.cost : null
+});
+
+const findSuccessfulResult = (data) => {
+    const providerKey = Object.keys(data).find(key => data[key]?.status === 'success');
+    return providerKey ? data[providerKey] : null;
+};
+
+/**
+ * @param {Object} config
+ * @param {string} config.apiKey
+ * @param {string} config.baseUrl
+ * @param {string} config.chatProvider - Eden sub-provider for chat (e.g. 'google')
+ * @param {string} config.chatModel
+ * @param {string} config.embeddingProvider - Eden sub-provider for embeddings (e.g. 'openai')
+ * @param {string} config.embeddingModel
+ */
+const createEdenAiProvider = (config) => ({
+    name: 'edenai',
+    chatModel: config.chatModel ? `${config.chatProvider}/${config.chatModel}` : config.chatProvider,
+    embeddingModel: config.embeddingModel,
+    // Vectors come from the sub-provider's model, so that's what embedding_meta records
+    embeddingVendor: config.embeddingProvider,
+
+    async chat({ system, messages, temperature = 0.2, maxTokens = 1000 }, callOptions = {}) {
+        const last = messages[messages.length - 1];
+        const data = await postJson('edenai', `${config.baseUrl}/text/chat`, {
+            providers: config.chatProvider,
+            text: last.content,
+            chatbot_global_action: system,
+            previous_history: messages.slice(0, -1).map(message => ({
+                role: message.role === 'user' ? 'user' : 'assistant',
+                message: message.content
+            })),
+            temperature,
+            max_tokens: maxTokens,
+            [config.chatProvider]: config.chatModel
+        }, { apiKey: config.apiKey, ...callOptions });
+
+        const result = findSuccessfulResult(data);
+        if (!result) {
+            console.warn("[Provider edenai] No successful provider in chat reply:", JSON.stringify(data, null, 2));
+            throw new ProviderError('edenai', 'No successful chat provider in reply', { body: data });
+        }
+        return { text: result.generated_text, usage: readUsage(result) };
+    },
+
+    async embed(texts, callOptions = {}) {
+        const data = await postJson('edenai', `${config.baseUrl}/text/embeddings`, {
+            providers: config.embeddingProvider,
+            texts,
+            [config.embeddingProvider]: config.embeddingModel
+        }, { apiKey: config.apiKey, ...callOptions });
+
+        const result = findSuccessfulResult(data);
+        if (!Array.isArray(result?.items) || result.items.length !== texts.length) {
+            throw new ProviderError('edenai', `Invalid embedding format: ${JSON.stringify(data).substring(0, 500)}`, { body: data });
+        }
+        return { vectors: result.items.map(item => item.embedding), usage: readUsage(result) };
+    }
+});
+
+module.exports = { createEdenAiProvider };
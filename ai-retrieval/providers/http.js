@@ -0,0 +1,238 @@
+/**
+ * JSON-over-HTTP helper shared by the remote provider adapters
+ */
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_MAX_RETRIES = 2;
+
+// Worth retrying: rate limits, timeouts and server-side errors
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Error from a provider call. `status` is the HTTP status when there was one;
+ * `retryable` says whether the same call might succeed if tried again;
+ * `aborted` means our caller cancelled it (not the provider's fault).
+ */
+class ProviderError extends Error {
+    constructor(provider, message, { status, body, retryable = false, aborted = false } = {}) {
+        super(`${provider}: ${message}`);
+        this.name = 'ProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.body = body;
+        this.retryable = retryable;
+        this.aborted = aborted;
+    }
+}
+
+/**
+ * Exponential backoff with jitter, or the server's Retry-After when it sent one.
+ * Never more than `maxWaitMs`; null when the server asks for longer than that,
+ * so the caller gives up (and the chain moves on to the next provider) instead
+ * of holding the request open.
+ */
+const backoffMs = (attempt, response, maxWaitMs) => {
+    const retryAfter = parseInt(response?.headers.get('retry-after') || '', 10);
+    if (retryAfter > 0) return retryAfter * 1000 <= maxWaitMs ? retryAfter * 1000 : null;
+    const base = 500 * 2 ** attempt;
+    return Math.min(base + Math.floor(Math.random() * base / 2), maxWaitMs);
+};
+
+// Wait before a retry; cut short when our caller cancels
+const sleep = (provider, ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new ProviderError(provider, 'Request aborted', { aborted: true }));
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ProviderError(provider, 'Request aborted', { aborted: true }));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// The timeout covers reading the body too, so a stalled stream can't hang the request
+const fetchWithTimeout = async (provider, url, init, timeoutMs, signal) => {
+    if (signal?.aborted) throw new ProviderError(provider, 'Request aborted', { aborted: true });
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort);
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        return { response, text: await response.text() };
+    } catch (error) {
+        if (signal?.aborted) {
+            throw new ProviderError(provider, 'Request aborted', { aborted: true });
+        }
+        if (error.name === 'AbortError') {
+            throw new ProviderError(provider, `Timed out after ${timeoutMs}ms`, { retryable: true });
+        }
+        // DNS failures, refused connections, resets
+        throw new ProviderError(provider, `Request failed: ${error.cause?.code || error.message}`, { retryable: true });
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/**
+ * POST a JSON body and parse the JSON reply. Each attempt is cut off after
+ * `timeoutMs`; timeouts, network errors, 429 and 5xx are retried up to
+ * `maxRetries` times with backoff (at most `timeoutMs` between attempts).
+ *
+ * @param {string} provider - adapter name, for logs and errors
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - sent as a Bearer token
+ * @param {number} [options.timeoutMs=20000]
+ * @param {number} [options.maxRetries=2]
+ * @param {AbortSignal} [options.signal] - cancels the request
+ * @returns {Promise<Object>}
+ */
+const postJson = async (provider, url, body, { apiKey, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, signal } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const init = { method: 'POST', headers, body: JSON.stringify(body) };
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        let text;
+        try {
+            ({ response, text } = await fetchWithTimeout(provider, url, init, timeoutMs, signal));
+            const waitMs = RETRYABLE_STATUSES.has(response.status) && attempt < maxRetries ? backoffMs(attempt, response, timeoutMs) : null;
+            if (waitMs !== null) {
+                console.warn(`[Provider ${provider}] HTTP ${response.status}, retrying in ${waitMs}ms`);
+                await sleep(provider, waitMs, signal);
+                continue;
+            }
+        } catch (error) {
+            if (!error.retryable || attempt >= maxRetries) throw error;
+            const waitMs = backoffMs(attempt, null, timeoutMs);
+            console.warn(`[Provider ${provider}] ${error.message}, retrying in ${waitMs}ms`);
+            await sleep(provider, waitMs, signal);
+            continue;
+        }
+
+        let data;
+        try {
+            data = text ? JSON.parse(text) : {};
+        } catch (error) {
+            throw new ProviderError(provider, `Invalid JSON reply (HTTP ${response.status}): ${text.substring(0, 200)}`, { status: response.status });
+        }
+
+        if (!response.ok) {
+            console.error(`[Provider ${provider}] Error body:`, JSON.stringify(data, null, 2));
+            const detail = data.error?.message || data.error || data.detail || 'Check logs';
+            throw new ProviderError(provider, `HTTP ${response.status}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`, {
+                status: response.status,
+                body: data,
+                retryable: RETRYABLE_STATUSES.has(response.status)
+            });
+        }
+        return data;
+    }
+};
+
+/**
+ * POST a JSON body and yield the `data:` payloads of the Server-Sent Events
+ * reply as they arrive. Connecting is retried like postJson; once data flows,
+ * `timeoutMs` is the longest we wait between two chunks.
+ *
+ * @param {string} provider
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {string} [options.apiKey]
+ * @param {number} [options.timeoutMs=20000]
+ * @param {number} [options.maxRetries=2]
+ * @param {AbortSignal} [options.signal] - cancels the request (e.g. the client went away)
+ * @returns {AsyncGenerator<string>}
+ */
+async function* postStream(provider, url, body, { apiKey, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, signal } = {}) {
+    const headers = { 'Content-Type': 'application/json', Accept: 'text/event-stream' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    // A new controller per attempt: one aborted by a timeout would fail every retry straight away
+    let controller = null;
+    let timer;
+    const resetTimer = () => {
+        clearTimeout(timer);
+        const current = controller;
+        timer = setTimeout(() => current.abort(), timeoutMs);
+    };
+    const onAbort = () => controller?.abort();
+    signal?.addEventListener('abort', onAbort);
+
+    const toProviderError = (error) => {
+        if (error instanceof ProviderError) return error;
+        if (signal?.aborted) return new ProviderError(provider, 'Request aborted', { aborted: true });
+        if (error.name === 'AbortError') return new ProviderError(provider, `Timed out after ${timeoutMs}ms`, { retryable: true });
+        return new ProviderError(provider, `Request failed: ${error.cause?.code || error.message}`, { retryable: true });
+    };
+
+    try {
+        let response;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                if (signal?.aborted) throw new ProviderError(provider, 'Request aborted', { aborted: true });
+                controller = new AbortController();
+                resetTimer();
+                response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal: controller.signal });
+                if (response.ok) break;
+
+                const text = await response.text();
+                const waitMs = RETRYABLE_STATUSES.has(response.status) && attempt < maxRetries ? backoffMs(attempt, response, timeoutMs) : null;
+                if (waitMs !== null) {
+                    console.warn(`[Provider ${provider}] HTTP ${response.status}, retrying in ${waitMs}ms`);
+                    clearTimeout(timer);
+                    await sleep(provider, waitMs, signal);
+                    continue;
+                }
+                console.error(`[Provider ${provider}] Error body:`, text.substring(0, 1000));
+                throw new ProviderError(provider, `HTTP ${response.status}`, {
+                    status: response.status,
+                    retryable: RETRYABLE_STATUSES.has(response.status)
+                });
+            } catch (error) {
+                const providerError = toProviderError(error);
+                // HTTP errors got their retry decision above
+                if (!providerError.retryable || providerError.status !== undefined || attempt >= maxRetries) throw providerError;
+                const waitMs = backoffMs(attempt, null, timeoutMs);
+                console.warn(`[Provider ${provider}] ${providerError.message}, retrying in ${waitMs}ms`);
+                clearTimeout(timer);
+                await sleep(provider, waitMs, signal);
+            }
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        try {
+            for await (const chunk of response.body) {
+                resetTimer();
+                buffer += decoder.decode(chunk, { stream: true });
+                const lines = buffer.split(/\r?\n/);
+                buffer = lines.pop();
+                for (const line of lines) {
+                    if (line.startsWith('data:')) yield line.substring(5).trim();
+                }
+            }
+        } catch (error) {
+            throw toProviderError(error);
+        }
+        if (buffer.startsWith('data:')) yield buffer.substring(5).trim();
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        // Stops the download when the consumer bails out early
+        controller?.abort();
+    }
+}
+
+module.exports = {
+    ProviderError,
+    postJson,
+    postStream
+};
@@ -0,0 +1,311 @@
+const { createEdenAiProvider } = require('./edenai');
+const { createOpenAiCompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+const { ProviderError } = require('./http');
+const { BREAKER_STATES, createCircuitBreaker } = require('./circuitBreaker');
+
+/**
+ * LLM / embedding providers, chosen per environment:
+ *
+ *   LLM_BACKEND=edenai|openai|mock   chat (and embeddings, unless EMBEDDING_BACKEND is set)
+ *   EMBEDDING_BACKEND=edenai|openai|mock
+ *
+ * Every provider has the same shape:
+ *   chat({ system, messages: [{ role, content }], temperature, maxTokens }, callOptions) -> { text, usage }
+ *   chatStream(request, callOptions) -> async iterable of { text } deltas, then { usage } (optional)
+ *   embed(texts, callOptions) -> { vectors, usage }
+ * where usage is { inputTokens, outputTokens, cost } (null when the provider doesn't say)
+ * and callOptions is { timeoutMs, maxRetries, signal }.
+ *
+ * Calls go through a fallback chain: the configured backend first, then
+ * LLM_FALLBACKS / EMBEDDING_FALLBACKS in order, e.g.
+ *
+ *   LLM_FALLBACKS=edenai:openai/gpt-4o-mini,openai:gpt-4o-mini
+ *
+ * (`backend:model`; for Eden AI the model is `subprovider/model`). Each entry
+ * has its own circuit breaker, so one that keeps failing is skipped for a while.
+ * Go through `chat` / `embedTexts` below rather than a provider directly so
+ * failover, breakers and usage counting apply.
+ */
+
+const LLM_BACKEND = (process.env.LLM_BACKEND || 'edenai').toLowerCase();
+
+const readInt = (value, fallback) => {
+    const parsed = parseInt(value ?? '', 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const PROVIDER_CONFIG = {
+    chatBackend: LLM_BACKEND,
+    embeddingBackend: (process.env.EMBEDDING_BACKEND || LLM_BACKEND).toLowerCase(),
+    chatFallbacks: parseList(process.env.LLM_FALLBACKS),
+    embeddingFallbacks: parseList(process.env.EMBEDDING_FALLBACKS),
+    // Per attempt; each chain entry makes up to 1 + maxRetries attempts
+    chatTimeoutMs: readInt(process.env.AI_CHAT_TIMEOUT_MS, 20000),
+    embeddingTimeoutMs: readInt(process.env.AI_EMBEDDING_TIMEOUT_MS, 10000),
+    maxRetries: readInt(process.env.AI_MAX_RETRIES, 2),
+    breakerThreshold: readInt(process.env.AI_BREAKER_THRESHOLD, 5),
+    breakerCooldownMs: readInt(process.env.AI_BREAKER_COOLDOWN_SECONDS, 30) * 1000,
+    edenai: {
+        apiKey: process.env.EDENAI_API_KEY || process.env.OPENAI_API_KEY,
+        baseUrl: process.env.LLM_BASE_URL || 'https://api.edenai.run/v2',
+        chatProvider: process.env.AI_PROVIDER || 'google',
+        chatModel: process.env.LLM_MODEL || 'gemini-1.5-flash',
+        embeddingProvider: process.env.EMBEDDING_PROVIDER || 'openai',
+        embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small'
+    },
+    openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+        chatModel: process.env.LLM_MODEL || 'gpt-4o-mini',
+        embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+        embeddingVendor: process.env.EMBEDDING_PROVIDER || 'openai'
+    },
+    mock: {
+        dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '', 10) || undefined
+    }
+};
+
+const FACTORIES = {
+    edenai: createEdenAiProvider,
+    openai: createOpenAiCompatibleProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Config overrides for a `backend:model` chain entry
+ */
+const modelOverrides = (backend, kind, model) => {
+    if (!model || backend === 'mock') return {};
+    if (backend === 'edenai') {
+        const [subProvider, ...rest] = model.split('/');
+        const subModel = rest.join('/') || undefined;
+        return kind === 'chat'
+            ? { chatProvider: subProvider, chatModel: subModel }
+            : { embeddingProvider: subProvider, embeddingModel: subModel };
+    }
+    return kind === 'chat' ? { chatModel: model } : { embeddingModel: model };
+};
+
+const createChainEntry = (spec, kind) => {
+    const separator = spec.indexOf(':');
+    const backend = (separator === -1 ? spec : spec.substring(0, separator)).toLowerCase();
+    const model = separator === -1 ? null : spec.substring(separator + 1);
+    if (!FACTORIES[backend]) {
+        throw new Error(`Unknown AI backend "${backend}". Use one of: ${Object.keys(FACTORIES).join(', ')}.`);
+    }
+
+    const provider = FACTORIES[backend]({ ...PROVIDER_CONFIG[backend], ...modelOverrides(backend, kind, model) });
+    const key = kind === 'chat'
+        ? `${backend}:${provider.chatModel}`
+        : `${backend}:${provider.embeddingVendor}/${provider.embeddingModel}`;
+    return {
+        key,
+        provider,
+        breaker: createCircuitBreaker(key, {
+            threshold: PROVIDER_CONFIG.breakerThreshold,
+            cooldownMs: PROVIDER_CONFIG.breakerCooldownMs
+        })
+    };
+};
+
+const buildChain = (kind) => {
+    const [primary, ...fallbacks] = kind === 'chat'
+        ? [PROVIDER_CONFIG.chatBackend, ...PROVIDER_CONFIG.chatFallbacks].map(spec => createChainEntry(spec, 'chat'))
+        : [PROVIDER_CONFIG.embeddingBackend, ...PROVIDER_CONFIG.embeddingFallbacks].map(spec => createChainEntry(spec, 'embedding'));
+
+    if (kind === 'embedding') {
+        // Vectors from another model don't live in the same space as the stored ones
+        const sameModel = (entry) => entry.provider.embeddingVendor === primary.provider.embeddingVendor
+            && entry.provider.embeddingModel === primary.provider.embeddingModel;
+        fallbacks.filter(entry => !sameModel(entry)).forEach(entry => {
+            console.warn(`[Providers] Ignoring embedding fallback ${entry.key}: it must use the same model as ${primary.key}`);
+        });
+        return [primary, ...fallbacks.filter(sameModel)];
+    }
+    return [primary, ...fallbacks];
+};
+
+const chains = {};
+
+const getChain = (kind) => {
+    if (!chains[kind]) chains[kind] = buildChain(kind);
+    return chains[kind];
+};
+
+// The first entry of each chain; embedding_meta and reports describe it
+const getChatProvider = () => getChain('chat')[0].provider;
+const getEmbeddingProvider = () => getChain('embedding')[0].provider;
+
+// Running totals since the process started, keyed by "entry key:operation"
+const usageTotals = {};
+
+const recordUsage = (entry, operation, { usage, error } = {}) => {
+    const key = `${entry.key}:${operation}`;
+    if (!usageTotals[key]) {
+        usageTotals[key] = { provider: entry.key, operation, calls: 0, failures: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    }
+    const totals = usageTotals[key];
+    totals.calls++;
+    if (error) {
+        totals.failures++;
+        totals.lastError = { message: error.message, at: new Date() };
+        return;
+    }
+    totals.inputTokens += usage?.inputTokens || 0;
+    totals.outputTokens += usage?.outputTokens || 0;
+    totals.cost += usage?.cost || 0;
+};
+
+/**
+ * Try each chain entry in order until one succeeds, skipping entries whose breaker is open.
+ * Cancelled calls and streams that already sent part of an answer are not retried elsewhere.
+ */
+const runChain = async (kind, operation, call, { signal } = {}) => {
+    const chain = getChain(kind);
+    const callOptions = {
+        timeoutMs: kind === 'chat' ? PROVIDER_CONFIG.chatTimeoutMs : PROVIDER_CONFIG.embeddingTimeoutMs,
+        maxRetries: PROVIDER_CONFIG.maxRetries,
+        signal
+    };
+    const failures = [];
+
+    for (const [index, entry] of chain.entries()) {
+        if (!entry.breaker.allowRequest()) {
+            failures.push(`${entry.key}: circuit open`);
+            continue;
+        }
+        try {
+            const result = await call(entry.provider, callOptions);
+            entry.breaker.recordSuccess();
+            recordUsage(entry, operation, result);
+            return { ...result, provider: entry.key };
+        } catch (error) {
+            if (error.aborted || signal?.aborted) {
+                entry.breaker.releaseTrial();
+                throw error;
+            }
+            entry.breaker.recordFailure(error);
+            recordUsage(entry, operation, { error });
+            if (error.partial) throw error;
+            failures.push(`${entry.key}: ${error.message}`);
+            if (index < chain.length - 1) {
+                console.warn(`[Providers] ${entry.key} ${operation} failed (${error.message}), trying the next provider`);
+            }
+        }
+    }
+
+    throw new ProviderError('providers', `Every ${kind} provider failed. ${failures.join('; ')}`);
+};
+
+/**
+ * Chat completion on the chat fallback chain
+ *
+ * @param {Object} request
+ * @param {string} [request.system] - system prompt
+ * @param {Array<{ role: 'user'|'assistant', content: string }>} request.messages - last one is the question
+ * @param {number} [request.temperature]
+ * @param {number} [request.maxTokens]
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ text: string, usage: Object, provider: string }>} provider is the chain entry that answered
+ */
+const chat = (request, { signal } = {}) => runChain('chat', 'chat', (provider, callOptions) => provider.chat(request, callOptions), { signal });
+
+/**
+ * Chat completion that hands the answer to `onText` piece by piece as it is generated.
+ * Providers without chatStream deliver the whole answer in one piece.
+ *
+ * @param {Object} request - as for chat
+ * @param {Object} options
+ * @param {Function} options.onText - called with each text delta
+ * @param {AbortSignal} [options.signal] - stop generating (e.g. the client disconnected)
+ * @returns {Promise<{ text: string, usage: Object, provider: string }>} text is the full answer
+ */
+const streamChat = (request, { onText, signal }) => runChain('chat', 'chat', async (provider, callOptions) => {
+    if (!provider.chatStream) {
+        const result = await provider.chat(request, callOptions);
+        if (result.text) onText(result.text);
+        return result;
+    }
+
+    let text = '';
+    let usage = null;
+    try {
+        for await (const chunk of provider.chatStream(request, callOptions)) {
+            if (chunk.text) {
+                text += chunk.text;
+                onText(chunk.text);
+            }
+            if (chunk.usage) usage = chunk.usage;
+        }
+    } catch (error) {
+        // Part of the answer is already out; another provider would start over
+        if (text) error.partial = true;
+        throw error;
+    }
+    return { text, usage };
+}, { signal });
+
+/**
+ * Embed several texts on the embedding fallback chain; vectors come back in input order
+ *
+ * @returns {Promise<number[][]>}
+ */
+const embedTexts = async (texts) => {
+    const result = await runChain('embedding', 'embed', (provider, callOptions) => provider.embed(texts, callOptions));
+    return result.vectors;
+};
+
+// 'ok' when the first entry is usable, 'degraded' when only fallbacks are, 'down' when none are
+const summarizeChain = (chain) => {
+    const statuses = chain.map(entry => entry.breaker.getStatus());
+    const usable = statuses.map(status => status.state !== BREAKER_STATES.OPEN);
+    return {
+        status: usable[0] ? 'ok' : usable.some(Boolean) ? 'degraded' : 'down',
+        breakers: statuses
+    };
+};
+
+/**
+ * Chains with breaker states, for health checks
+ */
+const getProviderHealth = () => ({
+    chat: summarizeChain(getChain('chat')),
+    embedding: summarizeChain(getChain('embedding'))
+});
+
+/**
+ * Which backends and models are in use, breaker states and usage since startup (no secrets)
+ */
+const getProviderReport = () => {
+    const chatProvider = getChatProvider();
+    const embeddingProvider = getEmbeddingProvider();
+    return {
+        chat: { backend: chatProvider.name, model: chatProvider.chatModel },
+        embedding: { backend: embeddingProvider.name, vendor: embeddingProvider.embeddingVendor, model: embeddingProvider.embeddingModel },
+        resilience: {
+            chatTimeoutMs: PROVIDER_CONFIG.chatTimeoutMs,
+            embeddingTimeoutMs: PROVIDER_CONFIG.embeddingTimeoutMs,
+            maxRetries: PROVIDER_CONFIG.maxRetries,
+            breakerThreshold: PROVIDER_CONFIG.breakerThreshold,
+            breakerCooldownMs: PROVIDER_CONFIG.breakerCooldownMs
+        },
+        chains: getProviderHealth(),
+        usage: Object.values(usageTotals).map(totals => ({ ...totals, cost: Math.round(totals.cost * 1e6) / 1e6 }))
+    };
+};
+
+module.exports = {
+    PROVIDER_CONFIG,
+    ProviderError,
+    getChatProvider,
+    getEmbeddingProvider,
+    chat,
+    streamChat,
+    embedTexts,
+    getProviderHealth,
+    getProviderReport
+};
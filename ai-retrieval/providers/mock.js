@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+/**
+ * Deterministic offline provider, for running the whole RAG flow without a
+ * network (LLM_BACKEND=mock). Same input, same output:
+ *   - embeddings are hashed bags of words, so texts sharing words end up close
+ *   - chat replies list the events found in the system prompt's context
+ *     (streamed word by word by chatStream)
+ * Replies are never JSON, so poster extraction falls back to its heuristics.
+ */
+
+const DEFAULT_DIMENSIONS = 256;
+
+// Rough token count, for usage reporting
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const tokenize = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+
+const embedText = (text, dimensions) => {
+    const vector = new Array(dimensions).fill(0);
+    for (const token of tokenize(text)) {
+        const hash = crypto.createHash('md5').update(token).digest();
+        // Signed feature hashing: one bucket per token, sign from another hash byte
+        vector[hash.readUInt32LE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+/**
+ * @param {Object} [config]
+ * @param {number} [config.dimensions=256]
+ */
+const createMockProvider = (config = {}) => {
+    const dimensions = config.dimensions || DEFAULT_DIMENSIONS;
+
+    return {
+        name: 'mock',
+        chatModel: 'mock-chat',
+        embeddingModel: 'mock-embedding',
+        embeddingVendor: 'mock',
+
+        async chat({ system = '', messages }) {
+            const question = messages[messages.length - 1]?.content || '';
+            const names = [...system.matchAll(/^- Name: (.+)$/gm)].map(match => match[1].trim()).filter(name => name !== 'N/A');
+            const text = names.length > 0
+                ? `Here's what I found for "${question}":\n${names.slice(0, 5).map((name, index) => `${index + 1}. ${name}`).join('\n')}`
+                : `I couldn't find any events matching "${question}" this time.`;
+            return {
+                text,
+                usage: {
+                    inputTokens: estimateTokens(system) + messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+                    outputTokens: estimateTokens(text),
+                    cost: 0
+                }
+            };
+        },
+
+        async *chatStream(request) {
+            const { text, usage } = await this.chat(request);
+            for (const word of text.match(/\S+\s*/g) || []) {
+                yield { text: word };
+            }
+            yield { usage };
+        },
+
+        async embed(texts) {
+            return {
+                vectors: texts.map(text => embedText(text, dimensions)),
+                usage: { inputTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0), outputTokens: 0, cost: 0 }
+            };
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_DIMENSIONS,
+    createMockProvider
+};
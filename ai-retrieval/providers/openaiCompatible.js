@@ -0,0 +1,90 @@
+const { ProviderError, postJson, postStream } = require('./http');
+
+/**
+ * Adapter for OpenAI-style `/chat/completions` and `/embeddings` endpoints:
+ * OpenAI itself, or a local server such as llama.cpp or Ollama (`http://localhost:11434/v1`).
+ */
+
+const readUsage = (data) => ({
+    inputTokens: data.usage?.prompt_tokens ?? null,
+    outputTokens: data.usage?.completion_tokens ?? null,
+    cost: null
+});
+
+const buildChatBody = (model, { system, messages, temperature = 0.2, maxTokens = 1000 }) => ({
+    model,
+    messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(message => ({ role: message.role === 'user' ? 'user' : 'assistant', content: message.content }))
+    ],
+    temperature,
+    max_tokens: maxTokens
+});
+
+/**
+ * @param {Object} config
+ * @param {string} [config.apiKey] - local servers usually don't need one
+ * @param {string} config.baseUrl - e.g. https://api.openai.com/v1
+ * @param {string} config.chatModel
+ * @param {string} config.embeddingModel
+ * @param {string} config.embeddingVendor - who made the embedding model, for embedding_meta
+ */
+const createOpenAiCompatibleProvider = (config) => ({
+    name: 'openai',
+    chatModel: config.chatModel,
+    embeddingModel: config.embeddingModel,
+    embeddingVendor: config.embeddingVendor,
+
+    async chat(request, callOptions = {}) {
+        const data = await postJson('openai', `${config.baseUrl}/chat/completions`, buildChatBody(config.chatModel, request), {
+            apiKey: config.apiKey,
+            ...callOptions
+        });
+
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new ProviderError('openai', `Invalid chat format: ${JSON.stringify(data).substring(0, 500)}`, { body: data });
+        }
+        return { text, usage: readUsage(data) };
+    },
+
+    /**
+     * Same as chat, but yields { text } deltas as they are generated, then { usage }
+     */
+    async *chatStream(request, callOptions = {}) {
+        const payloads = postStream('openai', `${config.baseUrl}/chat/completions`, {
+            ...buildChatBody(config.chatModel, request),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { apiKey: config.apiKey, ...callOptions });
+
+        for await (const payload of payloads) {
+            if (payload === '[DONE]') break;
+            let data;
+            try {
+                data = JSON.parse(payload);
+            } catch (error) {
+                continue;
+            }
+            const text = data.choices?.[0]?.delta?.content;
+            if (text) yield { text };
+            if (data.usage) yield { usage: readUsage(data) };
+        }
+    },
+
+    async embed(texts, callOptions = {}) {
+        const data = await postJson('openai', `${config.baseUrl}/embeddings`, {
+            model: config.embeddingModel,
+            input: texts
+        }, { apiKey: config.apiKey, ...callOptions });
+
+        if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+            throw new ProviderError('openai', `Invalid embedding format: ${JSON.stringify(data).substring(0, 500)}`, { body: data });
+        }
+        // Replies may come back out of order; `index` says where each belongs
+        const vectors = [...data.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(item => item.embedding);
+        return { vectors, usage: readUsage(data) };
+    }
+});
+
+module.exports = { createOpenAiCompatibleProvider };
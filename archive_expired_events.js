@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { archiveExpiredEvents, ARCHIVE_CONFIG } = require('./ai-retrieval/ai.archive');
+
+/**
+ * Archive events whose normalized end date has passed, so the chat stops
+ * recommending them. The server also runs this every ARCHIVE_INTERVAL_MINUTES.
+ *
+ * Usage:
+ *   node archive_expired_events.js            # archive now
+ *   node archive_expired_events.js --dry-run  # only count
+ */
+async function archiveEvents() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB Atlas');
+
+        const result = await archiveExpiredEvents({ dryRun });
+
+        if (dryRun) {
+            console.log(`\n${result.matched} events ended more than ${ARCHIVE_CONFIG.graceHours}h ago and would be archived.`);
+        } else {
+            console.log(`\nArchived ${result.archived} expired events.`);
+        }
+
+    } catch (error) {
+        console.error('Error:', error.message);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+archiveEvents();
@@ -0,0 +1,68 @@
+const { AuthError, looksLikeJwt, verifyIdToken, toAuthUser } = require('./auth.tokens');
+const { requireAdmin } = require('../admin/admin.middleware');
+
+/**
+ * Who may call a route:
+ *   public  anyone; a valid ID token still signs the user in
+ *   user    a signed-in user (Authorization: Bearer <Firebase ID token>)
+ *   admin   a signed-in admin, or an admin API key (see admin.middleware.js)
+ */
+const ACCESS_LEVELS = ['public', 'user', 'admin'];
+
+/**
+ * The bearer token when it is an ID token (admin API keys aren't JWTs)
+ */
+const readIdToken = (req) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.substring(7).trim() : '';
+    return looksLikeJwt(token) ? token : null;
+};
+
+/**
+ * Declare a route's access level. Verifies the ID token when one is sent and
+ * attaches the trusted user as req.user (null when signed out). A bad token is
+ * rejected even on public routes, so clients notice they have been signed out.
+ *
+ * @param {'public'|'user'|'admin'} level
+ */
+const access = (level) => {
+    if (!ACCESS_LEVELS.includes(level)) {
+        throw new Error(`Unknown access level "${level}" (use one of: ${ACCESS_LEVELS.join(', ')})`);
+    }
+
+    return async (req, res, next) => {
+        req.user = null;
+        const token = readIdToken(req);
+        if (token) {
+            try {
+                req.user = toAuthUser(await verifyIdToken(token));
+            } catch (error) {
+                if (!(error instanceof AuthError)) return next(error);
+                if (error.keysUnavailable) {
+                    console.error("[Auth] Cannot verify ID tokens:", error.message);
+                    return res.status(503).json({ error: "Sign-in is temporarily unavailable.", details: error.message });
+                }
+                return res.status(401).json({ error: "Invalid or expired ID token.", details: error.message });
+            }
+        }
+
+        if (level === 'user' && !req.user) {
+            return res.status(401).json({ error: "Sign-in required (Authorization: Bearer <Firebase ID token>)." });
+        }
+        if (level === 'admin') {
+            // Without an ID token, fall back to the admin API keys
+            if (!req.user) return requireAdmin(req, res, next);
+            if (!req.user.admin) {
+                return res.status(403).json({ error: "Admin access is required." });
+            }
+            // The audit trail records who did it
+            req.admin = { name: req.user.email || req.user.uid };
+        }
+        next();
+    };
+};
+
+module.exports = {
+    ACCESS_LEVELS,
+    access
+};
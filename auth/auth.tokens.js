@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+
+/**
+ * Firebase ID token verification: RS256 JWTs signed by Google's securetoken
+ * service, checked against its published keys (JWKS), the project id
+ * (audience), issuer and expiry.
+ *
+ * The keys come from AUTH_JWKS_URL (Google's endpoint by default) or, for
+ * tests and offline setups, a local JWKS file in AUTH_JWKS_FILE.
+ */
+
+const AUTH_CONFIG = {
+    projectId: process.env.FIREBASE_PROJECT_ID || '',
+    jwksUrl: process.env.AUTH_JWKS_URL || 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com',
+    jwksFile: process.env.AUTH_JWKS_FILE || '',
+    // Defaults to Firebase's issuer for the project
+    issuer: process.env.AUTH_TOKEN_ISSUER || '',
+    // Allowed clock difference between us and Google
+    clockSkewSeconds: parseInt(process.env.AUTH_CLOCK_SKEW_SECONDS || '60', 10),
+    // Keys are cached for the endpoint's Cache-Control max-age, or this long without one
+    keyCacheMs: 60 * 60 * 1000,
+    // An unknown key id triggers a refetch (keys rotate), at most this often
+    minRefetchMs: 60 * 1000,
+    fetchTimeoutMs: 5000,
+    // Firebase uids treated as admins, on top of the `admin: true` custom claim
+    adminUids: (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean)
+};
+
+const expectedIssuer = () => AUTH_CONFIG.issuer || `https://securetoken.google.com/${AUTH_CONFIG.projectId}`;
+
+/**
+ * A token that can't be trusted (bad signature, wrong audience, expired...).
+ * `keysUnavailable` means we couldn't load the keys to check it: our problem,
+ * not the client's.
+ */
+class AuthError extends Error {
+    constructor(message, { keysUnavailable = false } = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.keysUnavailable = keysUnavailable;
+    }
+}
+
+// kid -> public KeyObject, with when to reload
+const keyCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0, loading: null };
+
+const maxAgeMs = (cacheControl) => {
+    const match = /max-age=(\d+)/i.exec(cacheControl || '');
+    return match ? parseInt(match[1], 10) * 1000 : AUTH_CONFIG.keyCacheMs;
+};
+
+const readJwks = async () => {
+    if (AUTH_CONFIG.jwksFile) {
+        return { jwks: JSON.parse(await fs.readFile(AUTH_CONFIG.jwksFile, 'utf8')), ttlMs: AUTH_CONFIG.keyCacheMs };
+    }
+    const response = await fetch(AUTH_CONFIG.jwksUrl, { signal: AbortSignal.timeout(AUTH_CONFIG.fetchTimeoutMs) });
+    if (!response.ok) throw new Error(`HTTP ${response.status} from ${AUTH_CONFIG.jwksUrl}`);
+    return { jwks: await response.json(), ttlMs: maxAgeMs(response.headers.get('cache-control')) };
+};
+
+const loadKeys = async () => {
+    let result;
+    try {
+        result = await readJwks();
+    } catch (error) {
+        throw new AuthError(`Could not load signing keys: ${error.message}`, { keysUnavailable: true });
+    }
+
+    const keys = new Map();
+    for (const jwk of Array.isArray(result.jwks?.keys) ? result.jwks.keys : []) {
+        if (!jwk.kid || jwk.kty !== 'RSA') continue;
+        try {
+            keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        } catch (error) {
+            console.warn(`[Auth] Skipping unusable signing key ${jwk.kid}:`, error.message);
+        }
+    }
+    if (keys.size === 0) throw new AuthError('No usable signing keys were found.', { keysUnavailable: true });
+
+    const now = Date.now();
+    Object.assign(keyCache, { keys, fetchedAt: now, expiresAt: now + result.ttlMs });
+    console.log(`[Auth] Loaded ${keys.size} signing keys from ${AUTH_CONFIG.jwksFile || AUTH_CONFIG.jwksUrl}`);
+};
+
+/**
+ * Public key for a key id, reloading the keys when they're stale or the id is new
+ */
+const getSigningKey = async (kid) => {
+    const now = Date.now();
+    const stale = now >= keyCache.expiresAt;
+    const unknown = !keyCache.keys.has(kid) && now - keyCache.fetchedAt >= AUTH_CONFIG.minRefetchMs;
+    if (stale || unknown) {
+        // Concurrent requests share one reload
+        keyCache.loading = keyCache.loading || loadKeys().finally(() => { keyCache.loading = null; });
+        await keyCache.loading;
+    }
+    const key = keyCache.keys.get(kid);
+    if (!key) throw new AuthError(`Token was signed with an unknown key (${kid}).`);
+    return key;
+};
+
+const decodeSegment = (segment, part) => {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new AuthError(`Token ${part} is not valid JSON.`);
+    }
+};
+
+/**
+ * Does the string look like a JWT (three base64url segments)? Tells ID tokens
+ * apart from admin API keys sent the same way.
+ */
+const looksLikeJwt = (value) => /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(value || '');
+
+/**
+ * Verify a Firebase ID token
+ *
+ * @param {string} token
+ * @returns {Promise<Object>} the token's claims
+ * @throws {AuthError} when the token can't be trusted (or the keys can't be loaded)
+ */
+const verifyIdToken = async (token) => {
+    if (!AUTH_CONFIG.projectId) throw new AuthError('Sign-in is not configured (set FIREBASE_PROJECT_ID).', { keysUnavailable: true });
+    if (!looksLikeJwt(token)) throw new AuthError('Token is not a JWT.');
+
+    const [headerPart, payloadPart, signaturePart] = token.split('.');
+    const header = decodeSegment(headerPart, 'header');
+    const claims = decodeSegment(payloadPart, 'payload');
+    if (header.alg !== 'RS256') throw new AuthError(`Token algorithm must be RS256, not ${header.alg}.`);
+    if (!header.kid) throw new AuthError('Token has no key id (kid).');
+
+    const key = await getSigningKey(header.kid);
+    const signed = crypto.verify('RSA-SHA256', Buffer.from(`${headerPart}.${payloadPart}`), key, Buffer.from(signaturePart, 'base64url'));
+    if (!signed) throw new AuthError('Token signature is invalid.');
+
+    const now = Math.floor(Date.now() / 1000);
+    const skew = AUTH_CONFIG.clockSkewSeconds;
+    if (claims.aud !== AUTH_CONFIG.projectId) throw new AuthError('Token was issued for another project (aud).');
+    if (claims.iss !== expectedIssuer()) throw new AuthError('Token has the wrong issuer (iss).');
+    if (typeof claims.exp !== 'number' || claims.exp + skew <= now) throw new AuthError('Token has expired.');
+    if (typeof claims.iat !== 'number' || claims.iat - skew > now) throw new AuthError('Token was issued in the future (iat).');
+    if (typeof claims.auth_time === 'number' && claims.auth_time - skew > now) throw new AuthError('Token has a future auth_time.');
+    if (typeof claims.sub !== 'string' || claims.sub.length === 0 || claims.sub.length > 128) throw new AuthError('Token has no valid subject (sub).');
+
+    return claims;
+};
+
+/**
+ * The trusted user behind verified claims, as attached to req.user
+ *
+ * @returns {{ uid: string, email: string|null, emailVerified: boolean, displayName: string|null, admin: boolean }}
+ */
+const toAuthUser = (claims) => ({
+    uid: claims.sub,
+    email: claims.email || null,
+    emailVerified: claims.email_verified === true,
+    displayName: claims.name || null,
+    admin: claims.admin === true || AUTH_CONFIG.adminUids.includes(claims.sub)
+});
+
+module.exports = {
+    AUTH_CONFIG,
+    AuthError,
+    looksLikeJwt,
+    verifyIdToken,
+    toAuthUser
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { Event } = require('./events/event.model');
+const { normalizeEventDates } = require('./ai-retrieval/ai.dates');
+
+/**
+ * Backfill normalized starts_at / ends_at on existing events.
+ *
+ * Usage:
+ *   node backfill_dates.js            # only events that were never normalized
+ *   node backfill_dates.js --force    # re-normalize every event
+ *   node backfill_dates.js --dry-run  # print what would change, write nothing
+ */
+async function backfillDates() {
+    const force = process.argv.includes('--force');
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB Atlas');
+
+        const query = force ? {} : { date_normalized_at: { $exists: false } };
+        const total = await Event.countDocuments(query);
+        console.log(`Found ${total} events to normalize${dryRun ? ' (dry run)' : ''}`);
+
+        const cursor = Event.find(query).select('event_details full_text').lean().cursor();
+        const counts = { high: 0, medium: 0, low: 0, none: 0 };
+        let operations = [];
+
+        for await (const event of cursor) {
+            const normalized = normalizeEventDates(event);
+            counts[normalized.date_confidence]++;
+
+            if (dryRun) {
+                console.log(`${event._id} "${event.event_details?.event_date || 'N/A'}" / "${event.event_details?.event_time || 'N/A'}"`
+                    + ` -> ${normalized.starts_at?.toISOString() || 'null'} .. ${normalized.ends_at?.toISOString() || 'null'} (${normalized.date_confidence})`);
+                continue;
+            }
+
+            operations.push({ updateOne: { filter: { _id: event._id }, update: { $set: normalized } } });
+            if (operations.length === 100) {
+                await Event.bulkWrite(operations);
+                operations = [];
+            }
+        }
+
+        if (operations.length > 0) {
+            await Event.bulkWrite(operations);
+        }
+
+        console.log('\nConfidence breakdown:');
+        Object.entries(counts).forEach(([level, count]) => console.log(`  ${level}: ${count}`));
+        console.log(dryRun ? '\nDry run complete, nothing written.' : '\nDate backfill complete!');
+
+    } catch (error) {
+        console.error('Error:', error.message);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+backfillDates();
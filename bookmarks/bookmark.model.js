@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in user's relation to an event: saved ("remember that event")
+ * and/or an RSVP. One document per user and event; it goes away when the
+ * event is neither saved nor RSVP'd.
+ *
+ * Each event keeps running counts in `interest` (see bookmarks.service.js).
+ */
+
+const RSVP_STATUSES = ['interested', 'going'];
+
+const bookmarkSchema = new mongoose.Schema({
+    // Firebase uid (see auth/)
+    user_id: { type: String, required: true },
+    event_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+    saved: { type: Boolean, default: false },
+    rsvp: { type: String, enum: [...RSVP_STATUSES, null], default: null },
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: Date.now }
+}, {
+    collection: 'bookmarks',
+    versionKey: false
+});
+
+bookmarkSchema.index({ user_id: 1, event_id: 1 }, { unique: true });
+bookmarkSchema.index({ user_id: 1, updated_at: -1 });
+
+const Bookmark = mongoose.models.Bookmark || mongoose.model('Bookmark', bookmarkSchema);
+
+module.exports = {
+    Bookmark,
+    RSVP_STATUSES
+};
@@ -0,0 +1,90 @@
+const bookmarksService = require('./bookmarks.service');
+const { RSVP_STATUSES } = require('./bookmark.model');
+const { parseFieldsParam, serializeEvents } = require('../events/events.serializer');
+
+const handleError = (res, label, error) => {
+    console.error(`${label} Error:`, error);
+    res.status(500).json({
+        error: "An error occurred while processing the bookmark request.",
+        details: error.message
+    });
+};
+
+/**
+ * Run a bookmark change for :eventId and reply with the bookmark
+ */
+const changeBookmark = async (req, res, label, change) => {
+    if (!bookmarksService.isValidEventId(req.params.eventId)) {
+        return res.status(400).json({ error: "Invalid event id." });
+    }
+    try {
+        const bookmark = await change(req.user.uid, req.params.eventId);
+        if (!bookmark) return res.status(404).json({ error: "Event not found." });
+        res.json({ bookmark });
+    } catch (error) {
+        handleError(res, label, error);
+    }
+};
+
+/**
+ * GET /api/bookmarks
+ */
+const handleListBookmarks = async (req, res) => {
+    const status = req.query.status || 'all';
+    if (!bookmarksService.LIST_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${bookmarksService.LIST_STATUSES.join(', ')}.` });
+    }
+    const { fields, errors: fieldErrors } = parseFieldsParam(req.query.fields);
+    if (fieldErrors.length > 0) {
+        return res.status(400).json({ error: "Invalid fields.", details: fieldErrors });
+    }
+
+    try {
+        const result = await bookmarksService.listBookmarks(req.user.uid, {
+            status,
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        const cards = serializeEvents(result.events, { fields });
+        res.json({
+            ...result,
+            events: cards.map((card, index) => ({ ...card, bookmark: result.events[index].bookmark }))
+        });
+    } catch (error) {
+        handleError(res, "Bookmark List", error);
+    }
+};
+
+/**
+ * PUT /api/bookmarks/:eventId
+ */
+const handleSaveEvent = (req, res) => changeBookmark(req, res, "Bookmark Save", bookmarksService.saveEvent);
+
+/**
+ * DELETE /api/bookmarks/:eventId
+ */
+const handleUnsaveEvent = (req, res) => changeBookmark(req, res, "Bookmark Delete", bookmarksService.unsaveEvent);
+
+/**
+ * PUT /api/bookmarks/:eventId/rsvp
+ */
+const handleSetRsvp = (req, res) => {
+    const status = req.body?.status;
+    if (status !== null && !RSVP_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${RSVP_STATUSES.join(', ')}, or null to clear it.` });
+    }
+    return changeBookmark(req, res, "Bookmark RSVP", (userId, eventId) => bookmarksService.setRsvp(userId, eventId, status));
+};
+
+/**
+ * DELETE /api/bookmarks/:eventId/rsvp
+ */
+const handleClearRsvp = (req, res) => changeBookmark(req, res, "Bookmark RSVP", (userId, eventId) => bookmarksService.setRsvp(userId, eventId, null));
+
+module.exports = {
+    handleListBookmarks,
+    handleSaveEvent,
+    handleUnsaveEvent,
+    handleSetRsvp,
+    handleClearRsvp
+};
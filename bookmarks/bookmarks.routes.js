@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const bookmarksController = require('./bookmarks.controller');
+const { access } = require('../auth/auth.middleware');
+
+// Bookmarks belong to a signed-in account
+router.use(access('user'));
+
+/**
+ * @route   GET /api/bookmarks
+ * @desc    My saved events, most recently changed first, each with its `bookmark`
+ *          (?status=all|saved|interested|going&page=&limit=&fields=)
+ * @access  User
+ */
+router.get('/', bookmarksController.handleListBookmarks);
+
+/**
+ * @route   PUT /api/bookmarks/:eventId
+ * @desc    Save an event
+ * @access  User
+ */
+router.put('/:eventId', bookmarksController.handleSaveEvent);
+
+/**
+ * @route   DELETE /api/bookmarks/:eventId
+ * @desc    Unsave an event (an RSVP stays)
+ * @access  User
+ */
+router.delete('/:eventId', bookmarksController.handleUnsaveEvent);
+
+/**
+ * @route   PUT /api/bookmarks/:eventId/rsvp
+ * @desc    RSVP to an event (body: status 'interested'|'going', or null to clear)
+ * @access  User
+ */
+router.put('/:eventId/rsvp', bookmarksController.handleSetRsvp);
+
+/**
+ * @route   DELETE /api/bookmarks/:eventId/rsvp
+ * @desc    Clear the RSVP
+ * @access  User
+ */
+router.delete('/:eventId/rsvp', bookmarksController.handleClearRsvp);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { Bookmark, RSVP_STATUSES } = require('./bookmark.model');
+const { Event } = require('../events/event.model');
+
+const MAX_PAGE_SIZE = 100;
+
+// What GET /api/bookmarks can list
+const LIST_STATUSES = ['all', 'saved', ...RSVP_STATUSES];
+
+const toObjectId = (id) => (mongoose.Types.ObjectId.isValid(id) && String(id).length === 24
+    ? new mongoose.Types.ObjectId(id)
+    : null);
+
+const isValidEventId = (id) => toObjectId(id) !== null;
+
+/**
+ * API view of a user's bookmark on one event
+ */
+const toBookmarkView = (bookmark) => ({
+    event_id: bookmark.event_id.toString(),
+    saved: Boolean(bookmark.saved),
+    rsvp: bookmark.rsvp || null,
+    updated_at: bookmark.updated_at || null
+});
+
+/**
+ * Changes to an event's interest counts when a bookmark goes from one state to another
+ */
+const interestDelta = (before, after) => {
+    const delta = {};
+    const add = (field, amount) => {
+        if (amount !== 0) delta[`interest.${field}`] = (delta[`interest.${field}`] || 0) + amount;
+    };
+    add('saved', Number(after.saved) - Number(before.saved));
+    for (const status of RSVP_STATUSES) {
+        add(status, Number(after.rsvp === status) - Number(before.rsvp === status));
+    }
+    return delta;
+};
+
+/**
+ * Save / unsave an event or change the RSVP, keeping the event's interest counts in step
+ *
+ * @param {string} userId - Firebase uid
+ * @param {string} eventId
+ * @param {{ saved?: boolean, rsvp?: 'interested'|'going'|null }} changes
+ * @returns {Promise<Object|null>} the bookmark view, or null when the event doesn't exist
+ */
+const updateBookmark = async (userId, eventId, changes) => {
+    const event_id = toObjectId(eventId);
+    if (!event_id) return null;
+    // Saving or RSVPing needs a live event; undoing doesn't
+    if ((changes.saved || changes.rsvp) && !(await Event.exists({ _id: event_id, deleted_at: null }))) return null;
+
+    const now = new Date();
+    const filter = { user_id: userId, event_id };
+    // The previous state comes back atomically, so concurrent updates can't double count
+    const previous = await Bookmark.findOneAndUpdate(
+        filter,
+        { $set: { ...changes, updated_at: now }, $setOnInsert: { ...filter, created_at: now } },
+        { new: false, upsert: true, runValidators: true }
+    ).lean();
+
+    const before = { saved: Boolean(previous?.saved), rsvp: previous?.rsvp || null };
+    const after = { ...before, ...changes };
+    const delta = interestDelta(before, after);
+    if (Object.keys(delta).length > 0) {
+        await Event.updateOne({ _id: event_id }, { $inc: delta });
+    }
+    if (!after.saved && !after.rsvp) {
+        await Bookmark.deleteOne({ ...filter, saved: false, rsvp: null });
+    }
+
+    console.log(`[Bookmarks] ${userId} ${eventId}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`);
+    return toBookmarkView({ event_id, ...after, updated_at: now });
+};
+
+const saveEvent = (userId, eventId) => updateBookmark(userId, eventId, { saved: true });
+const unsaveEvent = (userId, eventId) => updateBookmark(userId, eventId, { saved: false });
+const setRsvp = (userId, eventId, rsvp) => updateBookmark(userId, eventId, { rsvp });
+
+/**
+ * Delete all of a user's bookmarks ("forget my data"), taking them back out of
+ * the events' interest counts
+ *
+ * @param {string} userId
+ * @returns {Promise<number>} how many bookmarks were deleted
+ */
+const deleteUserBookmarks = async (userId) => {
+    const bookmarks = await Bookmark.find({ user_id: userId }).select('_id').lean();
+    let deleted = 0;
+    for (const { _id } of bookmarks) {
+        // One at a time, so a bookmark changed meanwhile is counted in the state it is deleted in
+        const bookmark = await Bookmark.findOneAndDelete({ _id }).lean();
+        if (!bookmark) continue;
+        const delta = interestDelta({ saved: Boolean(bookmark.saved), rsvp: bookmark.rsvp || null }, { saved: false, rsvp: null });
+        if (Object.keys(delta).length > 0) {
+            await Event.updateOne({ _id: bookmark.event_id }, { $inc: delta });
+        }
+        deleted++;
+    }
+    console.log(`[Bookmarks] Deleted ${deleted} bookmarks of ${userId}`);
+    return deleted;
+};
+
+/**
+ * A user's saved / RSVP'd events, most recently changed first. Each event
+ * carries the user's `bookmark`; events deleted since are left out.
+ *
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {'all'|'saved'|'interested'|'going'} [options.status]
+ * @returns {Promise<{ events: Object[], total: number, page: number, limit: number }>}
+ */
+const listBookmarks = async (userId, { status = 'all', page = 1, limit = 20 } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const filter = { user_id: userId };
+    if (status === 'saved') filter.saved = true;
+    else if (RSVP_STATUSES.includes(status)) filter.rsvp = status;
+
+    const [bookmarks, total] = await Promise.all([
+        Bookmark.find(filter)
+            .sort({ updated_at: -1, _id: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        Bookmark.countDocuments(filter)
+    ]);
+
+    const events = await Event.find({ _id: { $in: bookmarks.map(bookmark => bookmark.event_id) }, deleted_at: null })
+        .select('-embedding')
+        .lean();
+    const byId = new Map(events.map(event => [event._id.toString(), event]));
+    return {
+        events: bookmarks
+            .filter(bookmark => byId.has(bookmark.event_id.toString()))
+            .map(bookmark => ({ ...byId.get(bookmark.event_id.toString()), bookmark: toBookmarkView(bookmark) })),
+        total,
+        page: pageNumber,
+        limit: pageSize
+    };
+};
+
+module.exports = {
+    LIST_STATUSES,
+    isValidEventId,
+    toBookmarkView,
+    saveEvent,
+    unsaveEvent,
+    setRsvp,
+    listBookmarks,
+    deleteUserBookmarks
+};
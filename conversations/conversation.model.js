@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Chat conversations, stored server-side so the chat API only needs a
+ * conversation id and the new question.
+ *
+ * A conversation belongs to the anonymous session (X-Session-Id) that started it.
+ */
+
+// Oldest turns are dropped beyond this, which keeps documents well under the 16MB limit
+const MAX_TURNS = 200;
+
+const turnSchema = new mongoose.Schema({
+    role: { type: String, enum: ['user', 'ai'], required: true },
+    text: { type: String, default: '' },
+    at: { type: Date, default: Date.now },
+    // Events shown with an AI answer
+    source_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Event' }],
+    // Which intent produced an AI answer (ask_name, list_events, search, follow_up, ...)
+    intent: { type: String, default: null },
+    user_name: { type: String, default: null }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+    session_id: { type: String, required: true, index: true },
+    title: { type: String, trim: true, maxlength: 120, required: true },
+    // Name the user went by in this conversation (their profile holds the current one)
+    user_name: { type: String, default: null },
+    turns: [turnSchema],
+    turn_count: { type: Number, default: 0 },
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: Date.now },
+    last_message_at: { type: Date, default: Date.now }
+}, {
+    collection: 'conversations',
+    versionKey: false
+});
+
+conversationSchema.index({ session_id: 1, last_message_at: -1 });
+
+const Conversation = mongoose.models.Conversation || mongoose.model('Conversation', conversationSchema);
+
+module.exports = {
+    Conversation,
+    MAX_TURNS
+};
@@ -0,0 +1,76 @@
+const conversationsService = require('./conversations.service');
+
+const MAX_TITLE_LENGTH = 120;
+
+const handleError = (res, label, error) => {
+    console.error(`${label} Error:`, error);
+    res.status(500).json({
+        error: "An error occurred while processing the conversation request.",
+        details: error.message
+    });
+};
+
+/**
+ * GET /api/conversations
+ */
+const handleListConversations = async (req, res) => {
+    try {
+        res.json(await conversationsService.listConversations(req.sessionId, {
+            page: req.query.page,
+            limit: req.query.limit
+        }));
+    } catch (error) {
+        handleError(res, "Conversation List", error);
+    }
+};
+
+/**
+ * GET /api/conversations/:id
+ */
+const handleGetConversation = async (req, res) => {
+    try {
+        const conversation = await conversationsService.getConversation(req.params.id, req.sessionId);
+        if (!conversation) return res.status(404).json({ error: "Conversation not found." });
+        res.json({ conversation: conversationsService.toConversationView(conversation) });
+    } catch (error) {
+        handleError(res, "Conversation Get", error);
+    }
+};
+
+/**
+ * PATCH /api/conversations/:id
+ */
+const handleRenameConversation = async (req, res) => {
+    const title = typeof req.body?.title === 'string' ? req.body.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+        return res.status(400).json({ error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters.` });
+    }
+
+    try {
+        const conversation = await conversationsService.renameConversation(req.params.id, req.sessionId, title);
+        if (!conversation) return res.status(404).json({ error: "Conversation not found." });
+        res.json({ conversation });
+    } catch (error) {
+        handleError(res, "Conversation Rename", error);
+    }
+};
+
+/**
+ * DELETE /api/conversations/:id
+ */
+const handleDeleteConversation = async (req, res) => {
+    try {
+        const result = await conversationsService.deleteConversation(req.params.id, req.sessionId);
+        if (!result) return res.status(404).json({ error: "Conversation not found." });
+        res.json(result);
+    } catch (error) {
+        handleError(res, "Conversation Delete", error);
+    }
+};
+
+module.exports = {
+    handleListConversations,
+    handleGetConversation,
+    handleRenameConversation,
+    handleDeleteConversation
+};
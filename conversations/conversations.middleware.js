@@ -0,0 +1,29 @@
+const { isValidSessionId } = require('./conversations.service');
+
+/**
+ * Anonymous session id from the X-Session-Id header: an opaque random token
+ * (16-128 letters, digits, - or _) the client keeps, e.g. in localStorage.
+ * Returns undefined when missing and null when malformed.
+ */
+const readSessionId = (req) => {
+    const value = req.get('x-session-id');
+    if (value === undefined || value === '') return undefined;
+    return isValidSessionId(value) ? value : null;
+};
+
+/**
+ * Require a session id and attach it as req.sessionId
+ */
+const requireSession = (req, res, next) => {
+    const sessionId = readSessionId(req);
+    if (!sessionId) {
+        return res.status(400).json({ error: "A valid X-Session-Id header is required (16-128 letters, digits, - or _)." });
+    }
+    req.sessionId = sessionId;
+    next();
+};
+
+module.exports = {
+    readSessionId,
+    requireSession
+};
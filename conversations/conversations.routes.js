@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const conversationsController = require('./conversations.controller');
+const { requireSession } = require('./conversations.middleware');
+const { access } = require('../auth/auth.middleware');
+
+// Conversations are scoped to the anonymous session that started them
+router.use(access('public'), requireSession);
+
+/**
+ * @route   GET /api/conversations
+ * @desc    List this session's conversations, most recent first (?page=&limit=)
+ * @access  Session (X-Session-Id)
+ */
+router.get('/', conversationsController.handleListConversations);
+
+/**
+ * @route   GET /api/conversations/:id
+ * @desc    Get a conversation with its turns
+ * @access  Session (X-Session-Id)
+ */
+router.get('/:id', conversationsController.handleGetConversation);
+
+/**
+ * @route   PATCH /api/conversations/:id
+ * @desc    Rename a conversation (body: title)
+ * @access  Session (X-Session-Id)
+ */
+router.patch('/:id', conversationsController.handleRenameConversation);
+
+/**
+ * @route   DELETE /api/conversations/:id
+ * @desc    Delete a conversation and its turns
+ * @access  Session (X-Session-Id)
+ */
+router.delete('/:id', conversationsController.handleDeleteConversation);
+
+module.exports = router;
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Conversation, MAX_TURNS } = require('./conversation.model');
+
+const MAX_PAGE_SIZE = 100;
+// Earlier turns handed to the chat logic with a new question
+const HISTORY_TURNS = 20;
+const TITLE_LENGTH = 60;
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+const toObjectId = (id) => (mongoose.Types.ObjectId.isValid(id) && String(id).length === 24
+    ? new mongoose.Types.ObjectId(id)
+    : null);
+
+const isValidSessionId = (value) => typeof value === 'string' && SESSION_ID_PATTERN.test(value);
+
+const createSessionId = () => crypto.randomUUID();
+
+/**
+ * Default title: the first question, cut at a word boundary
+ */
+const buildTitle = (question) => {
+    const text = question.replace(/\s+/g, ' ').trim();
+    if (text.length <= TITLE_LENGTH) return text || 'New conversation';
+    const cut = text.lastIndexOf(' ', TITLE_LENGTH);
+    return `${text.substring(0, cut > TITLE_LENGTH / 2 ? cut : TITLE_LENGTH)}…`;
+};
+
+/**
+ * API view of a conversation; turns only when they were loaded
+ */
+const toConversationView = (conversation) => ({
+    id: conversation._id.toString(),
+    title: conversation.title,
+    user_name: conversation.user_name,
+    turn_count: conversation.turn_count,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+    last_message_at: conversation.last_message_at,
+    ...(conversation.turns ? {
+        turns: conversation.turns.map(turn => ({
+            role: turn.role,
+            text: turn.text,
+            at: turn.at,
+            source_ids: (turn.source_ids || []).map(id => id.toString()),
+            intent: turn.intent,
+            user_name: turn.user_name
+        }))
+    } : {})
+});
+
+/**
+ * A session's conversation, or null when it doesn't exist or belongs to another session
+ */
+const getConversation = async (id, sessionId) => {
+    const _id = toObjectId(id);
+    if (!_id || !isValidSessionId(sessionId)) return null;
+    return Conversation.findOne({ _id, session_id: sessionId }).lean();
+};
+
+/**
+ * A session's conversations, most recently active first (without turns)
+ */
+const listConversations = async (sessionId, { page = 1, limit = 20 } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const filter = { session_id: sessionId };
+
+    const [conversations, total] = await Promise.all([
+        Conversation.find(filter)
+            .select('-turns')
+            .sort({ last_message_at: -1, _id: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        Conversation.countDocuments(filter)
+    ]);
+
+    return { conversations: conversations.map(toConversationView), total, page: pageNumber, limit: pageSize };
+};
+
+const renameConversation = async (id, sessionId, title) => {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    const conversation = await Conversation.findOneAndUpdate(
+        { _id, session_id: sessionId },
+        { $set: { title, updated_at: new Date() } },
+        { new: true, runValidators: true, projection: { turns: 0 } }
+    ).lean();
+    return conversation ? toConversationView(conversation) : null;
+};
+
+const deleteConversation = async (id, sessionId) => {
+    const _id = toObjectId(id);
+    if (!_id) return null;
+    const { deletedCount } = await Conversation.deleteOne({ _id, session_id: sessionId });
+    return deletedCount > 0 ? { deleted: true, id } : null;
+};
+
+/**
+ * Delete every conversation of a session ("forget my data")
+ *
+ * @returns {Promise<number>} how many were deleted
+ */
+const deleteSessionConversations = async (sessionId) => {
+    if (!isValidSessionId(sessionId)) return 0;
+    const { deletedCount } = await Conversation.deleteMany({ session_id: sessionId });
+    return deletedCount;
+};
+
+/**
+ * A session's latest questions that found events, newest first: what the
+ * user has been looking for (see recommendations/)
+ *
+ * @returns {Promise<string[]>}
+ */
+const getRecentSearches = async (sessionId, limit = 10) => {
+    if (!isValidSessionId(sessionId)) return [];
+    const conversations = await Conversation.find({ session_id: sessionId })
+        .sort({ last_message_at: -1 })
+        .limit(5)
+        .select({ turns: { $slice: -HISTORY_TURNS } })
+        .lean();
+
+    const searches = [];
+    for (const { turns = [] } of conversations) {
+        turns.forEach((turn, index) => {
+            if (turn.role === 'user' && turns[index + 1]?.source_ids?.length > 0) searches.push(turn);
+        });
+    }
+    return searches
+        .sort((a, b) => new Date(b.at) - new Date(a.at))
+        .slice(0, limit)
+        .map(turn => turn.text);
+};
+
+/**
+ * Recent turns in the { role, content, sourceIds } shape getChatResponse expects
+ */
+const toChatHistory = (conversation) => (conversation?.turns || [])
+    .slice(-HISTORY_TURNS)
+    .map(turn => ({ role: turn.role, content: turn.text, sourceIds: turn.source_ids || [] }));
+
+/**
+ * Persist a question and its answer, starting a new conversation when there is none yet
+ *
+ * @param {Object} params
+ * @param {Object|null} params.conversation - from getConversation
+ * @param {string} params.sessionId
+ * @param {string} params.question
+ * @param {Object} params.result - from getChatResponse
+ * @param {Date} [params.askedAt]
+ * @returns {Promise<string>} the conversation id
+ */
+const recordExchange = async ({ conversation, sessionId, question, result, askedAt = new Date() }) => {
+    const newName = result.profileChanges?.displayName || null;
+    const userName = newName || conversation?.user_name || null;
+    const now = new Date();
+    const turns = [
+        { role: 'user', text: question, at: askedAt, user_name: userName },
+        {
+            role: 'ai',
+            text: result.answer || '',
+            at: now,
+            source_ids: (result.sources || []).map(event => event._id).filter(Boolean),
+            intent: result.intent || null,
+            user_name: userName
+        }
+    ];
+
+    if (!conversation) {
+        const created = await Conversation.create({
+            session_id: sessionId,
+            title: buildTitle(question),
+            user_name: userName,
+            turns,
+            turn_count: turns.length,
+            created_at: askedAt,
+            updated_at: now,
+            last_message_at: now
+        });
+        return created._id.toString();
+    }
+
+    await Conversation.updateOne({ _id: conversation._id }, {
+        $push: { turns: { $each: turns, $slice: -MAX_TURNS } },
+        $inc: { turn_count: turns.length },
+        $set: { updated_at: now, last_message_at: now, ...(newName ? { user_name: newName } : {}) }
+    });
+    return conversation._id.toString();
+};
+
+module.exports = {
+    isValidSessionId,
+    createSessionId,
+    getConversation,
+    listConversations,
+    renameConversation,
+    deleteConversation,
+    deleteSessionConversations,
+    getRecentSearches,
+    toConversationView,
+    toChatHistory,
+    recordExchange
+};
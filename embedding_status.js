@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { getEmbeddingReport } = require('./ai-retrieval/ai.embeddings');
+
+/**
+ * Report how many events have current, missing or mismatched embeddings.
+ * Run add_embeddings.js to fix the stale ones.
+ *
+ * Usage:
+ *   node embedding_status.js
+ */
+async function embeddingStatus() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB Atlas');
+
+        const report = await getEmbeddingReport();
+
+        console.log(`\nConfigured model: ${report.config.provider}/${report.config.model} (${report.config.dimensions || 'unknown'} dimensions)`);
+        console.log(`\nEvents: ${report.total}, needing (re-)embedding: ${report.stale}`);
+        Object.entries(report.counts).forEach(([status, count]) => console.log(`  ${status}: ${count}`));
+
+        console.log('\nStored vectors by model:');
+        Object.entries(report.models).forEach(([model, count]) => console.log(`  ${model}: ${count}`));
+
+    } catch (error) {
+        console.error('Error:', error.message);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+embeddingStatus();
@@ -0,0 +1,118 @@
+const { Event, EVENT_SCHEMA_VERSION } = require('./event.model');
+const { normalizeEventDates } = require('../ai-retrieval/ai.dates');
+const { calculateEventQuality } = require('../ai-retrieval/ai.service');
+const { classifyCategory, normalizePriceType } = require('./events.categories');
+
+/**
+ * Ordered schema migrations for event documents. Each `up` receives the raw
+ * document and returns the `$set` / `$unset` needed to bring it to `version`.
+ * Documents without a schema_version are treated as version 0.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize legacy OCR documents: event_details object, raw_ocr blocks, place -> location, normalized dates, quality score',
+        up: (doc) => {
+            const $set = {};
+            const details = { ...(doc.event_details || {}) };
+
+            // Some early records used `place` instead of `location`
+            if (details.place && (!details.location || details.location === 'N/A')) {
+                details.location = details.place;
+            }
+            delete details.place;
+            $set.event_details = details;
+
+            // raw_ocr used to be stored as one string
+            if (typeof doc.raw_ocr === 'string') {
+                $set.raw_ocr = doc.raw_ocr.split(/\n+/).filter(Boolean).map(text => ({ text }));
+            }
+
+            const normalized = { ...doc, event_details: details };
+            if (!doc.date_normalized_at) {
+                Object.assign($set, normalizeEventDates(normalized));
+            }
+            if (typeof doc.quality_score !== 'number') {
+                $set.quality_score = calculateEventQuality(normalized);
+            }
+            if (doc.deleted_at === undefined) $set.deleted_at = null;
+            if (doc.archived_at === undefined) $set.archived_at = null;
+
+            return { $set };
+        }
+    },
+    {
+        version: 2,
+        description: 'Derive category and price_type for search filters and facets',
+        up: (doc) => ({
+            $set: {
+                category: classifyCategory(doc),
+                price_type: normalizePriceType(doc)
+            }
+        })
+    }
+];
+
+/**
+ * Build the update that brings one document up to the current schema version
+ */
+const buildMigrationUpdate = (doc) => {
+    const fromVersion = doc.schema_version || 0;
+    const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+    if (pending.length === 0) return null;
+
+    let working = { ...doc };
+    const $set = {};
+    const $unset = {};
+    for (const migration of pending) {
+        const result = migration.up(working);
+        Object.assign($set, result.$set);
+        Object.assign($unset, result.$unset || {});
+        working = { ...working, ...result.$set };
+    }
+    $set.schema_version = EVENT_SCHEMA_VERSION;
+
+    const update = { $set };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    return update;
+};
+
+/**
+ * Upgrade every event below the current schema version.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - count only
+ * @returns {Promise<{ pending: number, migrated: number }>}
+ */
+const migrateEvents = async ({ dryRun = false } = {}) => {
+    const query = { $or: [{ schema_version: { $exists: false } }, { schema_version: { $lt: EVENT_SCHEMA_VERSION } }] };
+    const pending = await Event.countDocuments(query);
+    if (dryRun || pending === 0) return { pending, migrated: 0 };
+
+    let migrated = 0;
+    let operations = [];
+    const cursor = Event.find(query).select('-embedding').lean().cursor();
+
+    for await (const doc of cursor) {
+        const update = buildMigrationUpdate(doc);
+        if (!update) continue;
+        operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+        if (operations.length === 100) {
+            await Event.bulkWrite(operations);
+            migrated += operations.length;
+            operations = [];
+        }
+    }
+    if (operations.length > 0) {
+        await Event.bulkWrite(operations);
+        migrated += operations.length;
+    }
+
+    return { pending, migrated };
+};
+
+module.exports = {
+    MIGRATIONS,
+    buildMigrationUpdate,
+    migrateEvents
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { DATE_CONFIG } = require('../ai-retrieval/ai.dates');
+const { CATEGORIES, PRICE_TYPES } = require('./events.categories');
+
+/**
+ * Event model for the `events` collection.
+ *
+ * Bump EVENT_SCHEMA_VERSION together with a new entry in event.migrations.js
+ * whenever the stored shape changes.
+ */
+const EVENT_SCHEMA_VERSION = 2;
+
+// Full-text index used by /api/ai/search (see ai-retrieval/ai.textSearch.js)
+const TEXT_INDEX_NAME = 'event_text_index';
+
+const isNotApplicable = (value) => value === undefined || value === null || value === 'N/A';
+
+const eventDetailsSchema = new mongoose.Schema({
+    event_name: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        validate: {
+            validator: (value) => isNotApplicable(value) || value.length >= 2,
+            message: 'event_name is too short.'
+        }
+    },
+    organizer: { type: String, trim: true, maxlength: 200 },
+    event_date: { type: String, trim: true, maxlength: 120 },
+    event_time: { type: String, trim: true, maxlength: 120 },
+    location: { type: String, trim: true, maxlength: 300 },
+    entry_type: { type: String, trim: true, maxlength: 120 },
+    website: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        validate: {
+            validator: (value) => isNotApplicable(value) || /^(https?:\/\/)?[^\s/]+\.[^\s]+$/i.test(value),
+            message: 'website must be a URL.'
+        }
+    }
+}, { _id: false });
+
+const eventSchema = new mongoose.Schema({
+    event_details: { type: eventDetailsSchema, default: () => ({}) },
+    full_text: { type: String, default: '' },
+    // OCR blocks as produced by the poster pipeline ({ text, ...bounding info })
+    raw_ocr: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    embedding: { type: [Number], default: undefined },
+    // Which model produced `embedding`, from what text (see ai-retrieval/ai.embeddings.js)
+    embedding_meta: {
+        type: new mongoose.Schema({
+            provider: String,
+            model: String,
+            dimensions: Number,
+            source_hash: String,
+            embedded_at: Date
+        }, { _id: false }),
+        default: undefined
+    },
+
+    // Normalized schedule (see ai-retrieval/ai.dates.js)
+    starts_at: { type: Date, default: null },
+    ends_at: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function (value) {
+                const startsAt = typeof this.get === 'function' ? this.get('starts_at') : null;
+                return !value || !startsAt || value >= startsAt;
+            },
+            message: 'ends_at must not be before starts_at.'
+        }
+    },
+    all_day: { type: Boolean, default: false },
+    date_confidence: { type: String, enum: ['high', 'medium', 'low', 'none'], default: 'none' },
+    date_normalized_at: Date,
+
+    quality_score: { type: Number, min: 0, max: 100 },
+
+    // Filter/facet fields derived from event_details (see events.categories.js)
+    category: { type: String, enum: CATEGORIES },
+    price_type: { type: String, enum: PRICE_TYPES },
+
+    // How many users saved the event or RSVP'd (kept by bookmarks/bookmarks.service.js)
+    interest: {
+        saved: { type: Number, default: 0 },
+        interested: { type: Number, default: 0 },
+        going: { type: Number, default: 0 }
+    },
+
+    source: { type: String, trim: true },
+    created_at: Date,
+    updated_at: Date,
+    updated_by: String,
+
+    // Lifecycle (see ai-retrieval/ai.archive.js and admin/)
+    archived_at: { type: Date, default: null },
+    archive_reason: String,
+    deleted_at: { type: Date, default: null },
+    deleted_by: String,
+    delete_reason: String,
+
+    schema_version: { type: Number, default: EVENT_SCHEMA_VERSION }
+}, {
+    collection: 'events',
+    versionKey: false,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Retrieval filters on the normalized dates and lifecycle flags
+eventSchema.index({ starts_at: 1, ends_at: 1 });
+eventSchema.index({ deleted_at: 1, archived_at: 1, ends_at: 1 });
+eventSchema.index({ 'event_details.event_name': 1 });
+eventSchema.index({ schema_version: 1 });
+eventSchema.index({ category: 1, starts_at: 1 });
+eventSchema.index({ price_type: 1, starts_at: 1 });
+eventSchema.index({
+    'event_details.event_name': 'text',
+    'event_details.location': 'text',
+    'event_details.organizer': 'text',
+    full_text: 'text'
+}, {
+    name: TEXT_INDEX_NAME,
+    default_language: 'english',
+    weights: {
+        'event_details.event_name': 10,
+        'event_details.location': 5,
+        'event_details.organizer': 3,
+        full_text: 1
+    }
+});
+
+const clean = (value) => (isNotApplicable(value) || String(value).trim() === '' ? null : value);
+
+const formatInZone = (date, options) => new Intl.DateTimeFormat('en-US', { timeZone: DATE_CONFIG.timezone, ...options }).format(date);
+
+/**
+ * Display helpers - fall back to the raw poster strings when nothing was normalized
+ */
+eventSchema.virtual('display_name').get(function () {
+    return clean(this.event_details?.event_name) || 'Untitled event';
+});
+
+eventSchema.virtual('display_date').get(function () {
+    if (!this.starts_at) return clean(this.event_details?.event_date);
+    const dateOptions = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+    const start = formatInZone(this.starts_at, dateOptions);
+    const end = this.ends_at ? formatInZone(this.ends_at, dateOptions) : start;
+    return start === end ? start : `${start} – ${end}`;
+});
+
+eventSchema.virtual('display_time').get(function () {
+    if (!this.starts_at || this.all_day) return clean(this.event_details?.event_time);
+    return formatInZone(this.starts_at, { hour: 'numeric', minute: '2-digit' });
+});
+
+eventSchema.virtual('display_location').get(function () {
+    return clean(this.event_details?.location);
+});
+
+eventSchema.virtual('is_past').get(function () {
+    return Boolean(this.ends_at && this.ends_at < new Date());
+});
+
+const Event = mongoose.models.Event || mongoose.model('Event', eventSchema);
+
+module.exports = {
+    Event,
+    EVENT_SCHEMA_VERSION,
+    TEXT_INDEX_NAME
+};
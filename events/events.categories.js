@@ -0,0 +1,93 @@
+/**
+ * Derived classification fields used for filtering and facets:
+ *   - category:   coarse event type, guessed from the name and poster text
+ *   - price_type: 'free' | 'paid' | 'unknown', from entry_type (or the poster text)
+ */
+
+// Checked in order; on a tie the earlier category wins
+const CATEGORY_KEYWORDS = {
+    music: ['concert', 'music', 'gig', 'band', 'dj', 'jazz', 'rock', 'orchestra', 'singer', 'karaoke', 'edm', 'symphony', 'unplugged', 'live music'],
+    comedy: ['comedy', 'stand-up', 'standup', 'stand up', 'comic', 'improv', 'roast'],
+    theatre: ['theatre', 'theater', 'play', 'drama', 'musical', 'natak'],
+    dance: ['dance', 'salsa', 'ballet', 'bhangra', 'garba', 'dandiya', 'hip hop'],
+    art: ['art', 'exhibition', 'gallery', 'painting', 'photography', 'sculpture', 'craft'],
+    workshop: ['workshop', 'masterclass', 'class', 'bootcamp', 'training', 'course', 'seminar'],
+    tech: ['hackathon', 'tech', 'developer', 'startup', 'coding', 'conference', 'summit', 'ai'],
+    sports: ['marathon', 'run', 'cricket', 'football', 'tournament', 'fitness', 'cycling', 'yoga', 'match'],
+    food: ['food', 'culinary', 'brunch', 'tasting', 'wine', 'beer', 'dinner', 'cooking', 'bake'],
+    festival: ['festival', 'fest', 'carnival', 'mela', 'fair', 'celebration'],
+    networking: ['networking', 'meetup', 'mixer', 'community']
+};
+
+const CATEGORIES = [...Object.keys(CATEGORY_KEYWORDS), 'other'];
+
+const PRICE_TYPES = ['free', 'paid', 'unknown'];
+
+const KEYWORD_PATTERNS = Object.fromEntries(Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => [
+    category,
+    keywords.map(keyword => new RegExp(`\\b${keyword.replace(/[-\s]/g, '[-\\s]?')}s?\\b`, 'i'))
+]));
+
+const FREE_PATTERN = /\bfree\b|\bno\s+(entry\s+)?(fee|charge|cover)\b/i;
+const PAID_PATTERN = /₹|\brs\.?\s*\d|\binr\b|\bpaid\b|\btickets?\b|\bprice\b|\bentry\s+fee\b|\$\s*\d/i;
+
+const present = (value) => (value && value !== 'N/A' ? String(value) : '');
+
+/**
+ * Best-matching category for an event; hits in the name count more than in the poster text
+ */
+const classifyCategory = (event) => {
+    const name = present(event.event_details?.event_name);
+    const text = [present(event.event_details?.organizer), present(event.event_details?.location), event.full_text || ''].join(' ');
+
+    let best = { category: 'other', score: 0 };
+    for (const [category, patterns] of Object.entries(KEYWORD_PATTERNS)) {
+        const score = patterns.reduce((total, pattern) => total + (pattern.test(name) ? 3 : 0) + (pattern.test(text) ? 1 : 0), 0);
+        if (score > best.score) best = { category, score };
+    }
+    return best.category;
+};
+
+/**
+ * Free vs paid from entry_type, falling back to the poster text
+ */
+const normalizePriceType = (event) => {
+    const entryType = present(event.event_details?.entry_type);
+    if (FREE_PATTERN.test(entryType)) return 'free';
+    if (PAID_PATTERN.test(entryType) || /\d/.test(entryType)) return 'paid';
+
+    const text = event.full_text || '';
+    if (FREE_PATTERN.test(text)) return 'free';
+    if (PAID_PATTERN.test(text)) return 'paid';
+    return 'unknown';
+};
+
+/**
+ * Map user input ("Free", "free entry", "paid") to a stored price_type
+ */
+const parsePriceType = (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (PRICE_TYPES.includes(text)) return text;
+    if (FREE_PATTERN.test(text)) return 'free';
+    if (PAID_PATTERN.test(text)) return 'paid';
+    return null;
+};
+
+/**
+ * Map user input ("Comedy", "stand-up", "concerts") to a stored category
+ */
+const parseCategory = (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (CATEGORIES.includes(text)) return text;
+    return Object.keys(KEYWORD_PATTERNS).find(category => KEYWORD_PATTERNS[category].some(pattern => pattern.test(text))) || null;
+};
+
+module.exports = {
+    CATEGORIES,
+    CATEGORY_KEYWORDS,
+    PRICE_TYPES,
+    classifyCategory,
+    normalizePriceType,
+    parsePriceType,
+    parseCategory
+};
@@ -0,0 +1,126 @@
+const eventsService = require('./events.service');
+const { normalizeSearchFilters, searchEvents } = require('./events.filters');
+const { parseFieldsParam, serializeEvents, toEventCard } = require('./events.serializer');
+const { findSimilarEvents } = require('./events.similar');
+
+/**
+ * Strip the embedding vector from API responses (it's ~1536 floats)
+ */
+const withoutEmbedding = (event) => {
+    if (!event) return event;
+    const { embedding, ...rest } = event;
+    return { ...rest, has_embedding: Array.isArray(embedding) && embedding.length > 0 };
+};
+
+/**
+ * Handle Event Ingestion Route
+ */
+const handleCreateEvent = async (req, res) => {
+    const { event_details, raw_ocr, full_text } = req.body;
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+
+    // 1. Validate Input
+    if (event_details !== undefined && (typeof event_details !== 'object' || Array.isArray(event_details) || event_details === null)) {
+        return res.status(400).json({ error: "event_details must be an object." });
+    }
+    if (raw_ocr !== undefined && !Array.isArray(raw_ocr)) {
+        return res.status(400).json({ error: "raw_ocr must be an array of OCR blocks." });
+    }
+    if (full_text !== undefined && typeof full_text !== 'string') {
+        return res.status(400).json({ error: "full_text must be a string." });
+    }
+    if (!event_details && !(raw_ocr && raw_ocr.length > 0) && !(full_text && full_text.trim())) {
+        return res.status(400).json({ error: "Please provide event_details or poster OCR (raw_ocr / full_text)." });
+    }
+
+    try {
+        // 2. Extract, normalize and (unless dry run) store
+        const result = await eventsService.ingestEvent({ event_details, raw_ocr, full_text }, { dryRun });
+
+        if (result.errors.length > 0) {
+            return res.status(422).json({
+                error: "Event failed validation.",
+                details: result.errors,
+                extraction: result.extraction
+            });
+        }
+
+        // 3. Return the stored (or previewed) document
+        res.status(dryRun ? 200 : 201).json({
+            dryRun: result.dryRun,
+            extraction: result.extraction,
+            event: withoutEmbedding(result.event)
+        });
+    } catch (error) {
+        console.error("Event Ingestion Controller Error:", error);
+        res.status(500).json({
+            error: "An error occurred while ingesting the event.",
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Handle Event Search Route (structured filters, facets, cursor pagination)
+ */
+const handleSearchEvents = async (req, res) => {
+    const body = req.body || {};
+
+    // 1. Validate and normalize filters
+    const { value: filters, errors: filterErrors } = normalizeSearchFilters(body);
+    const { fields, errors: fieldErrors } = parseFieldsParam(body.fields);
+    const errors = [...filterErrors, ...fieldErrors];
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid search request.", details: errors });
+    }
+
+    try {
+        // 2. Search with facet counts (skip them with facets: false)
+        const result = await searchEvents(filters, { facets: body.facets !== false });
+
+        res.json({
+            ...result,
+            events: serializeEvents(result.events, { query: body.query, fields })
+        });
+    } catch (error) {
+        console.error("Event Search Controller Error:", error);
+        res.status(500).json({
+            error: "An error occurred while searching events.",
+            details: error.message
+        });
+    }
+};
+
+/**
+ * Handle Similar Events Route (nearest upcoming events by embedding)
+ */
+const handleGetSimilarEvents = async (req, res) => {
+    const { fields, errors: fieldErrors } = parseFieldsParam(req.query.fields);
+    if (fieldErrors.length > 0) {
+        return res.status(400).json({ error: "Invalid fields.", details: fieldErrors });
+    }
+
+    try {
+        const result = await findSimilarEvents(req.params.id, { limit: req.query.limit });
+        if (!result) return res.status(404).json({ error: "Event not found." });
+
+        res.json({
+            event: toEventCard(result.event, { fields }),
+            events: serializeEvents(result.events, { fields }),
+            // false: the event has no embedding yet (see add_embeddings.js), so nothing to compare
+            embedded: result.embedded
+        });
+    } catch (error) {
+        console.error("Similar Events Controller Error:", error);
+        res.status(500).json({
+            error: "An error occurred while finding similar events.",
+            details: error.message
+        });
+    }
+};
+
+module.exports = {
+    handleCreateEvent,
+    handleSearchEvents,
+    handleGetSimilarEvents
+};
@@ -0,0 +1,374 @@
+const mongoose = require('mongoose');
+const { Event } = require('./event.model');
+const { CATEGORIES, parseCategory, parsePriceType } = require('./events.categories');
+const { buildDateRangeFilter } = require('../ai-retrieval/ai.dates');
+const { parseTemporalExpression } = require('../ai-retrieval/ai.temporal');
+const { buildVisibleFilter, buildUpcomingFilter } = require('../ai-retrieval/ai.archive');
+const { parseSearchQuery, hasSearchTerms, buildTextSearchString, buildRegexSearchFilter } = require('../ai-retrieval/ai.textSearch');
+const { combineFilters, escapeRegex } = require('../ai-retrieval/ai.utils');
+
+/**
+ * Structured event filtering shared by POST /api/events/search and the chat:
+ * filters -> Mongo query, facet counts per filter, sort options and
+ * cursor (keyset) pagination.
+ */
+
+const FILTER_CONFIG = {
+    defaultLimit: 20,
+    maxLimit: 100,
+    maxValues: 10,       // values per multi-value filter
+    facetSize: 15        // top values returned for location / organizer
+};
+
+// Filters with their own facet; each facet counts with every *other* filter applied
+const FACET_KEYS = ['date', 'category', 'entryType', 'location', 'organizer'];
+
+const DATE_BUCKETS = [
+    { value: 'today', phrase: 'today', label: 'Today' },
+    { value: 'this_weekend', phrase: 'this weekend', label: 'This weekend' },
+    { value: 'this_week', phrase: 'this week', label: 'This week' },
+    { value: 'this_month', phrase: 'this month', label: 'This month' }
+];
+
+const UNDATED = { $cond: [{ $ifNull: ['$starts_at', false] }, 0, 1] };
+
+/**
+ * Sort options. Each key is computed into `_sort_<i>` before paging; `_id` breaks ties.
+ * Keys must never be null except `starts_at` on undated events, where the
+ * preceding undated flag already makes them equal.
+ */
+const SORTS = {
+    date: { keys: [{ expr: UNDATED, dir: 1 }, { expr: '$starts_at', dir: 1 }], idDir: 1 },
+    date_desc: { keys: [{ expr: UNDATED, dir: 1 }, { expr: '$starts_at', dir: -1 }], idDir: -1 },
+    newest: { keys: [], idDir: -1 },
+    quality: { keys: [{ expr: { $ifNull: ['$quality_score', 0] }, dir: -1 }], idDir: -1 },
+    relevance: { keys: [{ expr: { $meta: 'textScore' }, dir: -1 }], idDir: -1, needsQuery: true }
+};
+
+const SORT_NAMES = Object.keys(SORTS);
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && item !== '');
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validate and normalize search input (from the API or extracted from a question)
+ *
+ * @param {Object} input - { query, dateFrom, dateTo, location, organizer, entryType, category, includePast, sort, limit, cursor }
+ * @returns {{ value: Object, errors: string[] }}
+ */
+const normalizeSearchFilters = (input = {}) => {
+    const errors = [];
+    const value = {};
+
+    if (input.query !== undefined && input.query !== null && input.query !== '') {
+        if (typeof input.query !== 'string') {
+            errors.push('query must be a string.');
+        } else {
+            const parsed = parseSearchQuery(input.query);
+            if (!hasSearchTerms(parsed)) errors.push('query must contain at least one word or "phrase" to search for.');
+            else value.query = parsed;
+        }
+    }
+
+    for (const field of ['dateFrom', 'dateTo']) {
+        if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+        const date = input[field] instanceof Date ? input[field] : parseDate(input[field]);
+        if (!date) errors.push(`${field} must be a valid ISO date.`);
+        else value[field] = date;
+    }
+    if (value.dateFrom && value.dateTo && value.dateFrom > value.dateTo) {
+        errors.push('dateFrom must not be after dateTo.');
+    }
+
+    for (const field of ['location', 'organizer']) {
+        const values = toList(input[field]);
+        if (values.length === 0) continue;
+        if (values.some(item => typeof item !== 'string' || item.trim().length === 0 || item.length > 100)) {
+            errors.push(`${field} must be a string or an array of strings (max 100 characters each).`);
+        } else {
+            value[field] = [...new Set(values.map(item => item.trim()))].slice(0, FILTER_CONFIG.maxValues);
+        }
+    }
+
+    const entryTypes = toList(input.entryType);
+    if (entryTypes.length > 0) {
+        const parsed = entryTypes.map(parsePriceType);
+        if (parsed.some(item => !item)) errors.push('entryType must be "free" or "paid".');
+        else value.entryType = [...new Set(parsed)];
+    }
+
+    const categories = toList(input.category);
+    if (categories.length > 0) {
+        const parsed = categories.map(parseCategory);
+        if (parsed.some(item => !item)) errors.push(`category must be one of: ${CATEGORIES.join(', ')}.`);
+        else value.category = [...new Set(parsed)];
+    }
+
+    if (input.includePast !== undefined) {
+        if (typeof input.includePast !== 'boolean') errors.push('includePast must be a boolean.');
+        else value.includePast = input.includePast;
+    }
+
+    const sort = input.sort || (value.query ? 'relevance' : 'date');
+    if (!SORT_NAMES.includes(sort)) errors.push(`sort must be one of: ${SORT_NAMES.join(', ')}.`);
+    else if (SORTS[sort].needsQuery && !value.query) errors.push('sort "relevance" needs a query.');
+    else value.sort = sort;
+
+    if (input.limit !== undefined) {
+        const limit = Number(input.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > FILTER_CONFIG.maxLimit) {
+            errors.push(`limit must be an integer between 1 and ${FILTER_CONFIG.maxLimit}.`);
+        } else {
+            value.limit = limit;
+        }
+    }
+
+    if (input.cursor !== undefined && input.cursor !== null && input.cursor !== '') {
+        const cursor = decodeCursor(input.cursor);
+        if (!cursor || cursor.sort !== value.sort) errors.push('cursor is invalid or belongs to a different sort.');
+        else value.cursor = cursor;
+    }
+
+    return { value, errors };
+};
+
+/**
+ * Mongo filter for each filter key (empty object when the filter isn't set)
+ */
+const buildFilterParts = (filters) => {
+    const anyOf = (field, values) => ({ $or: values.map(item => ({ [field]: new RegExp(escapeRegex(item), 'i') })) });
+    return {
+        date: buildDateRangeFilter({ from: filters.dateFrom, to: filters.dateTo }),
+        category: filters.category ? { category: { $in: filters.category } } : {},
+        entryType: filters.entryType ? { price_type: { $in: filters.entryType } } : {},
+        location: filters.location ? anyOf('event_details.location', filters.location) : {},
+        organizer: filters.organizer ? anyOf('event_details.organizer', filters.organizer) : {}
+    };
+};
+
+/**
+ * Are past events part of the results? Explicitly requested, or implied by a window that already ended.
+ */
+const includesPast = (filters, now = new Date()) =>
+    filters.includePast === true || Boolean(filters.dateTo && filters.dateTo < now);
+
+/**
+ * Full Mongo filter for normalized filters (text query not included)
+ *
+ * @param {Object} filters - output of normalizeSearchFilters
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.exclude] - facet key to leave out
+ */
+const buildFilterQuery = (filters, { now = new Date(), exclude } = {}) => {
+    const parts = buildFilterParts(filters);
+    return combineFilters(
+        buildVisibleFilter(),
+        includesPast(filters, now) ? {} : buildUpcomingFilter(now),
+        ...FACET_KEYS.filter(key => key !== exclude).map(key => parts[key])
+    );
+};
+
+/**
+ * Opaque pagination cursor: the sort keys of the last event on the page
+ */
+const encodeCursor = (sort, values) => Buffer.from(JSON.stringify({
+    sort,
+    values: values.map(item => {
+        if (item instanceof Date) return { $date: item.toISOString() };
+        if (item instanceof mongoose.Types.ObjectId) return { $oid: item.toString() };
+        return item;
+    })
+})).toString('base64url');
+
+function decodeCursor(cursor) {
+    try {
+        const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!SORT_NAMES.includes(parsed.sort) || !Array.isArray(parsed.values)) return null;
+        const values = parsed.values.map(item => {
+            if (item && item.$date) return new Date(item.$date);
+            if (item && item.$oid) return new mongoose.Types.ObjectId(item.$oid);
+            return item;
+        });
+        if (values.length !== SORTS[parsed.sort].keys.length + 1) return null;
+        return { sort: parsed.sort, values };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Keyset condition: events strictly after the cursor in sort order
+ */
+const buildCursorMatch = (sort, values) => {
+    const keys = [
+        ...SORTS[sort].keys.map((key, index) => ({ field: `_sort_${index}`, dir: key.dir })),
+        { field: '_id', dir: SORTS[sort].idDir }
+    ];
+    const conditions = [];
+    keys.forEach((key, index) => {
+        if (values[index] === null) return; // nothing sorts after an undated start within the same bucket
+        const condition = {};
+        keys.slice(0, index).forEach((previous, i) => { condition[previous.field] = values[i]; });
+        condition[key.field] = { [key.dir === 1 ? '$gt' : '$lt']: values[index] };
+        conditions.push(condition);
+    });
+    return conditions.length > 0 ? { $or: conditions } : {};
+};
+
+const countBy = (field, limit) => [
+    { $match: { [field]: { $nin: [null, '', 'N/A'] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    ...(limit ? [{ $limit: limit }] : []),
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+const buildDateBucketStages = (now) => {
+    const windows = DATE_BUCKETS.map(bucket => ({ ...bucket, window: parseTemporalExpression(bucket.phrase, { now }) }));
+    const monthEnd = windows.find(bucket => bucket.value === 'this_month').window.to;
+    const overlaps = (window) => ({
+        $cond: [{ $and: [{ $lte: ['$starts_at', window.to] }, { $gte: [{ $ifNull: ['$ends_at', '$starts_at'] }, window.from] }] }, 1, 0]
+    });
+
+    return {
+        stages: [{
+            $group: {
+                _id: null,
+                ...Object.fromEntries(windows.map(bucket => [bucket.value, { $sum: { $cond: [{ $ifNull: ['$starts_at', false] }, overlaps(bucket.window), 0] } }])),
+                later: { $sum: { $cond: [{ $gt: ['$starts_at', monthEnd] }, 1, 0] } },
+                undated: { $sum: { $cond: [{ $ifNull: ['$starts_at', false] }, 0, 1] } }
+            }
+        }],
+        format: ([counts = {}]) => [
+            ...windows.map(bucket => ({
+                value: bucket.value,
+                label: bucket.label,
+                from: bucket.window.from,
+                to: bucket.window.to,
+                count: counts[bucket.value] || 0
+            })),
+            { value: 'later', label: 'Later', from: monthEnd, to: null, count: counts.later || 0 },
+            { value: 'undated', label: 'Date not known', from: null, to: null, count: counts.undated || 0 }
+        ]
+    };
+};
+
+const buildPipeline = (filters, { now, textMatch, withFacets }) => {
+    const sort = SORTS[filters.sort];
+    const limit = filters.limit || FILTER_CONFIG.defaultLimit;
+    const parts = buildFilterParts(filters);
+    const facetMatch = (exclude) => ({
+        $match: combineFilters(...FACET_KEYS.filter(key => key !== exclude).map(key => parts[key]))
+    });
+    const dateBuckets = buildDateBucketStages(now);
+
+    const pipeline = [
+        // $text has to be the first stage; the filters shared by every facet go with it
+        {
+            $match: combineFilters(
+                textMatch,
+                buildVisibleFilter(),
+                includesPast(filters, now) ? {} : buildUpcomingFilter(now)
+            )
+        },
+        { $addFields: Object.fromEntries(sort.keys.map((key, index) => [`_sort_${index}`, key.expr])) },
+        { $project: { embedding: 0 } }
+    ];
+    if (sort.keys.length === 0) pipeline.splice(1, 1);
+
+    const facets = {
+        events: [
+            facetMatch(),
+            ...(filters.cursor ? [{ $match: buildCursorMatch(filters.sort, filters.cursor.values) }] : []),
+            { $sort: { ...Object.fromEntries(sort.keys.map((key, index) => [`_sort_${index}`, key.dir])), _id: sort.idDir } },
+            { $limit: limit + 1 }
+        ],
+        total: [facetMatch(), { $count: 'count' }]
+    };
+    if (withFacets) {
+        facets.category = [facetMatch('category'), ...countBy('category')];
+        facets.entryType = [facetMatch('entryType'), ...countBy('price_type')];
+        facets.location = [facetMatch('location'), ...countBy('event_details.location', FILTER_CONFIG.facetSize)];
+        facets.organizer = [facetMatch('organizer'), ...countBy('event_details.organizer', FILTER_CONFIG.facetSize)];
+        facets.date = [facetMatch('date'), ...dateBuckets.stages];
+    }
+
+    pipeline.push({ $facet: facets });
+    return { pipeline, limit, formatDateFacet: dateBuckets.format };
+};
+
+const isMissingTextIndex = (error) => error.code === 27 || /text index required/i.test(error.message || '');
+
+/**
+ * Filtered, sorted, paginated event search with facet counts.
+ *
+ * @param {Object} filters - output of normalizeSearchFilters
+ * @param {Object} [options]
+ * @param {boolean} [options.facets=true] - also compute facet counts
+ * @param {Date} [options.now]
+ * @returns {Promise<{ events: Object[], total: number, facets?: Object, nextCursor: string|null, sort: string, limit: number }>}
+ */
+const searchEvents = async (filters, { facets: withFacets = true, now = new Date() } = {}) => {
+    const run = async (textMatch) => {
+        const { pipeline, limit, formatDateFacet } = buildPipeline(filters, { now, textMatch, withFacets });
+        const [result] = await Event.aggregate(pipeline);
+        return { result, limit, formatDateFacet };
+    };
+
+    let response;
+    if (!filters.query) {
+        response = await run({});
+    } else {
+        try {
+            response = await run({ $text: { $search: buildTextSearchString(filters.query) } });
+        } catch (error) {
+            if (!isMissingTextIndex(error) || filters.sort === 'relevance') throw error;
+            response = await run(buildRegexSearchFilter(filters.query));
+        }
+    }
+
+    const { result, limit, formatDateFacet } = response;
+    const sortKeyCount = SORTS[filters.sort].keys.length;
+    const hasMore = result.events.length > limit;
+    const page = result.events.slice(0, limit);
+    const last = page[page.length - 1];
+
+    const events = page.map(event => {
+        const cleaned = { ...event };
+        for (let i = 0; i < sortKeyCount; i++) delete cleaned[`_sort_${i}`];
+        return cleaned;
+    });
+
+    return {
+        events,
+        total: result.total[0]?.count || 0,
+        ...(withFacets ? {
+            facets: {
+                date: formatDateFacet(result.date),
+                category: result.category,
+                entryType: result.entryType,
+                location: result.location,
+                organizer: result.organizer
+            }
+        } : {}),
+        nextCursor: hasMore && last
+            ? encodeCursor(filters.sort, [...Array.from({ length: sortKeyCount }, (_, i) => last[`_sort_${i}`] ?? null), last._id])
+            : null,
+        sort: filters.sort,
+        limit
+    };
+};
+
+module.exports = {
+    FILTER_CONFIG,
+    SORT_NAMES,
+    normalizeSearchFilters,
+    buildFilterQuery,
+    includesPast,
+    searchEvents
+};
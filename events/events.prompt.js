@@ -0,0 +1,29 @@
+/**
+ * Prompt templates for event ingestion
+ */
+
+const EXTRACTION_PROMPT = `
+You extract structured event details from the OCR text of an event poster.
+
+Return ONLY a JSON object (no markdown, no commentary) with exactly these keys:
+{
+  "event_name": "...",
+  "organizer": "...",
+  "event_date": "...",
+  "event_time": "...",
+  "location": "...",
+  "entry_type": "...",
+  "website": "..."
+}
+
+Rules:
+- Copy dates and times as they appear on the poster (e.g. "25th & 26th January 2026", "6 PM onwards"). Do not invent a year.
+- "entry_type" is "Free" for free entry, otherwise the price or ticket info as written (e.g. "Paid - Rs. 499").
+- "location" is the venue and area/city if present.
+- Use "N/A" for anything that is not on the poster. Never guess.
+- OCR text can be noisy or out of order; fix obvious OCR spacing mistakes but keep names as written.
+`;
+
+module.exports = {
+  EXTRACTION_PROMPT
+};
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const eventsController = require('./events.controller');
+const { access } = require('../auth/auth.middleware');
+
+/**
+ * @route   POST /api/events
+ * @desc    Ingest an event from structured event_details or raw poster OCR.
+ *          Add ?dryRun=true to preview the extraction without saving.
+ * @access  Admin (it writes events and spends LLM and embedding calls)
+ */
+router.post('/', access('admin'), eventsController.handleCreateEvent);
+
+/**
+ * @route   POST /api/events/search
+ * @desc    Filtered event search with facet counts and cursor pagination.
+ *          Body: { query, dateFrom, dateTo, location, organizer, entryType: 'free'|'paid',
+ *          category, includePast, sort: 'date'|'date_desc'|'newest'|'quality'|'relevance',
+ *          limit, cursor, facets, fields }
+ * @access  Public
+ */
+router.post('/search', access('public'), eventsController.handleSearchEvents);
+
+/**
+ * @route   GET /api/events/:id/similar
+ * @desc    Upcoming events most similar to this one by embedding, each with its similarity
+ *          `score` (0-1); the event itself and near-duplicates are left out (?limit=&fields=)
+ * @access  Public
+ */
+router.get('/:id/similar', access('public'), eventsController.handleGetSimilarEvents);
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const { Event } = require('./event.model');
+const { parseSearchQuery } = require('../ai-retrieval/ai.textSearch');
+const { escapeRegex, extractKeywords } = require('../ai-retrieval/ai.utils');
+
+/**
+ * Event cards: the shape events take in API `sources` / search results.
+ *
+ * Bump EVENT_CARD_VERSION whenever a field is renamed or removed so clients
+ * can tell which shape they are reading. Adding fields doesn't need a bump.
+ */
+const EVENT_CARD_VERSION = 1;
+
+// Heavier fields a client can ask for by name (`fields: ['full_text']`); never the embedding
+const EXTRA_FIELDS = ['event_details', 'full_text', 'raw_ocr', 'ranking', 'quality_score', 'source', 'created_at', 'updated_at', 'archived_at'];
+
+const SNIPPET_LENGTH = 160;
+
+// Fields a card is built from, for queries that need an explicit projection (vector search)
+const CARD_PROJECTION = {
+    _id: 1, event_details: 1, full_text: 1, raw_ocr: 1, starts_at: 1, ends_at: 1, all_day: 1,
+    date_confidence: 1, category: 1, price_type: 1, interest: 1, archived_at: 1
+};
+
+const present = (value) => (value === undefined || value === null || value === 'N/A' || value === '' ? null : value);
+
+/**
+ * Validate a `fields` request parameter
+ *
+ * @returns {{ fields: string[], errors: string[] }}
+ */
+const parseFieldsParam = (value) => {
+    if (value === undefined || value === null || value === '') return { fields: [], errors: [] };
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const fields = list.map(field => String(field).trim()).filter(Boolean);
+    const unknown = fields.filter(field => !EXTRA_FIELDS.includes(field));
+    return {
+        fields: [...new Set(fields)],
+        errors: unknown.length > 0 ? [`Unknown fields: ${unknown.join(', ')}. Allowed: ${EXTRA_FIELDS.join(', ')}.`] : []
+    };
+};
+
+/**
+ * Words worth highlighting for a query or chat question
+ */
+const getHighlightTerms = (query) => {
+    if (!query) return [];
+    const parsed = parseSearchQuery(query);
+    const words = extractKeywords([...parsed.terms].join(' '));
+    return [...new Set([...parsed.phrases, ...words].map(term => term.toLowerCase()))]
+        .sort((a, b) => b.length - a.length);
+};
+
+/**
+ * A short window of the poster text around the first match, with match offsets
+ *
+ * @returns {{ text: string, highlights: Array<{ start: number, end: number }> } | null}
+ */
+const buildSnippet = (event, terms) => {
+    const source = (present(event.full_text) || (event.raw_ocr || []).map(block => block?.text).filter(Boolean).join(' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!source) return null;
+
+    const pattern = terms.length > 0 ? new RegExp(terms.map(escapeRegex).join('|'), 'gi') : null;
+    const firstMatch = pattern ? source.search(pattern) : -1;
+
+    let start = 0;
+    if (firstMatch > SNIPPET_LENGTH / 3) {
+        start = source.lastIndexOf(' ', firstMatch - Math.floor(SNIPPET_LENGTH / 3)) + 1;
+    }
+    let end = Math.min(source.length, start + SNIPPET_LENGTH);
+    if (end < source.length) {
+        const wordEnd = source.lastIndexOf(' ', end);
+        if (wordEnd > start) end = wordEnd;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const text = `${prefix}${source.substring(start, end)}${end < source.length ? '…' : ''}`;
+    const highlights = [];
+    if (pattern) {
+        for (const match of text.matchAll(pattern)) {
+            highlights.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return { text, highlights };
+};
+
+/**
+ * Serialize one event to a card
+ *
+ * @param {Object} event - lean event document (may carry score / ranking / text_score)
+ * @param {Object} [options]
+ * @param {string[]} [options.terms] - highlight terms (see getHighlightTerms)
+ * @param {string[]} [options.fields] - extra fields to include (see EXTRA_FIELDS)
+ */
+const toEventCard = (event, { terms = [], fields = [] } = {}) => {
+    const details = event.event_details || {};
+    const display = Event.hydrate({
+        event_details: details,
+        starts_at: event.starts_at,
+        ends_at: event.ends_at,
+        all_day: event.all_day
+    });
+    const score = event.ranking?.score ?? event.text_score ?? event.score;
+
+    const card = {
+        version: EVENT_CARD_VERSION,
+        id: event._id?.toString(),
+        name: display.display_name,
+        organizer: present(details.organizer),
+        location: present(details.location),
+        entry_type: present(details.entry_type),
+        website: present(details.website),
+        category: event.category || null,
+        price_type: event.price_type || null,
+        date_text: present(details.event_date),
+        time_text: present(details.event_time),
+        display_date: display.display_date,
+        display_time: display.display_time,
+        starts_at: event.starts_at || null,
+        ends_at: event.ends_at || null,
+        all_day: Boolean(event.all_day),
+        date_confidence: event.date_confidence || 'none',
+        is_past: Boolean(event.archived_at) || display.is_past,
+        score: typeof score === 'number' ? Math.round(score * 1e6) / 1e6 : null,
+        snippet: buildSnippet(event, terms),
+        interest: {
+            saved: event.interest?.saved || 0,
+            interested: event.interest?.interested || 0,
+            going: event.interest?.going || 0
+        }
+    };
+
+    for (const field of fields) {
+        if (EXTRA_FIELDS.includes(field) && event[field] !== undefined) {
+            card[field] = event[field];
+        }
+    }
+    return card;
+};
+
+/**
+ * Serialize a list of events for an API response
+ *
+ * @param {Object[]} events
+ * @param {Object} [options]
+ * @param {string} [options.query] - question or search query, for snippet highlights
+ * @param {string[]} [options.fields] - extra fields to include
+ */
+const serializeEvents = (events = [], { query, fields = [] } = {}) => {
+    const terms = getHighlightTerms(query);
+    return events.map(event => toEventCard(event, { terms, fields }));
+};
+
+module.exports = {
+    EVENT_CARD_VERSION,
+    EXTRA_FIELDS,
+    CARD_PROJECTION,
+    parseFieldsParam,
+    toEventCard,
+    serializeEvents
+};
@@ -0,0 +1,273 @@
+const { Event } = require('./event.model');
+const { EXTRACTION_PROMPT } = require('./events.prompt');
+const { generateChatText, calculateEventQuality } = require('../ai-retrieval/ai.service');
+const { normalizeEventDates } = require('../ai-retrieval/ai.dates');
+const { embedEvent } = require('../ai-retrieval/ai.embeddings');
+const { classifyCategory, normalizePriceType } = require('./events.categories');
+const { upsertEventVector } = require('../ai-retrieval/ai.vectorIndex');
+const { parseJsonReply } = require('../ai-retrieval/ai.utils');
+
+const EVENT_FIELDS = ['event_name', 'organizer', 'event_date', 'event_time', 'location', 'entry_type', 'website'];
+
+const FIELD_LIMITS = {
+    event_name: 200,
+    organizer: 200,
+    event_date: 120,
+    event_time: 120,
+    location: 300,
+    entry_type: 120,
+    website: 300
+};
+
+const isMissing = (value) => value === undefined || value === null || String(value).trim() === '' || String(value).trim().toUpperCase() === 'N/A';
+
+/**
+ * Normalize `raw_ocr` to an array of { text } blocks (accepts strings or objects)
+ */
+const normalizeRawOcr = (rawOcr) => {
+    if (!Array.isArray(rawOcr)) return [];
+    return rawOcr
+        .map(block => (typeof block === 'string' ? { text: block } : block))
+        .filter(block => block && typeof block.text === 'string' && block.text.trim().length > 0);
+};
+
+/**
+ * Normalize a website to an absolute http(s) URL, or null if it isn't one
+ */
+const normalizeWebsite = (value) => {
+    const candidate = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+    try {
+        const url = new URL(candidate);
+        if (!url.hostname.includes('.') || /\s/.test(value)) return null;
+        return url.toString().replace(/\/$/, '');
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Validate and normalize event_details.
+ * In strict mode (client-supplied fields) problems are reported as errors;
+ * otherwise (LLM/heuristic output) bad values are dropped to 'N/A'.
+ *
+ * @param {Object} details
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true]
+ * @param {boolean} [options.requireName=true] - off when OCR can still supply the name
+ * @returns {{ value: Object, errors: string[] }}
+ */
+const validateEventDetails = (details = {}, { strict = true, requireName = true } = {}) => {
+    const value = {};
+    const errors = [];
+
+    for (const field of EVENT_FIELDS) {
+        const raw = details[field];
+
+        if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+            errors.push(`${field} must be a string.`);
+            continue;
+        }
+        if (isMissing(raw)) {
+            value[field] = 'N/A';
+            continue;
+        }
+
+        let text = raw.replace(/\s+/g, ' ').trim();
+        if (text.length > FIELD_LIMITS[field]) {
+            if (strict) {
+                errors.push(`${field} must be at most ${FIELD_LIMITS[field]} characters.`);
+                continue;
+            }
+            text = text.substring(0, FIELD_LIMITS[field]).trim();
+        }
+
+        if (field === 'website') {
+            const website = normalizeWebsite(text);
+            if (!website) {
+                if (strict) errors.push('website must be a valid URL.');
+                value[field] = 'N/A';
+                continue;
+            }
+            text = website;
+        }
+
+        if (field === 'entry_type' && /^free(\s+entry)?$|^entry\s*(is\s*)?free$/i.test(text)) {
+            text = 'Free';
+        }
+
+        value[field] = text;
+    }
+
+    if (value.event_name && value.event_name !== 'N/A' && value.event_name.length < 3) {
+        errors.push('event_name must be at least 3 characters.');
+    } else if (requireName && value.event_name === 'N/A') {
+        errors.push('event_name is required.');
+    }
+
+    return { value, errors };
+};
+
+/**
+ * Rule-based extraction used when the LLM is unavailable
+ */
+const extractFieldsHeuristically = (ocrText) => {
+    const lines = ocrText.split(/\n+/).map(line => line.trim()).filter(Boolean);
+    const find = (pattern) => lines.find(line => pattern.test(line));
+
+    const websiteMatch = ocrText.match(/\b((?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|in|org|net|io|co|events?|live)(?:\/\S*)?)/i);
+    const dateLine = find(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b|\b\d{1,2}[./-]\d{1,2}[./-]\d{2,4}\b/i);
+    const timeLine = find(/\b\d{1,2}(?::\d{2})?\s*(am|pm)\b/i);
+    const locationLine = find(/\b(venue|stadium|hall|auditorium|ground|grounds|cafe|club|hotel|park|arena|theatre|theater|centre|center|gallery)\b/i);
+    const organizerLine = find(/\b(presented by|organi[sz]ed by|hosted by|presents)\b/i);
+
+    let entryType = 'N/A';
+    if (/\bfree\b/i.test(ocrText)) entryType = 'Free';
+    else if (/(₹|\brs\.?\s*\d|\binr\b|\btickets?\b)/i.test(ocrText)) entryType = 'Paid';
+
+    const used = new Set([dateLine, timeLine, locationLine, organizerLine]);
+    const nameLine = lines.find(line => !used.has(line) && line.length >= 4 && /[a-z]/i.test(line)
+        && !(websiteMatch && line.includes(websiteMatch[1])));
+
+    return {
+        event_name: nameLine || 'N/A',
+        organizer: organizerLine ? organizerLine.replace(/.*\b(presented by|organi[sz]ed by|hosted by)\s*:?\s*/i, '') : 'N/A',
+        event_date: dateLine || 'N/A',
+        event_time: timeLine || 'N/A',
+        location: locationLine ? locationLine.replace(/^venue\s*:?\s*/i, '') : 'N/A',
+        entry_type: entryType,
+        website: websiteMatch ? websiteMatch[1] : 'N/A'
+    };
+};
+
+/**
+ * Extract event fields from poster OCR text through the configured LLM,
+ * falling back to simple rules when the LLM fails.
+ *
+ * @returns {Promise<{ fields: Object, method: 'llm'|'heuristic' }>}
+ */
+const extractEventFields = async (ocrText) => {
+    try {
+        const reply = await generateChatText(EXTRACTION_PROMPT, `Poster OCR text:\n${ocrText.substring(0, 4000)}`, {
+            temperature: 0,
+            maxTokens: 500
+        });
+        const parsed = parseJsonReply(reply);
+        if (parsed) {
+            const fields = {};
+            EVENT_FIELDS.forEach(field => {
+                fields[field] = typeof parsed[field] === 'string' ? parsed[field] : 'N/A';
+            });
+            return { fields, method: 'llm' };
+        }
+        console.warn("[Event Ingestion] LLM reply was not valid JSON, using heuristic extraction.");
+    } catch (error) {
+        console.warn("[Event Ingestion] LLM extraction failed, using heuristic extraction.", error.message);
+    }
+
+    return { fields: extractFieldsHeuristically(ocrText), method: 'heuristic' };
+};
+
+/**
+ * Recompute everything derived from event_details: normalized dates, quality
+ * score, category / price type and (optionally) the embedding with its embedding_meta. `embedding` is
+ * null when embedding was requested but failed, so callers can drop the stale vector.
+ */
+const computeDerivedFields = async (event, { embed = true, referenceDate } = {}) => {
+    const derived = {
+        ...normalizeEventDates(event, referenceDate ? { referenceDate } : {}),
+        quality_score: calculateEventQuality(event),
+        category: classifyCategory(event),
+        price_type: normalizePriceType(event)
+    };
+    if (embed) {
+        const embedded = await embedEvent(event);
+        derived.embedding = embedded ? embedded.embedding : null;
+        if (embedded) derived.embedding_meta = embedded.embedding_meta;
+    }
+    return derived;
+};
+
+/**
+ * Ingest a new event from structured details and/or poster OCR.
+ *
+ * @param {Object} payload - { event_details?, raw_ocr?, full_text? }
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - return the extraction without embedding or saving
+ * @returns {Promise<{ event: Object, extraction: Object, errors: string[], dryRun: boolean }>}
+ */
+const ingestEvent = async (payload, { dryRun = false } = {}) => {
+    const rawOcr = normalizeRawOcr(payload.raw_ocr);
+    const fullText = typeof payload.full_text === 'string' && payload.full_text.trim()
+        ? payload.full_text.trim()
+        : rawOcr.map(block => block.text).join('\n');
+
+    // 1. Structured details from the client are validated strictly
+    const structured = payload.event_details
+        ? validateEventDetails(payload.event_details, { strict: true, requireName: !fullText })
+        : null;
+    if (structured && structured.errors.length > 0) {
+        return { event: null, extraction: null, errors: structured.errors, dryRun };
+    }
+
+    // 2. Fill any gaps from the OCR text
+    let extraction = { method: 'structured', fields: {} };
+    const needsExtraction = fullText && (!structured || EVENT_FIELDS.some(field => structured.value[field] === 'N/A'));
+    if (needsExtraction) {
+        extraction = await extractEventFields(fullText);
+    }
+
+    const extracted = validateEventDetails(extraction.fields, { strict: false }).value;
+    const merged = {};
+    EVENT_FIELDS.forEach(field => {
+        const given = structured?.value[field];
+        merged[field] = given && given !== 'N/A' ? given : (extracted[field] || 'N/A');
+    });
+
+    // The merged record still needs a usable name
+    const { value: eventDetails, errors } = validateEventDetails(merged, { strict: true });
+    if (errors.length > 0) {
+        return { event: null, extraction, errors, dryRun };
+    }
+
+    // 3. Normalize and score
+    const now = new Date();
+    const event = {
+        event_details: eventDetails,
+        full_text: fullText || '',
+        raw_ocr: rawOcr,
+        created_at: now,
+        source: 'api'
+    };
+    Object.assign(event, await computeDerivedFields(event, { embed: false, referenceDate: now }));
+
+    // Schema validators are the last word on what can be stored
+    const validationError = new Event(event).validateSync();
+    if (validationError) {
+        return { event: null, extraction, errors: Object.values(validationError.errors).map(err => err.message), dryRun };
+    }
+
+    if (dryRun) {
+        return { event, extraction, errors: [], dryRun: true };
+    }
+
+    // 4. Embed and store
+    const embedded = await embedEvent(event);
+    if (embedded) {
+        Object.assign(event, embedded);
+    } else {
+        console.warn("[Event Ingestion] Storing event without embedding; run add_embeddings.js later.");
+    }
+
+    const created = await Event.create(event);
+    upsertEventVector(created._id, event.embedding);
+
+    return { event: created.toObject(), extraction, errors: [], dryRun: false };
+};
+
+module.exports = {
+    EVENT_FIELDS,
+    ingestEvent,
+    computeDerivedFields,
+    extractEventFields,
+    validateEventDetails
+};
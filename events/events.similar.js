@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { Event } = require('./event.model');
+const { CARD_PROJECTION } = require('./events.serializer');
+const { searchEventVectors } = require('../ai-retrieval/ai.vectorIndex');
+const { buildVisibleFilter, buildUpcomingFilter } = require('../ai-retrieval/ai.archive');
+const { combineFilters } = require('../ai-retrieval/ai.utils');
+
+/**
+ * "Similar events": nearest neighbours of an event's stored embedding
+ * (see add_embeddings.js), limited to upcoming events. Scores use the vector
+ * search scale, (1 + cosine) / 2.
+ *
+ * Reposts of the same poster would otherwise top every list, so near
+ * duplicates (same name, or vectors almost identical) are left out.
+ */
+
+const SIMILAR_CONFIG = {
+    defaultLimit: 5,
+    maxLimit: 20,
+    // Neighbours fetched per result asked for, to make up for the near duplicates left out
+    candidateFactor: 4,
+    // Below this an event isn't similar enough to show (cosine 0.2)
+    minScore: parseFloat(process.env.SIMILAR_MIN_SCORE || '0.6'),
+    // At or above this it's the same event posted again (cosine 0.97)
+    duplicateScore: parseFloat(process.env.SIMILAR_DUPLICATE_SCORE || '0.985')
+};
+
+const toObjectId = (id) => (mongoose.Types.ObjectId.isValid(id) && String(id).length === 24
+    ? new mongoose.Types.ObjectId(id)
+    : null);
+
+const normalizeName = (event) => (event.event_details?.event_name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+/**
+ * Upcoming events most similar to an event
+ *
+ * @param {string|Object} eventId - event id (or ObjectId)
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<{ event: Object, events: Object[], embedded: boolean } | null>} null when the event
+ *          doesn't exist; `embedded: false` when it has no embedding to compare with. Events carry their `score`.
+ */
+const findSimilarEvents = async (eventId, { limit = SIMILAR_CONFIG.defaultLimit } = {}) => {
+    const _id = toObjectId(eventId);
+    if (!_id) return null;
+    const event = await Event.findOne({ _id, ...buildVisibleFilter() }).lean();
+    if (!event) return null;
+
+    const { embedding, ...source } = event;
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+        return { event: source, events: [], embedded: false };
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || SIMILAR_CONFIG.defaultLimit, 1), SIMILAR_CONFIG.maxLimit);
+    // The filter goes into the vector search, so past events don't use up the nearest neighbours
+    const candidates = await searchEventVectors(embedding, {
+        limit: pageSize * SIMILAR_CONFIG.candidateFactor,
+        filter: combineFilters(buildVisibleFilter(), buildUpcomingFilter(), { _id: { $ne: _id } }),
+        projection: CARD_PROJECTION
+    });
+
+    const seenNames = new Set([normalizeName(source)].filter(Boolean));
+    const events = [];
+    for (const candidate of [...candidates].sort((a, b) => b.score - a.score)) {
+        if (events.length >= pageSize || candidate.score < SIMILAR_CONFIG.minScore) break;
+        const name = normalizeName(candidate);
+        if (candidate.score >= SIMILAR_CONFIG.duplicateScore || (name && seenNames.has(name))) continue;
+        if (name) seenNames.add(name);
+        events.push(candidate);
+    }
+
+    console.log(`[Similar] ${events.length} events similar to ${eventId} (${candidates.length} candidates)`);
+    return { event: source, events, embedded: true };
+};
+
+module.exports = {
+    SIMILAR_CONFIG,
+    findSimilarEvents
+};
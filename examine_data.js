@@ -1,15 +1,14 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { Event } = require('./events/event.model');
 
 async function examineEventData() {
   try {
     await mongoose.connect(process.env.MONGODB_URI + 'event_database');
     console.log('Connected to event_database');
-    const db = mongoose.connection.db;
-    const eventsCollection = db.collection('events');
     
     // Get all documents to see the structure
-    const events = await eventsCollection.find().toArray();
+    const events = await Event.find().select('-embedding').lean();
     console.log(`\nTotal events: ${events.length}`);
     
     events.forEach((event, i) => {
@@ -22,7 +21,9 @@ async function examineEventData() {
       }
       
       if (event.raw_ocr) {
-        console.log('Raw OCR (first 200 chars):', event.raw_ocr.substring(0, 200) + '...');
+        // Older documents stored raw_ocr as one string, newer ones as OCR blocks
+        const rawText = Array.isArray(event.raw_ocr) ? event.raw_ocr.map(block => block.text).join(' ') : String(event.raw_ocr);
+        console.log('Raw OCR (first 200 chars):', rawText.substring(0, 200) + '...');
       }
       
       if (event.full_text) {
@@ -1,15 +1,14 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { Event } = require('./events/event.model');
 
 async function getFullEventDetails() {
     try {
         await mongoose.connect(process.env.MONGODB_URI);
         console.log('Connected to MongoDB Atlas');
 
-        const eventsCollection = mongoose.connection.collection('events');
-
         // Get all events
-        const allEvents = await eventsCollection.find({}).toArray();
+        const allEvents = await Event.find({}).select('-embedding').lean();
 
         console.log(`\nTotal events in database: ${allEvents.length}\n`);
 
@@ -3,6 +3,16 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const aiRoutes = require('./ai-retrieval/ai.routes');
+const eventsRoutes = require('./events/events.routes');
+const adminRoutes = require('./admin/admin.routes');
+const conversationsRoutes = require('./conversations/conversations.routes');
+const profilesRoutes = require('./profiles/profiles.routes');
+const bookmarksRoutes = require('./bookmarks/bookmarks.routes');
+const recommendationsRoutes = require('./recommendations/recommendations.routes');
+const { startArchiveJob } = require('./ai-retrieval/ai.archive');
+const { startVectorIndex, getVectorSearchStatus } = require('./ai-retrieval/ai.vectorIndex');
+const { startKnownPlaces } = require('./ai-retrieval/ai.places');
+const { getProviderHealth } = require('./ai-retrieval/providers');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -13,14 +23,27 @@ app.use(express.json());
 
 // Routes
 app.use('/api/ai', aiRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/conversations', conversationsRoutes);
+app.use('/api/profile', profilesRoutes);
+app.use('/api/bookmarks', bookmarksRoutes);
+app.use('/api/recommendations', recommendationsRoutes);
 
 // Health Check
-app.get('/health', (req, res) => res.send('AI Retrieval Server is running...'));
+app.get('/health', (req, res) => res.json({
+    status: 'AI Retrieval Server is running...',
+    vectorSearch: getVectorSearchStatus(),
+    providers: getProviderHealth()
+}));
 
 // Database Connection
 mongoose.connect(process.env.MONGODB_URI)
     .then(() => {
         console.log('Connected to MongoDB Atlas');
+        startArchiveJob();
+        startVectorIndex().catch(err => console.error('[Vector Index] Startup failed:', err.message));
+        startKnownPlaces().catch(err => console.error('[Places] Startup failed:', err.message));
         app.listen(PORT, () => {
             console.log(`Server running on port ${PORT}`);
         });
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { migrateEvents } = require('./events/event.migrations');
+const { EVENT_SCHEMA_VERSION } = require('./events/event.model');
+
+/**
+ * Upgrade event documents to the current schema version.
+ *
+ * Usage:
+ *   node migrate_events.js            # migrate
+ *   node migrate_events.js --dry-run  # only count outdated documents
+ */
+async function runMigrations() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB Atlas');
+
+        const { pending, migrated } = await migrateEvents({ dryRun });
+        console.log(`\n${pending} events below schema version ${EVENT_SCHEMA_VERSION}.`);
+        if (!dryRun) {
+            console.log(`Migrated ${migrated} events.`);
+        }
+
+    } catch (error) {
+        console.error('Error:', error.message);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+runMigrations();
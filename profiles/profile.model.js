@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { CATEGORIES } = require('../events/events.categories');
+
+/**
+ * What the chat remembers about a user: name, home city, favourite event
+ * categories and reply language.
+ *
+ * A profile belongs to a signed-in account or, for anonymous users, to the
+ * device's X-Session-Id (the random id the client keeps in localStorage).
+ */
+
+const OWNER_TYPES = ['user', 'device'];
+
+const profileSchema = new mongoose.Schema({
+    owner_type: { type: String, enum: OWNER_TYPES, required: true },
+    owner_id: { type: String, required: true },
+    display_name: { type: String, trim: true, maxlength: 50, default: null },
+    home_city: { type: String, trim: true, maxlength: 100, default: null },
+    preferred_categories: [{ type: String, enum: CATEGORIES }],
+    // ISO 639-1 code the chat answers in (null: the user's own language)
+    language: { type: String, default: null },
+    // Event cards the user opened, newest last (capped, see profiles.service.js recordClick)
+    clicked_event_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Event' }],
+    // The chat asks for a name only once
+    name_asked_at: { type: Date, default: null },
+    // The last answer asked for the name, so the next message probably is one
+    awaiting_name: { type: Boolean, default: false },
+    // The last answer asked to confirm "forget my data"; only a yes deletes anything
+    awaiting_forget_confirmation: { type: Boolean, default: false },
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: Date.now }
+}, {
+    collection: 'user_profiles',
+    versionKey: false
+});
+
+profileSchema.index({ owner_type: 1, owner_id: 1 }, { unique: true });
+
+const UserProfile = mongoose.models.UserProfile || mongoose.model('UserProfile', profileSchema);
+
+module.exports = {
+    UserProfile,
+    OWNER_TYPES
+};
@@ -0,0 +1,58 @@
+const profilesService = require('./profiles.service');
+
+const handleError = (res, label, error) => {
+    console.error(`${label} Error:`, error);
+    res.status(500).json({
+        error: "An error occurred while processing the profile request.",
+        details: error.message
+    });
+};
+
+/**
+ * GET /api/profile
+ */
+const handleGetProfile = async (req, res) => {
+    try {
+        const profile = await profilesService.getProfile(req.identity);
+        res.json({ profile: profilesService.toProfileView(profile) });
+    } catch (error) {
+        handleError(res, "Profile Get", error);
+    }
+};
+
+/**
+ * PATCH /api/profile
+ */
+const handleUpdateProfile = async (req, res) => {
+    const { value, errors } = profilesService.normalizeProfileInput(req.body || {});
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid profile.", details: errors });
+    }
+    if (Object.keys(value).length === 0) {
+        return res.status(400).json({ error: "Nothing to update. Send displayName, homeCity, preferredCategories or language." });
+    }
+
+    try {
+        const profile = await profilesService.updateProfile(req.identity, value);
+        res.json({ profile: profilesService.toProfileView(profile) });
+    } catch (error) {
+        handleError(res, "Profile Update", error);
+    }
+};
+
+/**
+ * DELETE /api/profile
+ */
+const handleForgetProfile = async (req, res) => {
+    try {
+        res.json(await profilesService.forgetUser(req.identity, req.sessionId));
+    } catch (error) {
+        handleError(res, "Profile Delete", error);
+    }
+};
+
+module.exports = {
+    handleGetProfile,
+    handleUpdateProfile,
+    handleForgetProfile
+};
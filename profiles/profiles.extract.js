@@ -0,0 +1,92 @@
+/**
+ * Reading profile details out of chat messages ("call me Sam", "I live in Pune",
+ * "reply in Hindi"). Each parser returns null when the message doesn't say.
+ */
+
+// Languages the chat can be asked to answer in, by name -> ISO 639-1 code
+const LANGUAGES = {
+    english: 'en', hindi: 'hi', telugu: 'te', tamil: 'ta', kannada: 'kn', malayalam: 'ml',
+    marathi: 'mr', bengali: 'bn', gujarati: 'gu', punjabi: 'pa', urdu: 'ur',
+    spanish: 'es', french: 'fr', german: 'de', portuguese: 'pt', arabic: 'ar'
+};
+
+const LANGUAGE_NAMES = Object.fromEntries(Object.entries(LANGUAGES).map(([name, code]) => [code, name.charAt(0).toUpperCase() + name.slice(1)]));
+
+// Names have at most this many words ("Mary Ann Lee")
+const MAX_NAME_WORDS = 3;
+// Words no name is made of: "call me when it starts", "call me back later", "I'm looking for events"
+const NOT_NAME_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'when', 'whenever', 'once', 'then', 'so', 'as', 'than',
+    'it', 'its', 'this', 'that', 'these', 'those', 'there', 'here', 'me', 'you', 'your', 'my', 'we', 'us', 'they', 'them',
+    'back', 'later', 'soon', 'now', 'again', 'today', 'tonight', 'tomorrow', 'sometime', 'anytime', 'asap', 'maybe',
+    'please', 'thanks', 'ok', 'okay', 'yes', 'no', 'not',
+    'to', 'at', 'in', 'on', 'for', 'of', 'by', 'with', 'about', 'from', 'after', 'before', 'into',
+    'is', 'are', 'was', 'be', 'do', 'does', 'did', 'has', 'have', 'can', 'could', 'would', 'should',
+    'starts', 'start', 'begins', 'ends', 'open', 'opens', 'free', 'ready', 'done', 'going', 'looking', 'interested',
+    'what', 'who', 'where', 'why', 'how', 'which', 'show', 'find', 'event', 'events'
+]);
+
+const NAME_PREFIX = /^(?:(?:please\s+)?call me|my name is|my name's|i'?m called|i'?m|i am|it'?s|it is|this is|name'?s)\s+/i;
+const CITY_PREFIX = /^(?:i\s+(?:live|stay)\s+in|i'?m\s+(?:from|based\s+in)|i\s+am\s+(?:from|based\s+in)|my\s+(?:home\s+)?city\s+is)\s+/i;
+const CONFIRM_PATTERN = /^(?:yes|yeah|yep|yup|y|sure|ok(?:ay)?|confirm(?:ed)?|do it|go ahead|(?:yes,?\s+)?(?:please\s+)?(?:delete|forget|erase|wipe)(?:\s+(?:it|it all|everything|my data|me))?)(?:\s+please)?[\s.!]*$/i;
+const DECLINE_PATTERN = /^(?:no|nope|nah|n|cancel|stop|don'?t|do not|never\s*mind|keep(?:\s+(?:it|them|my data))?)\b/i;
+const LANGUAGE_PATTERN = /\b(?:reply|respond|talk|speak|answer|chat|write)(?:\s+(?:to|with)\s+me)?\s+in\s+([a-z]+)\b|^(?:use|switch\s+to)\s+([a-z]+)\b/i;
+
+/**
+ * A name from "Sam", "my name is Sam Lee", "call me Sam"; null for
+ * anything that reads like a question or a sentence instead
+ */
+const extractUserName = (text) => {
+    const name = String(text || '').trim()
+        .replace(NAME_PREFIX, '')
+        .replace(/[.,!]+$/, '')
+        .trim();
+    if (!name || /[?\d@#/:]/.test(name)) return null;
+    const words = name.split(/\s+/);
+    // Names are a few words; longer answers are the user asking something else
+    if (words.length > MAX_NAME_WORDS || words.some(word => !/^[\p{L}'.-]+$/u.test(word))) return null;
+    if (words.some(word => NOT_NAME_WORDS.has(word.toLowerCase()))) return null;
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+};
+
+/**
+ * A home city from "I live in Hyderabad", "I'm based in New Delhi"
+ */
+const extractHomeCity = (text) => {
+    const rest = String(text || '').trim();
+    if (!CITY_PREFIX.test(rest)) return null;
+    const city = rest.replace(CITY_PREFIX, '')
+        .split(/[.,!?;]|\s+(?:and|but|so)\s+/i)[0]
+        .trim();
+    if (!city || city.split(/\s+/).length > 4 || /\d/.test(city)) return null;
+    return city.replace(/\b\p{L}/gu, letter => letter.toUpperCase());
+};
+
+/**
+ * A language code from "reply in Hindi", "switch to Telugu"
+ */
+const extractLanguage = (text) => {
+    const match = String(text || '').match(LANGUAGE_PATTERN);
+    if (!match) return null;
+    return LANGUAGES[(match[1] || match[2]).toLowerCase()] || null;
+};
+
+/**
+ * A yes/no answer to a confirmation question: true, false, or null when the
+ * message is about something else
+ */
+const readConfirmation = (text) => {
+    const answer = String(text || '').trim();
+    if (CONFIRM_PATTERN.test(answer)) return true;
+    if (DECLINE_PATTERN.test(answer)) return false;
+    return null;
+};
+
+module.exports = {
+    LANGUAGES,
+    LANGUAGE_NAMES,
+    extractUserName,
+    extractHomeCity,
+    extractLanguage,
+    readConfirmation
+};
@@ -0,0 +1,32 @@
+const { readSessionId } = require('../conversations/conversations.middleware');
+
+/**
+ * Who a profile request is for: the signed-in user (req.user, see auth/), or
+ * for anonymous users their device's X-Session-Id.
+ *
+ * @returns {{ type: 'user'|'device', id: string }|null|undefined} undefined when missing, null when malformed
+ */
+const readIdentity = (req) => {
+    if (req.user) return { type: 'user', id: req.user.uid };
+    const sessionId = readSessionId(req);
+    if (!sessionId) return sessionId;
+    return { type: 'device', id: sessionId };
+};
+
+/**
+ * Require an identity and attach it as req.identity (and req.sessionId when sent)
+ */
+const requireIdentity = (req, res, next) => {
+    const identity = readIdentity(req);
+    if (!identity) {
+        return res.status(400).json({ error: "Sign in, or send a valid X-Session-Id header (16-128 letters, digits, - or _)." });
+    }
+    req.identity = identity;
+    req.sessionId = readSessionId(req) || undefined;
+    next();
+};
+
+module.exports = {
+    readIdentity,
+    requireIdentity
+};
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const profilesController = require('./profiles.controller');
+const { requireIdentity } = require('./profiles.middleware');
+const { access } = require('../auth/auth.middleware');
+
+// Signed-in users get their account's profile, everyone else their device's
+router.use(access('public'), requireIdentity);
+
+/**
+ * @route   GET /api/profile
+ * @desc    What the chat remembers about this user (name, home city, categories, language)
+ * @access  Public (signed-in user, or session X-Session-Id)
+ */
+router.get('/', profilesController.handleGetProfile);
+
+/**
+ * @route   PATCH /api/profile
+ * @desc    Update the profile (body: displayName, homeCity, preferredCategories, language; null clears)
+ * @access  Public (signed-in user, or session X-Session-Id)
+ */
+router.patch('/', profilesController.handleUpdateProfile);
+
+/**
+ * @route   DELETE /api/profile
+ * @desc    Forget my data: delete the profile, this session's conversations and (signed in) the user's bookmarks
+ * @access  Public (signed-in user, or session X-Session-Id)
+ */
+router.delete('/', profilesController.handleForgetProfile);
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const { UserProfile } = require('./profile.model');
+const { LANGUAGE_NAMES } = require('./profiles.extract');
+const { parseCategory } = require('../events/events.categories');
+const conversationsService = require('../conversations/conversations.service');
+const bookmarksService = require('../bookmarks/bookmarks.service');
+
+const MAX_PREFERRED_CATEGORIES = 5;
+// Recent clicks kept per profile for recommendations
+const MAX_CLICKED_EVENTS = 50;
+
+const identityFilter = (identity) => ({ owner_type: identity.type, owner_id: identity.id });
+
+/**
+ * API view of a profile
+ */
+const toProfileView = (profile) => ({
+    display_name: profile?.display_name || null,
+    home_city: profile?.home_city || null,
+    preferred_categories: profile?.preferred_categories || [],
+    language: profile?.language || null,
+    created_at: profile?.created_at || null,
+    updated_at: profile?.updated_at || null
+});
+
+/**
+ * The profile of a user or device, or null when there is none yet
+ *
+ * @param {{ type: 'user'|'device', id: string }} identity
+ */
+const getProfile = async (identity) => {
+    if (!identity) return null;
+    return UserProfile.findOne(identityFilter(identity)).lean();
+};
+
+/**
+ * Validate profile changes (API body or what the user told the chat); null clears a field
+ *
+ * @param {Object} input - { displayName, homeCity, preferredCategories, language }
+ * @returns {{ value: Object, errors: string[] }} value uses the stored field names
+ */
+const normalizeProfileInput = (input = {}) => {
+    const errors = [];
+    const value = {};
+
+    const text = (field, stored, maxLength) => {
+        if (input[field] === undefined) return;
+        if (input[field] === null || input[field] === '') {
+            value[stored] = null;
+        } else if (typeof input[field] !== 'string' || input[field].trim().length > maxLength) {
+            errors.push(`${field} must be a string of at most ${maxLength} characters, or null.`);
+        } else {
+            value[stored] = input[field].trim();
+        }
+    };
+    text('displayName', 'display_name', 50);
+    text('homeCity', 'home_city', 100);
+
+    if (input.preferredCategories !== undefined) {
+        const list = input.preferredCategories === null ? [] : input.preferredCategories;
+        const parsed = Array.isArray(list) ? list.map(parseCategory) : null;
+        if (!parsed || parsed.some(category => !category)) {
+            errors.push('preferredCategories must be an array of event categories (e.g. "music", "comedy").');
+        } else if (new Set(parsed).size > MAX_PREFERRED_CATEGORIES) {
+            errors.push(`preferredCategories can hold at most ${MAX_PREFERRED_CATEGORIES} categories.`);
+        } else {
+            value.preferred_categories = [...new Set(parsed)];
+        }
+    }
+
+    if (input.language !== undefined) {
+        if (input.language === null || input.language === '') value.language = null;
+        else if (!LANGUAGE_NAMES[input.language]) errors.push(`language must be one of: ${Object.keys(LANGUAGE_NAMES).join(', ')}.`);
+        else value.language = input.language;
+    }
+
+    return { value, errors };
+};
+
+/**
+ * Apply changes (stored field names), creating the profile when needed
+ */
+const updateProfile = async (identity, changes) => {
+    const now = new Date();
+    return UserProfile.findOneAndUpdate(
+        identityFilter(identity),
+        {
+            $set: { ...changes, updated_at: now },
+            $setOnInsert: { ...identityFilter(identity), created_at: now }
+        },
+        { new: true, upsert: true, runValidators: true }
+    ).lean();
+};
+
+/**
+ * Remember that the user opened an event card (a recommendations signal)
+ *
+ * @param {Object} identity
+ * @param {ObjectId} eventId
+ */
+const recordClick = async (identity, eventId) => {
+    const now = new Date();
+    await UserProfile.updateOne(
+        identityFilter(identity),
+        {
+            $push: { clicked_event_ids: { $each: [eventId], $slice: -MAX_CLICKED_EVENTS } },
+            $set: { updated_at: now },
+            $setOnInsert: { created_at: now }
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * Keep the profile in step with a chat answer: remember that the name was
+ * asked or that "forget my data" awaits a yes, and save what the user told
+ * the chat about themselves
+ *
+ * @param {Object} identity
+ * @param {Object|null} profile - profile the answer was given with
+ * @param {Object} result - from getChatResponse (intent, profileChanges)
+ * @returns {Promise<Object|null>} the updated profile
+ */
+const recordChatTurn = async (identity, profile, result) => {
+    const changes = {};
+    if (result.profileChanges) {
+        const { value, errors } = normalizeProfileInput(result.profileChanges);
+        if (errors.length > 0) console.warn("[Profiles] Ignoring profile changes from chat:", errors.join(' '));
+        else Object.assign(changes, value);
+    }
+    if (result.intent === 'ask_name') {
+        changes.name_asked_at = new Date();
+        changes.awaiting_name = true;
+    } else if (profile?.awaiting_name) {
+        changes.awaiting_name = false;
+    }
+    // The confirmation question is answered by the very next message, or dropped
+    if (result.intent === 'forget_data') {
+        changes.awaiting_forget_confirmation = true;
+    } else if (profile?.awaiting_forget_confirmation) {
+        changes.awaiting_forget_confirmation = false;
+    }
+
+    if (Object.keys(changes).length === 0) return profile;
+    return updateProfile(identity, changes);
+};
+
+/**
+ * "Forget my data": delete the profile, the device's stored conversations and,
+ * for a signed-in user, their saved events and RSVPs
+ *
+ * @param {Object} identity
+ * @param {string} [sessionId] - X-Session-Id whose conversations go too
+ * @returns {Promise<{ deleted: true, profile: boolean, conversations: number, bookmarks: number }>}
+ */
+const forgetUser = async (identity, sessionId) => {
+    const conversations = sessionId ? await conversationsService.deleteSessionConversations(sessionId) : 0;
+    const bookmarks = identity.type === 'user' ? await bookmarksService.deleteUserBookmarks(identity.id) : 0;
+    // The profile goes last: when something above fails, its pending confirmation lets the user retry
+    const { deletedCount } = await UserProfile.deleteOne(identityFilter(identity));
+    console.log(`[Profiles] Forgot ${identity.type} ${identity.id}: profile ${deletedCount > 0 ? 'deleted' : 'not found'}, ${conversations} conversations and ${bookmarks} bookmarks deleted`);
+    return { deleted: true, profile: deletedCount > 0, conversations, bookmarks };
+};
+
+module.exports = {
+    MAX_PREFERRED_CATEGORIES,
+    toProfileView,
+    getProfile,
+    normalizeProfileInput,
+    updateProfile,
+    recordClick,
+    recordChatTurn,
+    forgetUser
+};
@@ -0,0 +1,62 @@
+const recommendationsService = require('./recommendations.service');
+const profilesService = require('../profiles/profiles.service');
+const { readIdentity } = require('../profiles/profiles.middleware');
+const { readSessionId } = require('../conversations/conversations.middleware');
+const { parseFieldsParam, serializeEvents } = require('../events/events.serializer');
+
+const handleError = (res, label, error) => {
+    console.error(`${label} Error:`, error);
+    res.status(500).json({
+        error: "An error occurred while processing the recommendations request.",
+        details: error.message
+    });
+};
+
+/**
+ * GET /api/recommendations
+ */
+const handleGetRecommendations = async (req, res) => {
+    const sessionId = readSessionId(req);
+    if (sessionId === null) {
+        return res.status(400).json({ error: "X-Session-Id must be 16-128 letters, digits, - or _." });
+    }
+    const { fields, errors: fieldErrors } = parseFieldsParam(req.query.fields);
+    if (fieldErrors.length > 0) {
+        return res.status(400).json({ error: "Invalid fields.", details: fieldErrors });
+    }
+
+    try {
+        const identity = readIdentity(req);
+        const profile = identity ? await profilesService.getProfile(identity) : null;
+        const result = await recommendationsService.getRecommendations(
+            { userId: req.user?.uid, profile, sessionId },
+            { limit: req.query.limit }
+        );
+        res.json({ ...result, events: serializeEvents(result.events, { fields }) });
+    } catch (error) {
+        handleError(res, "Recommendations", error);
+    }
+};
+
+/**
+ * POST /api/recommendations/clicks
+ */
+const handleRecordClick = async (req, res) => {
+    const eventId = req.body?.eventId;
+    if (!eventId || typeof eventId !== 'string') {
+        return res.status(400).json({ error: "Please provide the eventId of the opened event." });
+    }
+
+    try {
+        const recorded = await recommendationsService.recordClick(req.identity, eventId);
+        if (!recorded) return res.status(404).json({ error: "Event not found." });
+        res.status(204).end();
+    } catch (error) {
+        handleError(res, "Recommendation Click", error);
+    }
+};
+
+module.exports = {
+    handleGetRecommendations,
+    handleRecordClick
+};
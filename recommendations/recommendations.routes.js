@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const recommendationsController = require('./recommendations.controller');
+const { requireIdentity } = require('../profiles/profiles.middleware');
+const { access } = require('../auth/auth.middleware');
+
+/**
+ * @route   GET /api/recommendations
+ * @desc    Upcoming events picked for this user (saved events, opened cards, chat searches,
+ *          profile preferences), or the most popular ones for new users (?limit=&fields=).
+ *          The response says which: strategy 'personalized' | 'popular'.
+ * @access  Public (signed-in user and/or session X-Session-Id)
+ */
+router.get('/', access('public'), recommendationsController.handleGetRecommendations);
+
+/**
+ * @route   POST /api/recommendations/clicks
+ * @desc    Record that the user opened an event card (body: eventId)
+ * @access  Public (signed-in user, or session X-Session-Id)
+ */
+router.post('/clicks', access('public'), requireIdentity, recommendationsController.handleRecordClick);
+
+module.exports = router;
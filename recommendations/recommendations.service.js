@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const { Event } = require('../events/event.model');
+const { Bookmark } = require('../bookmarks/bookmark.model');
+const conversationsService = require('../conversations/conversations.service');
+const profilesService = require('../profiles/profiles.service');
+const { generateEmbedding } = require('../ai-retrieval/ai.embeddings');
+const { searchEventVectors } = require('../ai-retrieval/ai.vectorIndex');
+const { buildVisibleFilter, buildUpcomingFilter } = require('../ai-retrieval/ai.archive');
+const { combineFilters } = require('../ai-retrieval/ai.utils');
+const { CARD_PROJECTION } = require('../events/events.serializer');
+
+/**
+ * "For you": upcoming events ranked by how close their embedding is to a
+ * preference vector built from what the user saved or RSVP'd to, the event
+ * cards they opened and what they searched for in chat. Users with none of
+ * that yet (cold start) get the most popular upcoming events instead.
+ *
+ * Either way, preferred categories and the home city from the profile give a
+ * small boost, and a diversity cap keeps one category or organizer from
+ * filling the list.
+ */
+
+const RECOMMEND_CONFIG = {
+    defaultLimit: 10,
+    maxLimit: 50,
+    // Nearest / most popular events considered before boosts and diversity
+    candidates: 100,
+    maxPerCategory: parseInt(process.env.RECOMMEND_MAX_PER_CATEGORY || '3', 10),
+    maxPerOrganizer: 2,
+    // How much each signal pulls the preference vector
+    weights: { going: 3, interested: 2, saved: 2, clicked: 1, searches: 2 },
+    // Latest signals used of each kind
+    maxSignals: 50,
+    maxSearches: 10,
+    // Added to the 0-1 score
+    preferredCategoryBoost: 0.1,
+    homeCityBoost: 0.05
+};
+
+const toObjectId = (id) => (mongoose.Types.ObjectId.isValid(id) && String(id).length === 24
+    ? new mongoose.Types.ObjectId(id)
+    : null);
+
+/**
+ * Weighted mean of unit vectors, itself unit length; null without any vectors
+ *
+ * @param {Array<{ vector: number[], weight: number }>} entries
+ */
+const buildPreferenceVector = (entries) => {
+    const usable = entries.filter(entry => Array.isArray(entry.vector) && entry.vector.length > 0);
+    if (usable.length === 0) return null;
+    // Vectors from another embedding model can't be mixed in
+    const dimensions = usable[0].vector.length;
+    const sum = new Array(dimensions).fill(0);
+    for (const { vector, weight } of usable) {
+        if (vector.length !== dimensions) continue;
+        const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0)) || 1;
+        for (let i = 0; i < dimensions; i++) sum[i] += weight * vector[i] / norm;
+    }
+    const norm = Math.sqrt(sum.reduce((total, value) => total + value * value, 0));
+    return norm > 0 ? sum.map(value => value / norm) : null;
+};
+
+/**
+ * What we know the user likes: weighted event ids and recent searches
+ *
+ * @returns {Promise<{ events: Map<string, number>, bookmarked: Set<string>, searches: string[] }>}
+ */
+const collectSignals = async ({ userId, profile, sessionId }) => {
+    const events = new Map();
+    const addEvent = (id, weight) => {
+        const key = String(id);
+        events.set(key, Math.max(events.get(key) || 0, weight));
+    };
+
+    const bookmarked = new Set();
+    if (userId) {
+        const bookmarks = await Bookmark.find({ user_id: userId })
+            .sort({ updated_at: -1 })
+            .limit(RECOMMEND_CONFIG.maxSignals)
+            .lean();
+        for (const bookmark of bookmarks) {
+            bookmarked.add(String(bookmark.event_id));
+            if (bookmark.rsvp) addEvent(bookmark.event_id, RECOMMEND_CONFIG.weights[bookmark.rsvp]);
+            if (bookmark.saved) addEvent(bookmark.event_id, RECOMMEND_CONFIG.weights.saved);
+        }
+    }
+    for (const id of (profile?.clicked_event_ids || []).slice(-RECOMMEND_CONFIG.maxSignals)) {
+        addEvent(id, RECOMMEND_CONFIG.weights.clicked);
+    }
+
+    const searches = sessionId ? await conversationsService.getRecentSearches(sessionId, RECOMMEND_CONFIG.maxSearches) : [];
+    return { events, bookmarked, searches };
+};
+
+/**
+ * Preference vector from the signals' stored event embeddings plus one
+ * embedding of the recent searches
+ */
+const buildUserVector = async (signals) => {
+    const ids = [...signals.events.keys()].map(toObjectId).filter(Boolean);
+    const withEmbeddings = ids.length > 0
+        ? await Event.find({ _id: { $in: ids }, embedding: { $exists: true } }).select('embedding').lean()
+        : [];
+    const entries = withEmbeddings.map(event => ({ vector: event.embedding, weight: signals.events.get(event._id.toString()) }));
+
+    if (signals.searches.length > 0) {
+        // Fails soft: without it the events alone decide
+        const vector = await generateEmbedding(signals.searches.join('. '));
+        if (vector) entries.push({ vector, weight: RECOMMEND_CONFIG.weights.searches });
+    }
+    return buildPreferenceVector(entries);
+};
+
+/**
+ * Events matching `filter` nearest to the preference vector; score is the
+ * vector similarity (0-1). The filter is applied inside the vector search, so
+ * past events don't use up the candidates.
+ */
+const searchNearPreference = (vector, filter) => searchEventVectors(vector, {
+    limit: RECOMMEND_CONFIG.candidates,
+    filter,
+    projection: CARD_PROJECTION
+});
+
+/**
+ * Most popular upcoming events (going counts most, then interested, then saved);
+ * score is the popularity relative to the top event (0-1)
+ */
+const findPopularEvents = async (filter) => {
+    const events = await Event.aggregate([
+        { $match: filter },
+        {
+            $addFields: {
+                popularity: {
+                    $add: [
+                        { $multiply: [{ $ifNull: ['$interest.going', 0] }, RECOMMEND_CONFIG.weights.going] },
+                        { $multiply: [{ $ifNull: ['$interest.interested', 0] }, RECOMMEND_CONFIG.weights.interested] },
+                        { $multiply: [{ $ifNull: ['$interest.saved', 0] }, RECOMMEND_CONFIG.weights.saved] }
+                    ]
+                },
+                undated: { $cond: [{ $ifNull: ['$starts_at', false] }, 0, 1] }
+            }
+        },
+        // Among equally popular events: soonest first, undated ones last
+        { $sort: { popularity: -1, undated: 1, starts_at: 1, _id: 1 } },
+        { $limit: RECOMMEND_CONFIG.candidates },
+        { $project: { ...CARD_PROJECTION, popularity: 1 } }
+    ]);
+    const top = events[0]?.popularity || 0;
+    return events.map(event => ({ ...event, score: top > 0 ? event.popularity / top : 0 }));
+};
+
+/**
+ * Boost events matching the profile's preferred categories and home city
+ */
+const applyProfileBoosts = (events, profile) => {
+    const categories = new Set(profile?.preferred_categories || []);
+    const homeCity = (profile?.home_city || '').toLowerCase();
+    return events.map(event => {
+        let score = event.score || 0;
+        if (event.category && categories.has(event.category)) score += RECOMMEND_CONFIG.preferredCategoryBoost;
+        if (homeCity && (event.event_details?.location || '').toLowerCase().includes(homeCity)) score += RECOMMEND_CONFIG.homeCityBoost;
+        return { ...event, score };
+    });
+};
+
+/**
+ * Best-scored events, at most maxPerCategory per category and maxPerOrganizer per
+ * organizer; the cap is relaxed only when there aren't enough other events
+ */
+const pickDiverse = (events, limit) => {
+    const sorted = [...events].sort((a, b) => b.score - a.score);
+    const picked = [];
+    const skipped = [];
+    const perCategory = new Map();
+    const perOrganizer = new Map();
+
+    for (const event of sorted) {
+        if (picked.length >= limit) break;
+        const category = event.category || 'other';
+        const organizer = (event.event_details?.organizer || '').toLowerCase().trim();
+        const categoryFull = (perCategory.get(category) || 0) >= RECOMMEND_CONFIG.maxPerCategory;
+        const organizerFull = organizer && (perOrganizer.get(organizer) || 0) >= RECOMMEND_CONFIG.maxPerOrganizer;
+        if (categoryFull || organizerFull) {
+            skipped.push(event);
+            continue;
+        }
+        picked.push(event);
+        perCategory.set(category, (perCategory.get(category) || 0) + 1);
+        if (organizer) perOrganizer.set(organizer, (perOrganizer.get(organizer) || 0) + 1);
+    }
+    return [...picked, ...skipped.slice(0, limit - picked.length)];
+};
+
+/**
+ * Recommended upcoming events for a user or device
+ *
+ * @param {Object} who
+ * @param {string} [who.userId] - Firebase uid of a signed-in user (their bookmarks count)
+ * @param {Object} [who.profile] - stored profile (clicks, preferred categories, home city)
+ * @param {string} [who.sessionId] - X-Session-Id whose chat searches count
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<{
+ *   events: Object[],
+ *   strategy: 'personalized'|'popular',
+ *   signals: { bookmarks: number, clicks: number, searches: number }
+ * }>} events carry their recommendation `score`; already bookmarked events are left out
+ */
+const getRecommendations = async ({ userId, profile, sessionId } = {}, { limit = RECOMMEND_CONFIG.defaultLimit } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || RECOMMEND_CONFIG.defaultLimit, 1), RECOMMEND_CONFIG.maxLimit);
+    const signals = await collectSignals({ userId, profile, sessionId });
+    const filter = combineFilters(buildVisibleFilter(), buildUpcomingFilter());
+    const bookmarkedIds = [...signals.bookmarked].map(toObjectId).filter(Boolean);
+    const notBookmarked = bookmarkedIds.length > 0 ? { _id: { $nin: bookmarkedIds } } : {};
+
+    let strategy = 'popular';
+    let candidates = [];
+    const vector = await buildUserVector(signals);
+    if (vector) {
+        try {
+            candidates = await searchNearPreference(vector, combineFilters(filter, notBookmarked));
+            strategy = 'personalized';
+        } catch (error) {
+            console.warn("[Recommendations] Vector search failed, using popular events.", error.message);
+        }
+    }
+    // Cold start, or nothing upcoming near the user's taste
+    if (candidates.length === 0) {
+        strategy = 'popular';
+        candidates = await findPopularEvents(combineFilters(filter, notBookmarked));
+    }
+
+    const events = pickDiverse(applyProfileBoosts(candidates, profile), pageSize);
+    const clicks = (profile?.clicked_event_ids || []).length;
+    console.log(`[Recommendations] ${strategy}: ${events.length} events (${signals.bookmarked.size} bookmarks, ${clicks} clicks, ${signals.searches.length} searches)`);
+    return {
+        events,
+        strategy,
+        signals: { bookmarks: signals.bookmarked.size, clicks, searches: signals.searches.length }
+    };
+};
+
+/**
+ * Record that a user or device opened an event card
+ *
+ * @returns {Promise<boolean|null>} null when the event doesn't exist
+ */
+const recordClick = async (identity, eventId) => {
+    const _id = toObjectId(eventId);
+    if (!_id || !(await Event.exists({ _id, deleted_at: null }))) return null;
+    await profilesService.recordClick(identity, _id);
+    return true;
+};
+
+module.exports = {
+    RECOMMEND_CONFIG,
+    buildPreferenceVector,
+    pickDiverse,
+    getRecommendations,
+    recordClick
+};
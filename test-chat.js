@@ -1,36 +1,34 @@
 require('dotenv').config();
+const { chat, getProviderReport } = require('./ai-retrieval/providers');
 
+/**
+ * Send one question to the configured chat provider and print the reply.
+ * Handy for checking API keys and models; LLM_BACKEND=mock works offline.
+ *
+ * Usage:
+ *   node test-chat.js "any event today?"
+ */
 async function testChat() {
-    const question = "any event today?";
-    const eventsContext = "No events found.";
+    const question = process.argv[2] || "any event today?";
     const SYSTEM_PROMPT = "You are a helpful assistant.";
 
     try {
-        const response = await fetch('https://api.edenai.run/v2/text/chat', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                providers: 'openai',
-                text: question,
-                chatbot_global_action: SYSTEM_PROMPT.replace('{eventsContext}', eventsContext),
-                temperature: 0.2,
-                max_tokens: 1000,
-                openai: 'gpt-4o-mini'
-            })
-        });
+        const { chat: chatInfo } = getProviderReport();
+        console.log(`Provider: ${chatInfo.backend} (${chatInfo.model})`);
 
-        const data = await response.json();
-        console.log("Status:", response.status);
-        console.log("Data Keys:", Object.keys(data));
-        console.log("Full Data:", JSON.stringify(data, null, 2));
+        const result = await chat({
+            system: SYSTEM_PROMPT,
+            messages: [{ role: 'user', content: question }],
+            temperature: 0.2,
+            maxTokens: 1000
+        });
 
-        const providerKey = Object.keys(data).find(key => data[key]?.status === 'success');
-        console.log("Found Provider Key:", providerKey);
+        console.log("Answered by:", result.provider);
+        console.log("Reply:", result.text);
+        console.log("Usage:", JSON.stringify(result.usage));
     } catch (err) {
-        console.error("Error:", err);
+        console.error("Error:", err.message);
+        process.exitCode = 1;
     }
 }
 
@@ -0,0 +1,49 @@
+require('dotenv').config();
+const { extractEntities } = require('./ai-retrieval/ai.entities');
+const { INTENT_CONFIG, loadIntents, scoreIntents } = require('./ai-retrieval/intents');
+
+/**
+ * Score a phrase against every configured intent and show which one would
+ * answer it (handlers are not run, so no database is needed).
+ *
+ * Usage:
+ *   node test-intent.js "what events do you have in Uppal?"
+ *   node test-intent.js "hi there" --file ./my-intents.json
+ */
+function testIntent() {
+    const args = process.argv.slice(2);
+    const fileIndex = args.indexOf('--file');
+    const file = fileIndex !== -1 ? args[fileIndex + 1] : INTENT_CONFIG.file;
+    const words = fileIndex !== -1 ? [...args.slice(0, fileIndex), ...args.slice(fileIndex + 2)] : args;
+    const question = words.join(' ') || "show all events";
+
+    try {
+        const registry = loadIntents(file);
+        const { timeWindow, filters } = extractEntities(question);
+        const context = { timeWindow, filters };
+        const candidates = scoreIntents(question, context, registry);
+
+        console.log(`Intents: ${file} (threshold ${registry.threshold})`);
+        console.log(`Phrase: "${question}"`);
+        if (context.timeWindow) console.log(`Dates: ${context.timeWindow.label}`);
+        if (Object.keys(context.filters).length > 0) console.log(`Filters: ${JSON.stringify(context.filters)}`);
+        console.log('');
+
+        candidates.forEach(candidate => {
+            const mark = candidate.accepted ? '✓' : ' ';
+            const via = candidate.matchedBy ? ` via ${candidate.matchedBy} ${JSON.stringify(candidate.match)}` : '';
+            const missing = candidate.missingEntities.length > 0 ? ` (missing: ${candidate.missingEntities.join(', ')})` : '';
+            console.log(`${mark} ${candidate.name.padEnd(16)} ${candidate.confidence.toFixed(3)} / ${candidate.threshold}  priority ${candidate.intent.priority}${via}${missing}`);
+        });
+
+        const winner = candidates.find(candidate => candidate.accepted);
+        console.log(winner
+            ? `\nAnswered by "${winner.name}" (handler ${winner.intent.handlerName})`
+            : '\nNo intent matched: falls through to search (RAG)');
+    } catch (err) {
+        console.error("Error:", err.message);
+        process.exitCode = 1;
+    }
+}
+
+testIntent();